@@ -0,0 +1,158 @@
+/**
+ * Analytics
+ * Batch structured shopper events and hand them to an analytics backend
+ *
+ * A sink is any object with `send(events, { isUnloading })`. Events are plain
+ * records `{ type, timestamp, sessionId, ...data }`. `isUnloading` is true
+ * for the last flush before the page goes away, when only a beacon is
+ * certain to arrive.
+ */
+
+/**
+ * Sends batches as JSON to an endpoint with `navigator.sendBeacon`, falling
+ * back to a keepalive `fetch` where beacons are unavailable or refused
+ */
+export class BeaconAnalyticsSink {
+    constructor({ endpoint = '/analytics/bundle' } = {}) {
+        this.endpoint = endpoint;
+    }
+
+    /**
+     * Post a batch of events
+     */
+    send(events) {
+        const body = JSON.stringify({ events });
+
+        if (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function'
+            && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }))) {
+            return;
+        }
+
+        return fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        });
+    }
+}
+
+/**
+ * Development sink: logs every event and keeps them for inspection
+ */
+export class ConsoleAnalyticsSink {
+    constructor() {
+        this.events = [];
+    }
+
+    /**
+     * Log a batch of events
+     */
+    send(events, { isUnloading = false } = {}) {
+        this.events.push(...events);
+        events.forEach(event => console.info(`[bundle analytics]${isUnloading ? ' (unload)' : ''} ${event.type}`, event));
+    }
+}
+
+/**
+ * Collects events and sends them in batches: once `batchSize` events are
+ * waiting, every `flushInterval` milliseconds, and when the page is hidden
+ * or unloaded
+ */
+export class AnalyticsQueue {
+    constructor(sink, { batchSize = 10, flushInterval = 5000 } = {}) {
+        this.sink = sink;
+        this.batchSize = batchSize;
+        this.flushInterval = flushInterval;
+        this.sessionId = createSessionId();
+        this.pending = [];
+        this.timer = null;
+        this.unbindUnload = null;
+    }
+
+    /**
+     * Queue an event
+     */
+    track(type, data = {}) {
+        this.pending.push({ type, timestamp: new Date().toISOString(), sessionId: this.sessionId, ...data });
+
+        if (this.pending.length >= this.batchSize) {
+            this.flush();
+        } else if (this.timer === null && this.flushInterval !== null) {
+            this.timer = setTimeout(() => this.flush(), this.flushInterval);
+        }
+    }
+
+    /**
+     * Send every waiting event now. A failing sink loses that batch rather
+     * than letting events pile up.
+     */
+    flush({ isUnloading = false } = {}) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.pending.length === 0) return;
+
+        const events = this.pending;
+        this.pending = [];
+
+        try {
+            Promise.resolve(this.sink.send(events, { isUnloading })).catch(error => {
+                console.warn('Failed to send analytics events:', error);
+            });
+        } catch (error) {
+            console.warn('Failed to send analytics events:', error);
+        }
+    }
+
+    /**
+     * Flush when the page is hidden or unloaded; `pagehide` also covers pages
+     * entering the back/forward cache, where `unload` never fires
+     */
+    flushOnUnload(win) {
+        const flush = () => this.flush({ isUnloading: true });
+        const flushIfHidden = () => {
+            if (win.document.visibilityState === 'hidden') flush();
+        };
+
+        win.addEventListener('pagehide', flush);
+        win.document.addEventListener('visibilitychange', flushIfHidden);
+
+        this.unbindUnload = () => {
+            win.removeEventListener('pagehide', flush);
+            win.document.removeEventListener('visibilitychange', flushIfHidden);
+        };
+    }
+
+    /**
+     * Send what is left and stop listening for the page going away
+     */
+    destroy() {
+        this.flush();
+        if (this.unbindUnload) this.unbindUnload();
+        this.unbindUnload = null;
+    }
+}
+
+/**
+ * Build an analytics sink from builder config: a sink object, 'beacon' or
+ * 'console'
+ */
+export function createAnalyticsSink(sink, options = {}) {
+    if (sink && typeof sink.send === 'function') return sink;
+
+    switch (sink) {
+        case 'beacon':
+            return new BeaconAnalyticsSink(options);
+        case 'console':
+            return new ConsoleAnalyticsSink();
+        default:
+            throw new TypeError(`Unknown analytics sink "${sink}"`);
+    }
+}
+
+/**
+ * Random id tying together the events of one page view
+ */
+function createSessionId() {
+    return `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
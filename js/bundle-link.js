@@ -0,0 +1,108 @@
+
+/**
+ * Bundle Link
+ * Encodes a bundle into a shareable URL query parameter and reads it back
+ *
+ * The value is the format version followed by one segment per bundle line,
+ * all separated by dots: `?bundle=1.3.1-104x2` is product 3, plus two of
+ * variant 104 of product 1. Segments read `<productId>[-<variantId>][x<quantity>]`
+ * and only use characters that need no escaping in a URL.
+ */
+
+import { replacePageUrl } from './page-url.js';
+
+/**
+ * Bump when the segment format changes; links in other versions are ignored
+ */
+export const BUNDLE_LINK_VERSION = 1;
+
+const BUNDLE_LINK_SEGMENT = /^(\d+)(?:-(\d+))?(?:x(\d+))?$/;
+
+export class BundleLink {
+    /**
+     * Create a link reader/writer for one query parameter
+     */
+    constructor(param, { location = window.location, history = window.history } = {}) {
+        this.param = param;
+        this.location = location;
+        this.history = history;
+    }
+
+    /**
+     * Encode bundle lines of `{ id, variantId, quantity }` as a parameter value
+     */
+    static serialize(lines) {
+        const segments = lines.map(line => {
+            let segment = String(line.id);
+            if (line.variantId) segment += `-${line.variantId}`;
+            if (line.quantity > 1) segment += `x${line.quantity}`;
+            return segment;
+        });
+
+        return [BUNDLE_LINK_VERSION, ...segments].join('.');
+    }
+
+    /**
+     * Decode a parameter value into `{ items, invalidCount }`, or null when it
+     * is not a link in the current version. Malformed segments are counted
+     * and skipped.
+     */
+    static parse(value) {
+        if (typeof value !== 'string') return null;
+
+        const [version, ...segments] = value.split('.');
+        if (version !== String(BUNDLE_LINK_VERSION)) return null;
+
+        const items = [];
+        let invalidCount = 0;
+
+        segments.forEach(segment => {
+            const match = BUNDLE_LINK_SEGMENT.exec(segment);
+            const quantity = match && match[3] !== undefined ? Number(match[3]) : 1;
+
+            if (!match || Number(match[1]) === 0 || quantity === 0) {
+                invalidCount++;
+                return;
+            }
+
+            items.push({
+                id: Number(match[1]),
+                variantId: match[2] !== undefined ? Number(match[2]) : null,
+                quantity
+            });
+        });
+
+        return { items, invalidCount };
+    }
+
+    /**
+     * Read the bundle encoded in the current URL, or null when there is none
+     */
+    read() {
+        const value = new URLSearchParams(this.location.search).get(this.param);
+        return value === null ? null : BundleLink.parse(value);
+    }
+
+    /**
+     * URL of the current page with the given lines encoded, or the parameter
+     * removed when there are none
+     */
+    buildUrl(lines) {
+        const url = new URL(this.location.href);
+
+        if (lines.length > 0) {
+            url.searchParams.set(this.param, BundleLink.serialize(lines));
+        } else {
+            url.searchParams.delete(this.param);
+        }
+
+        return url.toString();
+    }
+
+    /**
+     * Replace the current history entry so the URL always shares the current bundle
+     */
+    write(lines) {
+        replacePageUrl(this.buildUrl(lines), { location: this.location, history: this.history });
+    }
+}
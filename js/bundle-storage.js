@@ -0,0 +1,96 @@
+
+/**
+ * Bundle Storage
+ * Persists the in-progress bundle to localStorage between visits
+ */
+
+/**
+ * Bump when the snapshot shape changes; older snapshots are discarded
+ */
+export const BUNDLE_SCHEMA_VERSION = 2;
+
+export class BundleStorage {
+    /**
+     * Create a storage wrapper for the given key
+     */
+    constructor(key, storage) {
+        this.key = key;
+        this.storage = storage === undefined ? BundleStorage.getDefaultStorage() : storage;
+    }
+
+    /**
+     * Resolve localStorage, which throws in some privacy modes
+     */
+    static getDefaultStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Read the saved snapshot, or null when missing, unreadable or outdated
+     */
+    load() {
+        if (!this.storage) return null;
+
+        let snapshot;
+        try {
+            snapshot = JSON.parse(this.storage.getItem(this.key));
+        } catch (error) {
+            console.warn('Discarding unreadable saved bundle:', error);
+            this.clear();
+            return null;
+        }
+
+        if (!snapshot || snapshot.version !== BUNDLE_SCHEMA_VERSION || !Array.isArray(snapshot.products)) {
+            if (snapshot) this.clear();
+            return null;
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Save the selected products, their currency, entered promo codes and the
+     * add-to-cart button stage
+     */
+    save({ products, buttonState, currency, promoCodes = [] }) {
+        if (!this.storage) return;
+
+        const snapshot = {
+            version: BUNDLE_SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            buttonState,
+            currency,
+            promoCodes,
+            products: products.map(product => ({
+                id: product.id,
+                variantId: product.variantId,
+                quantity: product.quantity,
+                price: product.price
+            }))
+        };
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify(snapshot));
+        } catch (error) {
+            // Quota exceeded or storage disabled: the bundle still works in memory
+            console.warn('Failed to save bundle:', error);
+        }
+    }
+
+    /**
+     * Remove the saved snapshot
+     */
+    clear() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.removeItem(this.key);
+        } catch (error) {
+            console.warn('Failed to clear saved bundle:', error);
+        }
+    }
+}
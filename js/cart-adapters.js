@@ -0,0 +1,186 @@
+
+/**
+ * Cart Adapters
+ * Submit a finished bundle to a cart backend
+ *
+ * An adapter is any object with `addBundle(bundleData)` returning a promise
+ * that resolves once the cart accepted the bundle and rejects with a
+ * CartError otherwise.
+ */
+
+import { Money } from './core/money.js';
+
+/**
+ * Error raised when the cart rejects or cannot be reached
+ */
+export class CartError extends Error {
+    constructor(message, { status, cause } = {}) {
+        super(message);
+        this.name = 'CartError';
+        this.status = status;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Default adapter: POSTs the bundle payload as JSON to an endpoint
+ */
+export class HttpCartAdapter {
+    constructor({ endpoint = '/cart/bundles', headers = {} } = {}) {
+        this.endpoint = endpoint;
+        this.headers = headers;
+    }
+
+    /**
+     * Send the bundle payload to the configured endpoint
+     */
+    async addBundle(bundleData) {
+        return postJson(this.endpoint, this.buildPayload(bundleData), this.headers);
+    }
+
+    /**
+     * Request body for the endpoint; override to reshape the payload
+     */
+    buildPayload(bundleData) {
+        return bundleData;
+    }
+}
+
+/**
+ * Shopify-style adapter: adds every bundle product as a line item to
+ * `/cart/add.js`, tagging each line with shared bundle properties
+ */
+export class ShopifyCartAdapter extends HttpCartAdapter {
+    constructor({ endpoint = '/cart/add.js', headers, resolveVariantId } = {}) {
+        super({ endpoint, headers });
+        this.resolveVariantId = resolveVariantId || (product => product.variantId || product.id);
+    }
+
+    /**
+     * Convert the bundle into `/cart/add.js` line items. Free gifts follow
+     * the products, tagged with the code that granted them for the store's
+     * discount to zero out.
+     */
+    buildPayload(bundleData) {
+        const bundleId = createBundleId();
+        const gifts = bundleData.gifts || [];
+
+        return {
+            items: bundleData.products.map(product => ({
+                id: this.resolveVariantId(product),
+                quantity: product.quantity,
+                // Underscore-prefixed properties are hidden from shoppers at checkout
+                properties: {
+                    _bundle_id: bundleId,
+                    _bundle_size: String(bundleData.products.length),
+                    _bundle_discount: Money.toDecimalString(bundleData.discount, bundleData.currency),
+                    _bundle_discount_percentage: String(bundleData.discountPercentage)
+                }
+            })).concat(gifts.map(gift => ({
+                id: this.resolveVariantId(gift),
+                quantity: gift.quantity,
+                properties: {
+                    _bundle_id: bundleId,
+                    _bundle_gift: gift.code
+                }
+            })))
+        };
+    }
+}
+
+/**
+ * Local stand-in for a cart server, for development and testing.
+ * Keeps submitted bundles in memory, in `bundles`, for tests and the
+ * console to inspect, and can simulate latency and failures.
+ */
+export class MockCartAdapter {
+    constructor({ latency = 600, failures = 0 } = {}) {
+        this.latency = latency;
+        this.failures = failures;
+        this.bundles = [];
+    }
+
+    /**
+     * Make the next `count` submissions fail
+     */
+    failNext(count = 1) {
+        this.failures = count;
+    }
+
+    /**
+     * Accept the bundle after a simulated round trip
+     */
+    addBundle(bundleData) {
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                if (this.failures > 0) {
+                    this.failures--;
+                    reject(new CartError('Mock cart rejected the bundle', { status: 503 }));
+                    return;
+                }
+
+                const entry = { id: createBundleId(), ...bundleData };
+                this.bundles.push(entry);
+                resolve({ id: entry.id, itemCount: this.bundles.length });
+            }, this.latency);
+        });
+    }
+}
+
+/**
+ * Build a cart adapter from builder config: an adapter instance, or one of
+ * 'http', 'shopify' or 'mock'
+ */
+export function createCartAdapter(adapter, options = {}) {
+    if (adapter && typeof adapter.addBundle === 'function') return adapter;
+
+    switch (adapter) {
+        case 'shopify':
+            return new ShopifyCartAdapter(options);
+        case 'mock':
+            return new MockCartAdapter(options);
+        case 'http':
+        case undefined:
+            return new HttpCartAdapter(options);
+        default:
+            throw new CartError(`Unknown cart adapter "${adapter}"`);
+    }
+}
+
+/**
+ * POST a JSON body and parse the JSON response, raising CartError on failure
+ */
+async function postJson(url, body, headers = {}) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Accept: 'application/json',
+                ...headers
+            },
+            body: JSON.stringify(body)
+        });
+    } catch (error) {
+        throw new CartError(`Could not reach cart at ${url}`, { cause: error });
+    }
+
+    if (!response.ok) {
+        throw new CartError(`Cart request failed with status ${response.status}`, { status: response.status });
+    }
+
+    // Some cart endpoints reply with an empty body
+    try {
+        return await response.json();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Identifier shared by all lines of one submitted bundle
+ */
+function createBundleId() {
+    return `bundle-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
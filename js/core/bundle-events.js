@@ -0,0 +1,126 @@
+
+/**
+ * Bundle Events
+ * Typed event emitter that lets host code observe and steer the bundle builder
+ *
+ * Listeners receive a BundleEvent whose `detail` depends on the event type:
+ *   product:beforeAdd      { line }                              cancelable, `line.quantity` may be changed
+ *   product:added          { line }
+ *   product:beforeRemove   { line }                              cancelable
+ *   product:removed        { line, reason }                      reason: 'user', 'stock' or 'reset'
+ *   quantity:beforeChange  { line, previousQuantity, quantity }  cancelable, `quantity` may be changed
+ *   quantity:changed       { line, previousQuantity }
+ *   discount:changed       { previous, current }                 DiscountEngine results
+ *   bundle:completed       { count, minItems }                   the bundle reached its minimum size
+ *   cart:beforeSubmit      { bundleData }                        cancelable, `bundleData` may be changed
+ *   cart:submitted         { bundleData, result }
+ *   cart:failed            { bundleData, error }
+ *   history:undo           { label }                             a change was undone
+ *   history:redo           { label }                             an undone change was redone
+ */
+
+/**
+ * Every event the builder emits, mapped to whether it can be canceled
+ */
+export const BUNDLE_EVENT_TYPES = Object.freeze({
+    'product:beforeAdd': true,
+    'product:added': false,
+    'product:beforeRemove': true,
+    'product:removed': false,
+    'quantity:beforeChange': true,
+    'quantity:changed': false,
+    'discount:changed': false,
+    'bundle:completed': false,
+    'cart:beforeSubmit': true,
+    'cart:submitted': false,
+    'cart:failed': false,
+    'history:undo': false,
+    'history:redo': false
+});
+
+/**
+ * Event passed to listeners; `before*` events can be vetoed with preventDefault()
+ */
+export class BundleEvent {
+    constructor(type, detail) {
+        this.type = type;
+        this.detail = detail;
+        this.cancelable = BUNDLE_EVENT_TYPES[type] === true;
+        this.defaultPrevented = false;
+    }
+
+    /**
+     * Cancel the action a `before*` event announces
+     */
+    preventDefault() {
+        if (this.cancelable) this.defaultPrevented = true;
+    }
+}
+
+export class BundleEventEmitter {
+    /**
+     * Create an emitter with no listeners
+     */
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Listen for an event; returns a function that removes the listener
+     */
+    on(type, listener) {
+        BundleEventEmitter.assertKnownType(type);
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Listen for the next occurrence of an event only
+     */
+    once(type, listener) {
+        const remove = this.on(type, event => {
+            remove();
+            listener(event);
+        });
+        return remove;
+    }
+
+    /**
+     * Remove a listener added with on()
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) listeners.delete(listener);
+    }
+
+    /**
+     * Call every listener for an event and return the event, so callers of
+     * cancelable events can check `defaultPrevented`
+     */
+    emit(type, detail = {}) {
+        BundleEventEmitter.assertKnownType(type);
+        const event = new BundleEvent(type, detail);
+
+        // Copy first so listeners can unsubscribe while being called
+        Array.from(this.listeners.get(type) || []).forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                // A broken integration must not break the builder itself
+                console.error(`Error in "${type}" listener:`, error);
+            }
+        });
+
+        return event;
+    }
+
+    /**
+     * Reject event names that are not part of the builder's API
+     */
+    static assertKnownType(type) {
+        if (!Object.prototype.hasOwnProperty.call(BUNDLE_EVENT_TYPES, type)) {
+            throw new TypeError(`Unknown bundle event "${type}"`);
+        }
+    }
+}
@@ -0,0 +1,76 @@
+
+/**
+ * Bundle History
+ * Undo/redo stack of bundle mutations
+ *
+ * A command is an object with a `label` for the shopper and `undo()` and
+ * `redo()` methods that put the bundle back into the state before or after it.
+ */
+export class BundleHistory {
+    /**
+     * Create an empty history keeping at most `limit` undo steps
+     */
+    constructor({ limit = 50 } = {}) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record a command that was just carried out; it replaces anything that could be redone
+     */
+    push(command) {
+        this.undoStack.push(command);
+        this.redoStack = [];
+
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+    }
+
+    /**
+     * Undo the latest command and return it, or null when there is nothing to undo
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        command.undo();
+        this.redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Redo the latest undone command and return it, or null when there is nothing to redo
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        command.redo();
+        this.undoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Check whether there is a command to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether there is a command to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget every recorded command
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
@@ -0,0 +1,620 @@
+
+/**
+ * Bundle Store
+ * Framework-agnostic bundle state and pricing, shared by the browser view
+ * and server-side code
+ *
+ * Lines are plain objects keyed by product and variant:
+ *   { key, id, variantId, title, variantTitle, image, price, quantity }
+ * Prices are integer minor units of the store currency (see Money). Lines are
+ * replaced rather than edited in place, so a line read earlier keeps its
+ * values. Mutations that would break the bundle size or stock limits are
+ * refused and return false. Subscribers are called after every change.
+ * Promo codes entered by the shopper are kept alongside the lines and priced
+ * with the discount rules (see PromoCodes).
+ */
+
+import { Money } from './money.js';
+import { ProductCatalog } from './catalog.js';
+import { DiscountEngine } from './discount-engine.js';
+import { PromoCodes } from './promo-codes.js';
+
+export class BundleStore {
+    /**
+     * Create an empty bundle over a catalog
+     */
+    constructor({
+        catalog = new ProductCatalog(),
+        currency,
+        locale,
+        minItems = 3,
+        maxItems = 3, // null for no upper limit
+        countMode = 'products', // 'products' counts distinct products, 'units' counts total quantity
+        maxQuantityPerLine = null, // Most units of one line, null for no limit
+        discountRules = [],
+        excludedProductIds = [],
+        promoCodes = [], // Codes shoppers may enter, see PromoCodes
+        promoStacking = 'stack' // How codes combine with the bundle discount: 'stack', 'bestOf' or 'exclusive'
+    } = {}) {
+        this.catalog = catalog;
+        this.currency = this.resolveCurrency(currency);
+        this.locale = locale;
+        this.minItems = minItems;
+        this.maxItems = maxItems;
+        this.countMode = countMode;
+        this.maxQuantityPerLine = maxQuantityPerLine === null ? Infinity : maxQuantityPerLine;
+        this.discountEngine = new DiscountEngine(discountRules, { excludedProductIds, countMode });
+        this.promoCodes = new PromoCodes(promoCodes, { stacking: promoStacking });
+        this.enteredCodes = [];
+
+        this.lines = new Map();
+        this.listeners = new Set();
+        this.batchDepth = 0;
+        this.hasPendingChange = false;
+    }
+
+    // =========================================================================
+    // SUBSCRIPTION METHODS
+    // =========================================================================
+
+    /**
+     * Call `listener(store)` after every change; returns a function that unsubscribes
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Run several mutations and notify subscribers once at the end
+     */
+    batch(mutate) {
+        this.batchDepth++;
+        try {
+            return mutate();
+        } finally {
+            this.batchDepth--;
+            if (this.batchDepth === 0 && this.hasPendingChange) this.notify();
+        }
+    }
+
+    /**
+     * Tell subscribers the bundle changed, or defer it to the end of a batch
+     */
+    notify() {
+        if (this.batchDepth > 0) {
+            this.hasPendingChange = true;
+            return;
+        }
+
+        this.hasPendingChange = false;
+
+        // Copy first so listeners can unsubscribe while being called
+        Array.from(this.listeners).forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('Error in bundle store subscriber:', error);
+            }
+        });
+    }
+
+    // =========================================================================
+    // LINE METHODS
+    // =========================================================================
+
+    /**
+     * Bundle lines in the order they were added
+     */
+    getLines() {
+        return Array.from(this.lines.values());
+    }
+
+    /**
+     * Line for a key, or undefined when it is not in the bundle
+     */
+    getLine(key) {
+        return this.lines.get(key);
+    }
+
+    /**
+     * Check whether a line is in the bundle
+     */
+    has(key) {
+        return this.lines.has(key);
+    }
+
+    /**
+     * Key a bundle line by product and variant, so each variant is its own line
+     */
+    getLineKey(productId, variantId) {
+        return variantId ? `${productId}:${variantId}` : String(productId);
+    }
+
+    /**
+     * Build a line for a product, or one of its variants, from the catalog at
+     * its current price; it is not added to the bundle
+     */
+    createLine(productId, variantId = null, quantity = 1) {
+        const product = this.catalog.get(productId);
+        const variant = variantId ? this.catalog.getVariant(productId, variantId) : null;
+
+        return {
+            key: this.getLineKey(productId, variant ? variant.id : null),
+            id: product.id,
+            variantId: variant ? variant.id : null,
+            title: product.title,
+            variantTitle: variant ? variant.title : '',
+            image: (variant && variant.image) || product.image,
+            price: this.getPrice(productId, variant ? variant.id : null),
+            quantity
+        };
+    }
+
+    /**
+     * Add a line built with createLine() if it fits the bundle and stock
+     */
+    addLine(line) {
+        if (this.lines.has(line.key) || !Number.isInteger(line.quantity) || line.quantity < 1) return false;
+
+        const needed = this.countMode === 'units' ? line.quantity : 1;
+        if (needed > this.getRemainingCapacity()) return false;
+        if (line.quantity > Math.min(this.getAvailableQuantity(line.id, line.variantId), this.maxQuantityPerLine)) return false;
+
+        this.lines.set(line.key, { ...line });
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Take a line out of the bundle
+     */
+    removeLine(key) {
+        if (!this.lines.delete(key)) return false;
+
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Set a line to an exact quantity allowed by canSetQuantity()
+     */
+    setLineQuantity(key, quantity) {
+        const line = this.lines.get(key);
+        if (!line || quantity === line.quantity || !this.canSetQuantity(line, quantity)) return false;
+
+        this.lines.set(key, { ...line, quantity });
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Switch a line to another variant of the same product, merging it into
+     * an existing line for that variant and capping it at the stock left and
+     * the per-line limit
+     */
+    changeLineVariant(key, variantId) {
+        const line = this.lines.get(key);
+        const variant = line ? this.catalog.getVariant(line.id, variantId) : undefined;
+        if (!variant) return false;
+
+        const newKey = this.getLineKey(line.id, variant.id);
+        if (newKey === key) return false;
+
+        const existing = this.lines.get(newKey);
+        const available = this.getAvailableQuantity(line.id, variant.id, [key, newKey]);
+        if (available <= 0) return false;
+
+        const replacement = this.createLine(line.id, variant.id,
+            Math.min(line.quantity + (existing ? existing.quantity : 0), available, this.maxQuantityPerLine));
+        const entries = [];
+
+        // Rebuild the map so the line keeps its position
+        this.lines.forEach((current, currentKey) => {
+            if (currentKey === newKey) return;
+            entries.push(currentKey === key ? [newKey, replacement] : [currentKey, current]);
+        });
+
+        this.lines = new Map(entries);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Replace every line with entries of `{ id, variantId, quantity }`, priced
+     * from the catalog. Entries the catalog no longer has, or whose quantity
+     * isValidQuantity() refuses, are dropped. Like
+     * addLine() and setLineQuantity(), entries are held to the per-line limit
+     * and the bundle size, in order: `limitedCount` is how many were cut down
+     * or left out for that. The result is then checked against stock like
+     * reconcileStock(). Returns `{ removedLines, reducedCount, limitedCount }`.
+     */
+    replaceLines(entries) {
+        let limitedCount = 0;
+        this.lines = new Map();
+
+        entries.forEach(entry => {
+            if (!this.catalog.has(entry.id) || !this.isValidQuantity(entry.quantity)) return;
+            if (entry.variantId && !this.catalog.getVariant(entry.id, entry.variantId)) return;
+
+            const line = this.createLine(entry.id, entry.variantId, entry.quantity);
+            const previous = this.lines.get(line.key);
+            if (previous) this.lines.delete(line.key);
+
+            // Extra units only count against the bundle size when counting units
+            const remaining = this.getRemainingCapacity();
+            const capacity = this.countMode === 'units' ? remaining : (remaining > 0 ? Infinity : 0);
+            const quantity = Math.min(line.quantity, this.maxQuantityPerLine, capacity);
+
+            if (quantity !== line.quantity) limitedCount++;
+            if (quantity >= 1) this.lines.set(line.key, { ...line, quantity });
+        });
+
+        return this.batch(() => {
+            this.notify();
+            return { ...this.reconcileStock(), limitedCount };
+        });
+    }
+
+    /**
+     * Empty the bundle
+     */
+    clear() {
+        if (this.lines.size === 0) return;
+
+        this.lines.clear();
+        this.notify();
+    }
+
+    /**
+     * Copy the bundle lines so later changes cannot affect the copy
+     */
+    snapshot() {
+        return this.getLines().map(line => ({ ...line }));
+    }
+
+    // =========================================================================
+    // CATALOG AND CURRENCY METHODS
+    // =========================================================================
+
+    /**
+     * Switch to a newly loaded catalog, keeping the currency when it still
+     * prices in it, and reprice the bundle
+     */
+    setCatalog(catalog, currency = this.currency) {
+        this.catalog = catalog;
+        this.currency = this.resolveCurrency(currency);
+        this.repriceLines();
+        this.notify();
+    }
+
+    /**
+     * Check whether the catalog can price in a currency
+     */
+    supportsCurrency(currency) {
+        return this.catalog.getCurrencies().includes(currency);
+    }
+
+    /**
+     * Pick a currency the catalog can price in, falling back to its own
+     */
+    resolveCurrency(currency) {
+        return this.supportsCurrency(currency) ? currency : this.catalog.currency;
+    }
+
+    /**
+     * Switch the bundle currency and reprice every line
+     */
+    setCurrency(currency) {
+        if (!this.supportsCurrency(currency)) {
+            throw new RangeError(`Currency ${currency} is not supported by the catalog`);
+        }
+        if (currency === this.currency) return;
+
+        this.currency = currency;
+        this.repriceLines();
+        this.notify();
+    }
+
+    /**
+     * Charge every line at the current catalog price
+     */
+    repriceLines() {
+        this.lines.forEach((line, key) => {
+            this.lines.set(key, { ...line, price: this.getPrice(line.id, line.variantId) });
+        });
+    }
+
+    // =========================================================================
+    // SIZE METHODS
+    // =========================================================================
+
+    /**
+     * Count the bundle in the configured mode: distinct products or total units
+     */
+    getBundleCount() {
+        if (this.countMode === 'units') {
+            return this.getLines().reduce((units, line) => units + line.quantity, 0);
+        }
+
+        return this.lines.size;
+    }
+
+    /**
+     * How many more items fit in the bundle (Infinity without a maximum)
+     */
+    getRemainingCapacity() {
+        if (this.maxItems === null || this.maxItems === undefined) return Infinity;
+        return Math.max(this.maxItems - this.getBundleCount(), 0);
+    }
+
+    /**
+     * Check whether the bundle has reached its minimum size
+     */
+    meetsMinimum() {
+        return this.getBundleCount() >= this.minItems;
+    }
+
+    /**
+     * Check that a quantity is a whole number of at least 1
+     */
+    isValidQuantity(quantity) {
+        return Number.isInteger(quantity) && quantity >= 1;
+    }
+
+    /**
+     * Check a new quantity against getQuantityLimit(); lowering is always allowed
+     */
+    canSetQuantity(line, quantity) {
+        if (!this.isValidQuantity(quantity)) return false;
+        return quantity <= line.quantity || quantity <= this.getQuantityLimit(line);
+    }
+
+    /**
+     * Highest quantity a line can be raised to: within stock, the per-line
+     * limit and, when counting units, the bundle size. Lines not yet in the
+     * bundle pass a quantity of 0.
+     */
+    getQuantityLimit(line) {
+        // Extra units only count against the bundle size when counting units
+        const capacity = this.countMode === 'units' ? line.quantity + this.getRemainingCapacity() : Infinity;
+        return Math.min(this.getLineMaxQuantity(line), this.maxQuantityPerLine, capacity);
+    }
+
+    // =========================================================================
+    // STOCK METHODS
+    // =========================================================================
+
+    /**
+     * Bundle lines drawing on the same stock share a pool: a variant with its
+     * own stock level is its own pool, otherwise the product is
+     */
+    getStockPoolKey(productId, variantId) {
+        const variant = variantId ? this.catalog.getVariant(productId, variantId) : null;
+        return variant && variant.stock !== undefined ? this.getLineKey(productId, variantId) : String(productId);
+    }
+
+    /**
+     * Units of a product or variant still available to the bundle, leaving
+     * out the quantities of the lines in `ignoreKeys`
+     */
+    getAvailableQuantity(productId, variantId = null, ignoreKeys = []) {
+        const poolKey = this.getStockPoolKey(productId, variantId);
+        let used = 0;
+
+        this.lines.forEach((line, key) => {
+            if (!ignoreKeys.includes(key) && this.getStockPoolKey(line.id, line.variantId) === poolKey) {
+                used += line.quantity;
+            }
+        });
+
+        return Math.max(this.catalog.getStock(productId, variantId) - used, 0);
+    }
+
+    /**
+     * Highest quantity a bundle line can be raised to with the stock left
+     */
+    getLineMaxQuantity(line) {
+        return this.getAvailableQuantity(line.id, line.variantId, [line.key]);
+    }
+
+    /**
+     * Take stock levels from a freshly loaded catalog and reconcile the bundle.
+     * Subscribers are notified even when no line changed, as stock did.
+     */
+    updateStock(freshCatalog) {
+        this.catalog.updateStock(freshCatalog);
+
+        return this.batch(() => {
+            this.notify();
+            return this.reconcileStock();
+        });
+    }
+
+    /**
+     * Re-check lines against current stock, dropping sold-out lines and
+     * trimming quantities that are no longer available.
+     * Returns `{ removedLines, reducedCount }`.
+     */
+    reconcileStock() {
+        const used = new Map();
+        const removedLines = [];
+        let reducedCount = 0;
+
+        this.lines.forEach((line, key) => {
+            const poolKey = this.getStockPoolKey(line.id, line.variantId);
+            const available = this.catalog.getStock(line.id, line.variantId) - (used.get(poolKey) || 0);
+
+            if (available <= 0) {
+                this.lines.delete(key);
+                removedLines.push(line);
+                return;
+            }
+
+            if (line.quantity > available) {
+                this.lines.set(key, { ...line, quantity: available });
+                reducedCount++;
+            }
+
+            used.set(poolKey, (used.get(poolKey) || 0) + Math.min(line.quantity, available));
+        });
+
+        if (removedLines.length > 0 || reducedCount > 0) this.notify();
+
+        return { removedLines, reducedCount };
+    }
+
+    // =========================================================================
+    // PROMO CODE METHODS
+    // =========================================================================
+
+    /**
+     * Codes the shopper entered, in the form they are configured in
+     */
+    getPromoCodes() {
+        return this.enteredCodes.slice();
+    }
+
+    /**
+     * Swap the list of codes shoppers may enter, keeping entered codes that
+     * are still on it
+     */
+    setPromoCodeList(promoCodes) {
+        this.promoCodes = promoCodes;
+        this.enteredCodes = this.enteredCodes.filter(code => promoCodes.find(code));
+        this.notify();
+    }
+
+    /**
+     * Why a code cannot be entered now: 'unknown', 'expired', 'minSpend' or
+     * 'alreadyApplied'; null when it can
+     */
+    checkPromoCode(code, now = Date.now()) {
+        const promo = this.promoCodes.find(code);
+        if (promo && this.enteredCodes.includes(promo.code)) return 'alreadyApplied';
+
+        return this.promoCodes.check(code, { subtotal: this.calculateSubtotal(), money: this.getMoneyContext(), now });
+    }
+
+    /**
+     * Enter a promo code; refused when checkPromoCode() finds a reason
+     */
+    applyPromoCode(code, now = Date.now()) {
+        if (this.checkPromoCode(code, now) !== null) return false;
+
+        this.enteredCodes.push(this.promoCodes.find(code).code);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Take an entered promo code off the bundle
+     */
+    removePromoCode(code) {
+        const promo = this.promoCodes.find(code);
+        const index = promo ? this.enteredCodes.indexOf(promo.code) : -1;
+        if (index === -1) return false;
+
+        this.enteredCodes.splice(index, 1);
+        this.notify();
+        return true;
+    }
+
+    // =========================================================================
+    // PRICING METHODS
+    // =========================================================================
+
+    /**
+     * Price of a product or variant in minor units of the bundle currency
+     */
+    getPrice(productId, variantId = null) {
+        return this.catalog.getPrice(productId, this.currency, variantId);
+    }
+
+    /**
+     * Calculate subtotal of all lines
+     */
+    calculateSubtotal() {
+        return this.getLines().reduce((subtotal, line) => subtotal + line.price * line.quantity, 0);
+    }
+
+    /**
+     * Currency helpers for discount rules and promo codes
+     */
+    getMoneyContext() {
+        const { catalog, currency } = this;
+
+        return {
+            currency,
+            locale: this.locale,
+            // Fixed discount amounts are configured in the catalog currency
+            convertAmount: amount => Money.convert(
+                Money.toMinor(amount, catalog.currency),
+                catalog.currency,
+                currency,
+                catalog.exchangeRates
+            )
+        };
+    }
+
+    /**
+     * Run the discount rules against the current lines, then lay the
+     * entered promo codes over them
+     */
+    evaluateDiscounts(now = Date.now()) {
+        const lines = this.getLines();
+        const money = this.getMoneyContext();
+
+        return this.promoCodes.apply(this.discountEngine.evaluate(lines, money), this.enteredCodes, {
+            lines,
+            catalog: this.catalog,
+            money,
+            now
+        });
+    }
+
+    /**
+     * Total discount in minor units
+     */
+    calculateDiscount() {
+        return this.evaluateDiscounts().total;
+    }
+
+    /**
+     * Lines for the products free gift codes add, at a price of 0. Gifts with
+     * variants come in their default variant.
+     */
+    getGiftLines(discounts) {
+        return discounts
+            .filter(discount => discount.giftProductId)
+            .map(discount => {
+                const variant = this.catalog.getDefaultVariant(discount.giftProductId);
+                const line = this.createLine(discount.giftProductId, variant ? variant.id : null);
+                return { ...line, price: 0, code: discount.code };
+            });
+    }
+
+    /**
+     * Bundle payload for cart submission.
+     * Prices and totals are integer minor units of `currency`. Free gifts
+     * are in `gifts`, apart from the `products` the bundle is priced on.
+     */
+    prepareBundleData() {
+        const discountResult = this.evaluateDiscounts();
+
+        return {
+            currency: this.currency,
+            products: this.snapshot(),
+            gifts: this.getGiftLines(discountResult.applied),
+            subtotal: discountResult.subtotal,
+            discount: discountResult.total,
+            finalTotal: discountResult.subtotal - discountResult.total,
+            discountPercentage: discountResult.percentage,
+            discounts: discountResult.applied,
+            promoCodes: discountResult.promoCodes
+                .filter(promo => promo.status === 'applied')
+                .map(promo => promo.code),
+            timestamp: new Date().toISOString()
+        };
+    }
+}
@@ -0,0 +1,360 @@
+
+/**
+ * Product Catalog
+ * Loads, validates and indexes the product feed used by the bundle builder
+ */
+
+import { Money } from './money.js';
+
+/**
+ * Error raised when the product feed cannot be loaded or is malformed
+ */
+export class CatalogError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'CatalogError';
+        this.cause = cause;
+    }
+}
+
+export class ProductCatalog {
+    /**
+     * Create a catalog from an array of already validated products.
+     * Prices are in major units of `currency`; `exchangeRates` maps other
+     * currency codes to their value for one unit of `currency`.
+     */
+    constructor(products = [], { currency = 'USD', exchangeRates = {} } = {}) {
+        this.products = new Map();
+        products.forEach(product => this.products.set(product.id, product));
+        this.currency = currency;
+        this.exchangeRates = { ...exchangeRates, [currency]: 1 };
+    }
+
+    /**
+     * Load a catalog from a URL or from inline feed data
+     */
+    static async load({ url, data } = {}) {
+        const feed = data !== undefined ? data : await ProductCatalog.fetchFeed(url);
+        return new ProductCatalog(ProductCatalog.parse(feed), ProductCatalog.parseCurrencies(feed));
+    }
+
+    /**
+     * Fetch the raw product feed as JSON
+     */
+    static async fetchFeed(url) {
+        if (!url) {
+            throw new CatalogError('No catalog source configured');
+        }
+
+        let response;
+        try {
+            response = await fetch(url, { headers: { Accept: 'application/json' } });
+        } catch (error) {
+            throw new CatalogError(`Failed to fetch catalog from ${url}`, error);
+        }
+
+        if (!response.ok) {
+            throw new CatalogError(`Catalog request failed with status ${response.status}`);
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new CatalogError('Catalog response is not valid JSON', error);
+        }
+    }
+
+    /**
+     * Validate a feed and return its normalized products.
+     * Accepts either `{ products: [...] }` or a bare array. Invalid entries
+     * are skipped with a warning so one bad SKU does not take down the page.
+     */
+    static parse(feed) {
+        const entries = Array.isArray(feed) ? feed : feed && feed.products;
+
+        if (!Array.isArray(entries)) {
+            throw new CatalogError('Catalog feed must contain a "products" array');
+        }
+
+        const seenIds = new Set();
+        const products = [];
+
+        entries.forEach((entry, index) => {
+            const problem = ProductCatalog.validateProduct(entry);
+            if (problem) {
+                console.warn(`Skipping catalog entry ${index}: ${problem}`, entry);
+                return;
+            }
+
+            if (seenIds.has(entry.id)) {
+                console.warn(`Skipping catalog entry ${index}: duplicate id ${entry.id}`);
+                return;
+            }
+
+            const product = ProductCatalog.normalizeProduct(entry);
+            if (Array.isArray(entry.variants) && product.variants.length === 0) {
+                console.warn(`Skipping catalog entry ${index}: no valid variants`);
+                return;
+            }
+
+            seenIds.add(entry.id);
+            products.push(product);
+        });
+
+        if (products.length === 0) {
+            throw new CatalogError('Catalog feed contains no valid products');
+        }
+
+        return products;
+    }
+
+    /**
+     * Read the feed currency and exchange rates, skipping invalid rates
+     */
+    static parseCurrencies(feed) {
+        const currencyPattern = /^[A-Z]{3}$/;
+        const currency = feed && feed.currency !== undefined ? feed.currency : 'USD';
+
+        if (!currencyPattern.test(currency)) {
+            throw new CatalogError(`Catalog currency "${currency}" is not an ISO 4217 code`);
+        }
+
+        const exchangeRates = {};
+        Object.entries((feed && feed.exchangeRates) || {}).forEach(([code, rate]) => {
+            if (!currencyPattern.test(code) || typeof rate !== 'number' || !(rate > 0)) {
+                console.warn(`Skipping invalid exchange rate for ${code}:`, rate);
+                return;
+            }
+            exchangeRates[code] = rate;
+        });
+
+        return { currency, exchangeRates };
+    }
+
+    /**
+     * Return a description of what is wrong with a product entry, or null
+     */
+    static validateProduct(entry) {
+        if (!entry || typeof entry !== 'object') return 'entry is not an object';
+        if (!Number.isInteger(entry.id) || entry.id <= 0) return 'id must be a positive integer';
+        if (typeof entry.title !== 'string' || !entry.title.trim()) return 'title is required';
+        if (typeof entry.price !== 'number' || !Number.isFinite(entry.price) || entry.price < 0) {
+            return 'price must be a non-negative number';
+        }
+        if (typeof entry.image !== 'string' || !entry.image.trim()) return 'image is required';
+        if (!ProductCatalog.isValidStock(entry.stock)) return 'stock must be a non-negative integer';
+        if (entry.category !== undefined && (typeof entry.category !== 'string' || !entry.category.trim())) {
+            return 'category must be a non-empty string';
+        }
+        if (entry.popularity !== undefined && (typeof entry.popularity !== 'number' || !Number.isFinite(entry.popularity) || entry.popularity < 0)) {
+            return 'popularity must be a non-negative number';
+        }
+        if (entry.variants !== undefined && !Array.isArray(entry.variants)) return 'variants must be an array';
+        return null;
+    }
+
+    /**
+     * Return a description of what is wrong with a variant entry, or null
+     */
+    static validateVariant(variant) {
+        if (!variant || typeof variant !== 'object') return 'variant is not an object';
+        if (!Number.isInteger(variant.id) || variant.id <= 0) return 'variant id must be a positive integer';
+        if (!variant.options || typeof variant.options !== 'object' || Array.isArray(variant.options)) {
+            return 'variant options must be an object';
+        }
+        if (Object.values(variant.options).some(value => typeof value !== 'string' || !value.trim())) {
+            return 'variant option values must be non-empty strings';
+        }
+        if (variant.price !== undefined && (typeof variant.price !== 'number' || !Number.isFinite(variant.price) || variant.price < 0)) {
+            return 'variant price must be a non-negative number';
+        }
+        if (variant.image !== undefined && (typeof variant.image !== 'string' || !variant.image.trim())) {
+            return 'variant image must be a non-empty string';
+        }
+        if (!ProductCatalog.isValidStock(variant.stock)) return 'variant stock must be a non-negative integer';
+        return null;
+    }
+
+    /**
+     * Stock is optional; when given it must be a whole number of units
+     */
+    static isValidStock(stock) {
+        return stock === undefined || (Number.isInteger(stock) && stock >= 0);
+    }
+
+    /**
+     * Copy only the fields the builder relies on
+     */
+    static normalizeProduct(entry) {
+        const variants = ProductCatalog.normalizeVariants(entry);
+
+        return {
+            id: entry.id,
+            title: entry.title.trim(),
+            price: entry.price,
+            image: entry.image.trim(),
+            category: entry.category ? entry.category.trim() : undefined,
+            popularity: entry.popularity,
+            stock: entry.stock,
+            options: ProductCatalog.collectOptions(variants),
+            variants
+        };
+    }
+
+    /**
+     * Validate and normalize a product's variants, skipping invalid ones
+     */
+    static normalizeVariants(entry) {
+        const seenIds = new Set();
+        const variants = [];
+
+        (entry.variants || []).forEach((variant, index) => {
+            const problem = ProductCatalog.validateVariant(variant);
+            if (problem || seenIds.has(variant.id)) {
+                console.warn(`Skipping variant ${index} of product ${entry.id}: ${problem || `duplicate id ${variant.id}`}`);
+                return;
+            }
+
+            const options = {};
+            Object.entries(variant.options).forEach(([name, value]) => {
+                options[name.trim()] = value.trim();
+            });
+
+            seenIds.add(variant.id);
+            variants.push({
+                id: variant.id,
+                title: Object.values(options).join(' / '),
+                options,
+                price: variant.price,
+                image: variant.image ? variant.image.trim() : undefined,
+                stock: variant.stock
+            });
+        });
+
+        return variants;
+    }
+
+    /**
+     * List option names with their values in the order variants introduce them
+     */
+    static collectOptions(variants) {
+        const options = new Map();
+
+        variants.forEach(variant => {
+            Object.entries(variant.options).forEach(([name, value]) => {
+                if (!options.has(name)) options.set(name, []);
+                if (!options.get(name).includes(value)) options.get(name).push(value);
+            });
+        });
+
+        return Array.from(options, ([name, values]) => ({ name, values }));
+    }
+
+    /**
+     * Look up a product by id
+     */
+    get(productId) {
+        return this.products.get(productId);
+    }
+
+    /**
+     * Check whether a product exists in the catalog
+     */
+    has(productId) {
+        return this.products.has(productId);
+    }
+
+    /**
+     * Look up a variant of a product by id
+     */
+    getVariant(productId, variantId) {
+        const product = this.products.get(productId);
+        return product ? product.variants.find(variant => variant.id === variantId) : undefined;
+    }
+
+    /**
+     * First variant of a product, or undefined when it has none
+     */
+    getDefaultVariant(productId) {
+        const product = this.products.get(productId);
+        return product ? product.variants[0] : undefined;
+    }
+
+    /**
+     * Find the variant matching every given option value
+     */
+    findVariant(productId, options) {
+        const product = this.products.get(productId);
+        if (!product) return undefined;
+
+        return product.variants.find(variant =>
+            Object.entries(options).every(([name, value]) => variant.options[name] === value)
+        );
+    }
+
+    /**
+     * Units available for a product or variant. Variants without their own
+     * level use the product's; Infinity means stock is not tracked.
+     */
+    getStock(productId, variantId = null) {
+        const product = this.products.get(productId);
+        if (!product) return 0;
+
+        const variant = variantId ? this.getVariant(productId, variantId) : undefined;
+        if (variant && variant.stock !== undefined) return variant.stock;
+        return product.stock !== undefined ? product.stock : Infinity;
+    }
+
+    /**
+     * Check whether at least one unit of a product or variant is available
+     */
+    isInStock(productId, variantId = null) {
+        return this.getStock(productId, variantId) > 0;
+    }
+
+    /**
+     * Take stock levels from a freshly loaded catalog. Products or variants
+     * missing from it are treated as sold out.
+     */
+    updateStock(freshCatalog) {
+        this.products.forEach(product => {
+            const fresh = freshCatalog.get(product.id);
+            product.stock = fresh ? fresh.stock : 0;
+
+            product.variants.forEach(variant => {
+                const freshVariant = fresh ? freshCatalog.getVariant(product.id, variant.id) : undefined;
+                variant.stock = freshVariant ? freshVariant.stock : 0;
+            });
+        });
+    }
+
+    /**
+     * Currency codes prices can be shown in, catalog currency first
+     */
+    getCurrencies() {
+        return [this.currency, ...Object.keys(this.exchangeRates).filter(code => code !== this.currency)];
+    }
+
+    /**
+     * Price of a product, or of one of its variants, in integer minor units
+     * of the given currency
+     */
+    getPrice(productId, currency = this.currency, variantId = null) {
+        const product = this.products.get(productId);
+        const variant = variantId ? this.getVariant(productId, variantId) : undefined;
+        const price = variant && variant.price !== undefined ? variant.price : product.price;
+        const baseMinor = Money.toMinor(price, this.currency);
+        return Money.convert(baseMinor, this.currency, currency, this.exchangeRates);
+    }
+
+    /**
+     * All products in feed order
+     */
+    all() {
+        return Array.from(this.products.values());
+    }
+
+    get size() {
+        return this.products.size;
+    }
+}
@@ -0,0 +1,261 @@
+
+/**
+ * Discount Engine
+ * Evaluates configurable discount rules against the lines of a bundle
+ *
+ * A rule is a plain object with a `type` matching a registered rule type:
+ *   { type: 'tiered', tiers: [{ minItems: 2, percentage: 10 }, { minItems: 3, percentage: 20 }] }
+ *   { type: 'fixed', minItems: 3, amount: 20 }
+ *   { type: 'buyXGetY', buy: 2, get: 1 }
+ *   { type: 'cheapestFree', minItems: 4 }
+ * Any rule may set `label`, `id` and `excludeProductIds`. Built-in rules describe
+ * their default label with a `message` of `{ id, values }` as well, so the view
+ * can show it in the shopper's language (see I18n). `minItems` thresholds count
+ * distinct products, or total units when the engine is created with `countMode: 'units'`.
+ * Line prices and discount amounts are integer minor units (see Money); a fixed
+ * `amount` is given in major units and converted through the evaluation context.
+ */
+
+import { Money } from './money.js';
+
+/**
+ * Discount the builder offers unless configured otherwise; the quote
+ * server prices bundles with the same rules
+ */
+export const DEFAULT_DISCOUNT_RULES = [{ type: 'tiered', tiers: [{ minItems: 3, percentage: 30 }] }];
+
+export class DiscountEngine {
+    /**
+     * Create an engine for a list of rules
+     */
+    constructor(rules = [], { excludedProductIds = [], countMode = 'products' } = {}) {
+        this.rules = rules;
+        this.excludedProductIds = new Set(excludedProductIds);
+        this.countMode = countMode;
+    }
+
+    /**
+     * Register a custom rule type.
+     * `apply(rule, context)` returns `{ amount, label, message }` (amount in minor units)
+     * or null; the optional `next(rule, context)` returns `{ itemsNeeded, target, label, message }`
+     * or null. `message` is optional.
+     */
+    static registerRuleType(type, handler) {
+        DiscountEngine.ruleTypes.set(type, handler);
+    }
+
+    /**
+     * Evaluate every rule against the given lines of `{ id, price, quantity }`.
+     * `money` supplies the bundle `currency`, a display `locale` and
+     * `convertAmount(amount)` turning configured major-unit amounts into minor units.
+     */
+    evaluate(lines, money = {}) {
+        const currency = money.currency || 'USD';
+        const moneyContext = {
+            currency,
+            convertAmount: money.convertAmount || (amount => Money.toMinor(amount, currency)),
+            format: minor => Money.format(minor, currency, money.locale)
+        };
+        const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+        const applied = [];
+        let nextTier = null;
+        let remaining = subtotal;
+
+        this.rules.forEach((rule, index) => {
+            const handler = DiscountEngine.ruleTypes.get(rule.type);
+            if (!handler) {
+                console.warn(`Unknown discount rule type "${rule.type}"`);
+                return;
+            }
+
+            const context = this.createContext(rule, lines, moneyContext);
+            const result = handler.apply(rule, context);
+
+            // Discounts can never take the total below zero
+            if (result && result.amount > 0 && remaining > 0) {
+                const amount = Math.min(Math.round(result.amount), remaining);
+                remaining -= amount;
+                applied.push({
+                    id: rule.id || `${rule.type}-${index}`,
+                    type: rule.type,
+                    label: rule.label || result.label,
+                    message: rule.label ? null : (result.message || null),
+                    amount
+                });
+            }
+
+            const next = handler.next ? handler.next(rule, context) : null;
+            if (next && (!nextTier || next.itemsNeeded < nextTier.itemsNeeded)) {
+                nextTier = next;
+            }
+        });
+
+        const total = subtotal - remaining;
+
+        return {
+            subtotal,
+            total,
+            percentage: subtotal > 0 ? Math.round((total / subtotal) * 100) : 0,
+            applied,
+            nextTier
+        };
+    }
+
+    /**
+     * Build the inputs a rule sees, with excluded products filtered out
+     */
+    createContext(rule, lines, money) {
+        const ruleExclusions = new Set(rule.excludeProductIds || []);
+        const eligibleLines = lines.filter(line =>
+            !this.excludedProductIds.has(line.id) && !ruleExclusions.has(line.id)
+        );
+
+        const unitCount = eligibleLines.reduce((sum, line) => sum + line.quantity, 0);
+
+        return {
+            lines: eligibleLines,
+            // Thresholds follow the bundle's counting mode
+            itemCount: this.countMode === 'units' ? unitCount : eligibleLines.length,
+            unitCount,
+            subtotal: eligibleLines.reduce((sum, line) => sum + line.price * line.quantity, 0),
+            money
+        };
+    }
+
+    /**
+     * Expand lines into one price per unit, most expensive first
+     */
+    static getUnitPrices(lines) {
+        const prices = [];
+        lines.forEach(line => {
+            for (let i = 0; i < line.quantity; i++) prices.push(line.price);
+        });
+        return prices.sort((a, b) => b - a);
+    }
+}
+
+DiscountEngine.ruleTypes = new Map();
+
+/**
+ * Percentage off the eligible subtotal, using the highest tier reached
+ */
+DiscountEngine.registerRuleType('tiered', {
+    apply(rule, { itemCount, subtotal }) {
+        const tier = getSortedTiers(rule).filter(t => itemCount >= t.minItems).pop();
+        if (!tier) return null;
+
+        return {
+            amount: Money.percentOf(subtotal, tier.percentage),
+            label: `${tier.percentage}% off ${tier.minItems}+ items`,
+            message: { id: 'discount.tiered', values: { percentage: tier.percentage, minItems: tier.minItems } }
+        };
+    },
+    next(rule, { itemCount }) {
+        const tier = getSortedTiers(rule).find(t => itemCount < t.minItems);
+        if (!tier) return null;
+
+        return {
+            itemsNeeded: tier.minItems - itemCount,
+            target: tier.minItems,
+            label: `${tier.percentage}% off`,
+            message: { id: 'discount.tieredNext', values: { percentage: tier.percentage } }
+        };
+    }
+});
+
+/**
+ * Fixed amount off once enough items are in the bundle
+ */
+DiscountEngine.registerRuleType('fixed', {
+    apply(rule, { itemCount, money }) {
+        if (itemCount < (rule.minItems || 0)) return null;
+
+        const amount = money.convertAmount(rule.amount);
+        return {
+            amount,
+            label: `${money.format(amount)} off`,
+            message: { id: 'discount.fixed', values: { amount: money.format(amount) } }
+        };
+    },
+    next(rule, { itemCount, money }) {
+        if (itemCount >= (rule.minItems || 0)) return null;
+
+        const amount = money.format(money.convertAmount(rule.amount));
+        return {
+            itemsNeeded: rule.minItems - itemCount,
+            target: rule.minItems,
+            label: `${amount} off`,
+            message: { id: 'discount.fixed', values: { amount } }
+        };
+    }
+});
+
+/**
+ * For every `buy` units, the cheapest `get` units that follow are free
+ */
+DiscountEngine.registerRuleType('buyXGetY', {
+    apply(rule, { lines }) {
+        const groupSize = rule.buy + rule.get;
+        const prices = DiscountEngine.getUnitPrices(lines);
+        let amount = 0;
+
+        for (let start = 0; start + groupSize <= prices.length; start += groupSize) {
+            prices.slice(start + rule.buy, start + groupSize).forEach(price => {
+                amount += price;
+            });
+        }
+
+        if (amount === 0) return null;
+
+        return {
+            amount,
+            label: `Buy ${rule.buy} get ${rule.get} free`,
+            message: { id: 'discount.buyXGetY', values: { buy: rule.buy, get: rule.get } }
+        };
+    },
+    next(rule, { unitCount }) {
+        const groupSize = rule.buy + rule.get;
+        if (unitCount >= groupSize) return null;
+
+        return {
+            itemsNeeded: groupSize - unitCount,
+            target: groupSize,
+            label: `${rule.get} free`,
+            message: { id: 'discount.buyXGetYNext', values: { get: rule.get } }
+        };
+    }
+});
+
+/**
+ * The cheapest unit in the bundle is free
+ */
+DiscountEngine.registerRuleType('cheapestFree', {
+    apply(rule, { lines, itemCount }) {
+        if (itemCount === 0 || itemCount < (rule.minItems || 1)) return null;
+
+        const prices = DiscountEngine.getUnitPrices(lines);
+        return {
+            amount: prices[prices.length - 1],
+            label: 'Cheapest item free',
+            message: { id: 'discount.cheapestFree', values: {} }
+        };
+    },
+    next(rule, { itemCount }) {
+        const minItems = rule.minItems || 1;
+        if (itemCount >= minItems) return null;
+
+        return {
+            itemsNeeded: minItems - itemCount,
+            target: minItems,
+            label: 'cheapest item free',
+            message: { id: 'discount.cheapestFreeNext', values: {} }
+        };
+    }
+});
+
+/**
+ * Tiers ordered from lowest to highest threshold
+ */
+function getSortedTiers(rule) {
+    return (rule.tiers || []).slice().sort((a, b) => a.minItems - b.minItems);
+}
@@ -0,0 +1,182 @@
+
+/**
+ * I18n
+ * Message catalogs with ICU-style placeholders and plurals
+ *
+ * Catalogs map message ids to patterns, one catalog per locale:
+ *   { en: { 'bundle.count': '{count, plural, one {# item} other {# items}}' } }
+ * `{name}` inserts a value, with numbers formatted for the locale.
+ * `{count, plural, ...}` picks a branch with Intl.PluralRules; `=0` style
+ * branches match exact values, `other` is required, and `#` stands for the
+ * formatted count. `{kind, select, a {...} other {...}}` picks a branch by
+ * value. Branches may hold further placeholders. A message missing from
+ * `de-AT` is looked up in `de` and then in the fallback locale.
+ */
+
+/**
+ * Languages written right to left
+ */
+const RTL_LANGUAGES = ['ar', 'ckb', 'dv', 'fa', 'he', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+export class I18n {
+    /**
+     * Create a formatter for `locale` over catalogs keyed by locale
+     */
+    constructor({ locale = 'en', catalogs = {}, fallbackLocale = 'en' } = {}) {
+        this.locale = locale;
+        this.catalogs = catalogs;
+        this.chain = I18n.getLocaleChain(locale, fallbackLocale).filter(tag => catalogs[tag]);
+        this.direction = I18n.getDirection(locale);
+        this.pluralRules = new Intl.PluralRules(locale);
+        this.numberFormat = new Intl.NumberFormat(locale);
+    }
+
+    /**
+     * Locales to look messages up in, most specific first: `de-AT`, `de`, then the fallback
+     */
+    static getLocaleChain(locale, fallbackLocale = 'en') {
+        const chain = [];
+        const parts = String(locale).split('-');
+
+        while (parts.length > 0) {
+            chain.push(parts.join('-'));
+            parts.pop();
+        }
+        if (!chain.includes(fallbackLocale)) chain.push(fallbackLocale);
+
+        return chain;
+    }
+
+    /**
+     * Writing direction of a locale, 'rtl' or 'ltr'
+     */
+    static getDirection(locale) {
+        const language = String(locale).split('-')[0].toLowerCase();
+        return RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Check whether any catalog in the chain has a message
+     */
+    has(id) {
+        return this.chain.some(tag => typeof this.catalogs[tag][id] === 'string');
+    }
+
+    /**
+     * Format a message with values; unknown ids come back as the id itself
+     */
+    format(id, values = {}) {
+        const tag = this.chain.find(candidate => typeof this.catalogs[candidate][id] === 'string');
+        if (!tag) {
+            console.warn(`Missing message "${id}" for locale "${this.locale}"`);
+            return id;
+        }
+
+        return this.formatPattern(this.catalogs[tag][id], values);
+    }
+
+    /**
+     * Format a number for the locale
+     */
+    formatNumber(value) {
+        return this.numberFormat.format(value);
+    }
+
+    // =========================================================================
+    // PATTERN METHODS
+    // =========================================================================
+
+    /**
+     * Replace the placeholders of a pattern; inside a plural branch, `#` is
+     * the count
+     */
+    formatPattern(pattern, values, count) {
+        let result = '';
+        let index = 0;
+
+        while (index < pattern.length) {
+            const char = pattern[index];
+
+            if (char === '{') {
+                const end = I18n.findClosingBrace(pattern, index);
+                result += this.formatArgument(pattern.slice(index + 1, end), values);
+                index = end + 1;
+                continue;
+            }
+
+            result += char === '#' && count !== undefined ? this.formatNumber(count) : char;
+            index++;
+        }
+
+        return result;
+    }
+
+    /**
+     * Format one `{name}`, `{name, plural, ...}` or `{name, select, ...}` argument
+     */
+    formatArgument(body, values) {
+        const [name, type, ...rest] = body.split(',');
+        const value = values[name.trim()];
+
+        if (type === undefined) {
+            if (value === undefined) return `{${name.trim()}}`;
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        }
+
+        const branches = I18n.parseBranches(rest.join(','));
+
+        switch (type.trim()) {
+            case 'plural': {
+                const exact = branches[`=${value}`];
+                if (exact !== undefined) return this.formatPattern(exact, values, value);
+
+                const branch = branches[this.pluralRules.select(value)];
+                return this.formatPattern(branch === undefined ? branches.other : branch, values, value);
+            }
+            case 'select': {
+                const branch = branches[value];
+                return this.formatPattern(branch === undefined ? branches.other : branch, values);
+            }
+            default:
+                throw new SyntaxError(`Unsupported message argument type "${type.trim()}"`);
+        }
+    }
+
+    /**
+     * Split `one {# item} other {# items}` into `{ one: '# item', other: '# items' }`
+     */
+    static parseBranches(source) {
+        const branches = {};
+        let index = 0;
+
+        while (index < source.length) {
+            const start = source.indexOf('{', index);
+            if (start === -1) break;
+
+            const key = source.slice(index, start).trim();
+            const end = I18n.findClosingBrace(source, start);
+            branches[key] = source.slice(start + 1, end);
+            index = end + 1;
+        }
+
+        if (branches.other === undefined) {
+            throw new SyntaxError(`Message branches need an "other" case: ${source}`);
+        }
+
+        return branches;
+    }
+
+    /**
+     * Index of the brace closing the one opened at `start`
+     */
+    static findClosingBrace(pattern, start) {
+        let depth = 0;
+
+        for (let index = start; index < pattern.length; index++) {
+            if (pattern[index] === '{') depth++;
+            if (pattern[index] === '}' && --depth === 0) return index;
+        }
+
+        throw new SyntaxError(`Unbalanced braces in message: ${pattern}`);
+    }
+}
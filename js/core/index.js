@@ -0,0 +1,18 @@
+
+/**
+ * Bundle Core
+ * Framework-agnostic bundle state, pricing and events; free of DOM access so
+ * it runs in the browser and in Node alike
+ */
+
+export { Money } from './money.js';
+export { CatalogError, ProductCatalog } from './catalog.js';
+export { DEFAULT_DISCOUNT_RULES, DiscountEngine } from './discount-engine.js';
+export { BUNDLE_EVENT_TYPES, BundleEvent, BundleEventEmitter } from './bundle-events.js';
+export { BundleHistory } from './bundle-history.js';
+export { BundleStore } from './bundle-store.js';
+export { I18n } from './i18n.js';
+export { PRODUCT_SORT_ORDERS, ProductFilter } from './product-filter.js';
+export { PROMO_STACKING_POLICIES, PromoCodes } from './promo-codes.js';
+export { RecommendationEngine } from './recommendations.js';
+export { UrlAllowlist } from './url-allowlist.js';
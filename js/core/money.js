@@ -0,0 +1,87 @@
+
+/**
+ * Money
+ * Integer minor-unit arithmetic and locale-aware formatting for prices
+ *
+ * Amounts are integers in the currency's minor unit (cents for USD, pence
+ * for GBP, whole yen for JPY) so sums and discounts never drift.
+ */
+export class Money {
+    /**
+     * Number of decimal places the currency uses (2 for USD, 0 for JPY)
+     */
+    static getMinorUnitDigits(currency) {
+        if (!Money.digitsCache.has(currency)) {
+            let digits = 2;
+            try {
+                digits = new Intl.NumberFormat('en', { style: 'currency', currency })
+                    .resolvedOptions().maximumFractionDigits;
+            } catch (error) {
+                console.warn(`Unknown currency "${currency}", assuming 2 decimal places`);
+            }
+            Money.digitsCache.set(currency, digits);
+        }
+        return Money.digitsCache.get(currency);
+    }
+
+    /**
+     * Convert a major-unit amount (e.g. 12.99) to integer minor units (1299)
+     */
+    static toMinor(amount, currency) {
+        const digits = Money.getMinorUnitDigits(currency);
+        if (String(amount).includes('e')) return Math.round(amount * 10 ** digits);
+        // Shift through the exponent so 1.005 becomes 100.5, not 100.49999
+        return Math.round(Number(`${amount}e${digits}`));
+    }
+
+    /**
+     * Convert integer minor units back to a major-unit number
+     */
+    static fromMinor(minor, currency) {
+        return minor / 10 ** Money.getMinorUnitDigits(currency);
+    }
+
+    /**
+     * Plain decimal string for payloads, e.g. "12.99" or "1500"
+     */
+    static toDecimalString(minor, currency) {
+        return Money.fromMinor(minor, currency).toFixed(Money.getMinorUnitDigits(currency));
+    }
+
+    /**
+     * A percentage of an amount, rounded to the currency's minor unit
+     */
+    static percentOf(minor, percentage) {
+        return Math.round((minor * percentage) / 100);
+    }
+
+    /**
+     * Convert minor units between currencies using rates relative to a shared base
+     */
+    static convert(minor, fromCurrency, toCurrency, rates) {
+        if (fromCurrency === toCurrency) return minor;
+
+        const fromRate = rates[fromCurrency];
+        const toRate = rates[toCurrency];
+        if (!fromRate || !toRate) {
+            throw new Error(`No exchange rate for ${fromCurrency} to ${toCurrency}`);
+        }
+
+        const major = Money.fromMinor(minor, fromCurrency) * (toRate / fromRate);
+        return Money.toMinor(Number(major.toFixed(6)), toCurrency);
+    }
+
+    /**
+     * Format minor units for display with Intl.NumberFormat
+     */
+    static format(minor, currency, locale) {
+        const key = `${locale || ''}|${currency}`;
+        if (!Money.formatterCache.has(key)) {
+            Money.formatterCache.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency }));
+        }
+        return Money.formatterCache.get(key).format(Money.fromMinor(minor, currency));
+    }
+}
+
+Money.digitsCache = new Map();
+Money.formatterCache = new Map();
@@ -0,0 +1,125 @@
+/**
+ * Product Filter
+ * Search, filters and sort order for the product grid
+ *
+ * A filter describes what the shopper asked for:
+ *   new ProductFilter({ query: 'knit', category: 'outerwear', minPrice: 50, maxPrice: 150, inStock: true, sort: 'priceAsc' })
+ * Empty fields do not filter. Prices are major units of the bundle currency
+ * and compared with each product's base price. Filters are immutable:
+ * `with(changes)` returns a new one. Sorting keeps catalog order for ties,
+ * and 'featured' is catalog order itself.
+ */
+
+import { Money } from './money.js';
+
+export const PRODUCT_SORT_ORDERS = ['featured', 'priceAsc', 'priceDesc', 'popularity'];
+
+export class ProductFilter {
+    /**
+     * Create a filter, dropping values that cannot filter anything
+     */
+    constructor({ query = '', category = null, minPrice = null, maxPrice = null, inStock = false, sort = 'featured' } = {}) {
+        this.query = typeof query === 'string' ? query.trim() : '';
+        this.category = typeof category === 'string' && category !== '' ? category : null;
+        this.minPrice = ProductFilter.parsePrice(minPrice);
+        this.maxPrice = ProductFilter.parsePrice(maxPrice);
+        this.inStock = inStock === true;
+        this.sort = PRODUCT_SORT_ORDERS.includes(sort) ? sort : 'featured';
+    }
+
+    /**
+     * A price bound as a non-negative number, or null for none
+     */
+    static parsePrice(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        const price = Number(value);
+        return Number.isFinite(price) && price >= 0 ? price : null;
+    }
+
+    /**
+     * Lowercase text without accents, so "cafe" finds "Café"
+     */
+    static normalizeText(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Copy of this filter with some fields changed
+     */
+    with(changes) {
+        return new ProductFilter({ ...this.toJSON(), ...changes });
+    }
+
+    /**
+     * Plain fields of the filter
+     */
+    toJSON() {
+        const { query, category, minPrice, maxPrice, inStock, sort } = this;
+        return { query, category, minPrice, maxPrice, inStock, sort };
+    }
+
+    /**
+     * Check whether any field narrows the products, sort order aside
+     */
+    isActive() {
+        return this.query !== '' || this.category !== null || this.minPrice !== null
+            || this.maxPrice !== null || this.inStock;
+    }
+
+    /**
+     * Check whether a catalog product passes the filter, priced in a store's currency
+     */
+    matches(product, store) {
+        if (this.query) {
+            const words = ProductFilter.normalizeText(this.query).split(/\s+/);
+            const title = ProductFilter.normalizeText(product.title);
+            if (!words.every(word => title.includes(word))) return false;
+        }
+
+        if (this.category !== null && product.category !== this.category) return false;
+
+        const price = store.getPrice(product.id);
+        if (this.minPrice !== null && price < Money.toMinor(this.minPrice, store.currency)) return false;
+        if (this.maxPrice !== null && price > Money.toMinor(this.maxPrice, store.currency)) return false;
+
+        return !this.inStock || ProductFilter.isAvailable(product, store.catalog);
+    }
+
+    /**
+     * Check whether a product or any of its variants has stock in the catalog
+     */
+    static isAvailable(product, catalog) {
+        return product.variants.length > 0
+            ? product.variants.some(variant => catalog.isInStock(product.id, variant.id))
+            : catalog.isInStock(product.id);
+    }
+
+    /**
+     * The store catalog's products that pass the filter, in the filter's order
+     */
+    apply(store) {
+        const products = store.catalog.all().filter(product => this.matches(product, store));
+
+        switch (this.sort) {
+            case 'priceAsc':
+                return sortBy(products, product => store.getPrice(product.id));
+            case 'priceDesc':
+                return sortBy(products, product => -store.getPrice(product.id));
+            case 'popularity':
+                return sortBy(products, product => -(product.popularity || 0));
+            default:
+                return products;
+        }
+    }
+}
+
+/**
+ * Stable sort by a numeric key, lowest first
+ */
+function sortBy(items, key) {
+    return items
+        .map((item, index) => ({ item, index, value: key(item) }))
+        .sort((a, b) => a.value - b.value || a.index - b.index)
+        .map(entry => entry.item);
+}
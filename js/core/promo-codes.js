@@ -0,0 +1,289 @@
+/**
+ * Promo Codes
+ * Checks codes shoppers enter against a configured list and works out what
+ * they take off a bundle on top of, or instead of, the bundle discount
+ *
+ * A code is a plain object with a `type` matching a registered code type:
+ *   { code: 'SAVE10', type: 'percentage', percentage: 10 }
+ *   { code: 'TENOFF', type: 'fixed', amount: 10 }
+ *   { code: 'GIFT', type: 'freeGift', productId: 4 }
+ * Any code may set `expiresAt` (an ISO date), `minSpend` (checked against
+ * the subtotal) and `label`. Like fixed discount rules, `amount` and
+ * `minSpend` are major units converted through the money context. Codes
+ * match case-insensitively.
+ *
+ * The stacking policy decides how codes combine with the bundle discount:
+ *   'stack'      codes come off what is left after the bundle discount
+ *   'bestOf'     only the bigger saving applies: the bundle discount or the codes
+ *   'exclusive'  codes never combine with the bundle discount: they replace
+ *                it when they save at least as much, else they are dropped
+ * A free gift takes nothing off the total, so 'bestOf' always keeps it, while
+ * 'exclusive' only grants it when the bundle earns no discount of its own.
+ */
+
+import { Money } from './money.js';
+
+export const PROMO_STACKING_POLICIES = ['stack', 'bestOf', 'exclusive'];
+
+export class PromoCodes {
+    /**
+     * Create a code list with a stacking policy
+     */
+    constructor(codes = [], { stacking = 'stack' } = {}) {
+        if (!PROMO_STACKING_POLICIES.includes(stacking)) {
+            throw new TypeError(`Unknown promo code stacking policy "${stacking}"`);
+        }
+
+        this.codes = new Map(PromoCodes.parseCodes(codes).map(promo => [PromoCodes.normalize(promo.code), promo]));
+        this.stacking = stacking;
+    }
+
+    /**
+     * Register a custom code type. `apply(promo, context)` returns
+     * `{ amount, label, message, giftProductId }` or null when the code does
+     * not fit the bundle; `context` holds the `total` left to discount, the
+     * bundle `lines`, the `catalog` and the `money` helpers. Only `label` is
+     * required. The optional `validate(promo)` describes what is wrong with
+     * the type's own fields, or returns null.
+     */
+    static registerType(type, handler) {
+        PromoCodes.types.set(type, handler);
+    }
+
+    /**
+     * Create a code list from a URL or inline codes
+     */
+    static async load({ url, codes, stacking } = {}) {
+        return new PromoCodes(codes !== undefined ? codes : await PromoCodes.fetchCodes(url), { stacking });
+    }
+
+    /**
+     * Fetch a list of codes as JSON; no URL means no codes
+     */
+    static async fetchCodes(url) {
+        if (!url) return [];
+
+        const response = await fetch(url, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`Promo code request failed with status ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Keep the well-formed codes of a list, skipping invalid ones with a warning
+     */
+    static parseCodes(codes) {
+        if (!Array.isArray(codes)) {
+            console.warn('Ignoring promo codes: not a list');
+            return [];
+        }
+
+        return codes.filter((promo, index) => {
+            const problem = PromoCodes.validateCode(promo);
+            if (problem) console.warn(`Skipping promo code ${index}: ${problem}`, promo);
+            return !problem;
+        });
+    }
+
+    /**
+     * Return a description of what is wrong with a code entry, or null
+     */
+    static validateCode(promo) {
+        if (!promo || typeof promo !== 'object') return 'entry is not an object';
+        if (typeof promo.code !== 'string' || !promo.code.trim()) return 'code is required';
+        if (!PromoCodes.types.has(promo.type)) return `unknown type "${promo.type}"`;
+        if (promo.expiresAt !== undefined && Number.isNaN(Date.parse(promo.expiresAt))) return 'expiresAt must be a date';
+        if (promo.minSpend !== undefined && !PromoCodes.isNonNegativeNumber(promo.minSpend)) {
+            return 'minSpend must be a non-negative number';
+        }
+
+        const { validate } = PromoCodes.types.get(promo.type);
+        return validate ? validate(promo) : null;
+    }
+
+    /**
+     * Check for a finite number of zero or more
+     */
+    static isNonNegativeNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    }
+
+    /**
+     * Canonical form a code is matched in
+     */
+    static normalize(code) {
+        return String(code).trim().toUpperCase();
+    }
+
+    /**
+     * Configured code matching what a shopper typed, or undefined
+     */
+    find(code) {
+        return this.codes.get(PromoCodes.normalize(code));
+    }
+
+    /**
+     * Check whether any codes are configured
+     */
+    isEmpty() {
+        return this.codes.size === 0;
+    }
+
+    /**
+     * Why a code cannot apply to a bundle with this subtotal right now:
+     * 'unknown', 'expired' or 'minSpend'; null when it can
+     */
+    check(code, { subtotal, money, now = Date.now() }) {
+        const promo = this.find(code);
+
+        if (!promo) return 'unknown';
+        if (promo.expiresAt !== undefined && Date.parse(promo.expiresAt) <= now) return 'expired';
+        if (promo.minSpend && subtotal < money.convertAmount(promo.minSpend)) return 'minSpend';
+        return null;
+    }
+
+    /**
+     * Lay the entered `codes` over an evaluation of the bundle discount.
+     * Returns the evaluation with the codes' discounts in `applied` (marked
+     * with their `code`) and the totals updated, plus a `promoCodes` entry of
+     * `{ code, status }` per entered code, where status is 'applied', a reason
+     * from check(), 'notApplicable' or 'outdone' (the bundle discount saved
+     * more under 'bestOf' or 'exclusive').
+     */
+    apply(result, codes, { lines = [], catalog, money = {}, now = Date.now() } = {}) {
+        const currency = money.currency || 'USD';
+        const moneyContext = {
+            currency,
+            convertAmount: money.convertAmount || (amount => Money.toMinor(amount, currency)),
+            format: minor => Money.format(minor, currency, money.locale)
+        };
+        const { subtotal } = result;
+        const statuses = new Map();
+        const discounts = [];
+
+        // Codes are worked out on what the policy leaves them to discount
+        let remaining = this.stacking === 'stack' ? subtotal - result.total : subtotal;
+
+        codes.forEach(code => {
+            const promo = this.find(code);
+            const reason = this.check(code, { subtotal, money: moneyContext, now });
+            const key = promo ? promo.code : code;
+
+            if (reason) {
+                statuses.set(key, reason);
+                return;
+            }
+
+            const outcome = PromoCodes.types.get(promo.type).apply(promo, { total: remaining, lines, catalog, money: moneyContext });
+            if (!outcome) {
+                statuses.set(key, 'notApplicable');
+                return;
+            }
+
+            const amount = Math.min(Math.round(outcome.amount || 0), remaining);
+            remaining -= amount;
+            statuses.set(key, 'applied');
+            discounts.push({
+                id: `promo-${PromoCodes.normalize(promo.code)}`,
+                type: promo.type,
+                code: promo.code,
+                label: promo.label || outcome.label,
+                message: promo.label ? null : (outcome.message || null),
+                amount,
+                giftProductId: outcome.giftProductId === undefined ? null : outcome.giftProductId
+            });
+        });
+
+        const codeTotal = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+        let bundleDiscounts = result.applied;
+        let codeDiscounts = discounts;
+
+        if (this.stacking === 'exclusive' && discounts.length > 0) {
+            // The shopper never pays more for entering a code
+            if (codeTotal >= result.total) {
+                bundleDiscounts = [];
+            } else {
+                codeDiscounts = [];
+                discounts.forEach(discount => statuses.set(discount.code, 'outdone'));
+            }
+        } else if (this.stacking === 'bestOf' && codeTotal > 0) {
+            if (codeTotal > result.total) {
+                bundleDiscounts = [];
+            } else {
+                // Gifts cost the bundle discount nothing, so they stay
+                codeDiscounts = discounts.filter(discount => discount.amount === 0);
+                discounts.filter(discount => discount.amount > 0).forEach(discount => statuses.set(discount.code, 'outdone'));
+            }
+        }
+
+        const applied = bundleDiscounts.concat(codeDiscounts);
+        const total = applied.reduce((sum, discount) => sum + discount.amount, 0);
+
+        return {
+            ...result,
+            total,
+            percentage: subtotal > 0 ? Math.round((total / subtotal) * 100) : 0,
+            applied,
+            promoCodes: Array.from(statuses, ([code, status]) => ({ code, status }))
+        };
+    }
+}
+
+PromoCodes.types = new Map();
+
+/**
+ * Percentage off what is left to discount
+ */
+PromoCodes.registerType('percentage', {
+    validate(promo) {
+        return PromoCodes.isNonNegativeNumber(promo.percentage) && promo.percentage <= 100
+            ? null
+            : 'percentage must be a number from 0 to 100';
+    },
+    apply(promo, { total }) {
+        return {
+            amount: Money.percentOf(total, promo.percentage),
+            label: `${promo.code}: ${promo.percentage}% off`,
+            message: { id: 'promo.percentage', values: { code: promo.code, percentage: promo.percentage } }
+        };
+    }
+});
+
+/**
+ * Fixed amount off
+ */
+PromoCodes.registerType('fixed', {
+    validate(promo) {
+        return PromoCodes.isNonNegativeNumber(promo.amount) ? null : 'amount must be a non-negative number';
+    },
+    apply(promo, { money }) {
+        const amount = money.convertAmount(promo.amount);
+        return {
+            amount,
+            label: `${promo.code}: ${money.format(amount)} off`,
+            message: { id: 'promo.fixed', values: { code: promo.code, amount: money.format(amount) } }
+        };
+    }
+});
+
+/**
+ * A catalog product added free of charge; nothing comes off the total
+ */
+PromoCodes.registerType('freeGift', {
+    validate(promo) {
+        return Number.isInteger(promo.productId) && promo.productId > 0 ? null : 'productId must be a positive integer';
+    },
+    apply(promo, { catalog }) {
+        const product = catalog && catalog.get(promo.productId);
+        if (!product || !catalog.isInStock(product.id)) return null;
+
+        return {
+            amount: 0,
+            label: `${promo.code}: free ${product.title}`,
+            message: { id: 'promo.freeGift', values: { code: promo.code, title: product.title } },
+            giftProductId: product.id
+        };
+    }
+});
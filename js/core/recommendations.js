@@ -0,0 +1,161 @@
+
+/**
+ * Recommendation Engine
+ * Suggests catalog products that would complete a bundle
+ *
+ * Strategies score every candidate product against the products already in
+ * the bundle; candidates scoring above zero are suggested, best first. Given
+ * a list of strategies, each one in turn fills the slots the previous ones
+ * left open, so a data-driven strategy can fall back to a simpler one:
+ *   new RecommendationEngine(['affinity', 'category', 'price'], data)
+ * Built-in strategies read optional `data`:
+ *   {
+ *     affinity: { "1": { "3": 0.6 } },           // Share of orders with product 1 that also had product 3
+ *     complements: { "tops": ["bottoms"] }       // Categories that go well with a category
+ *   }
+ * `price` needs no data: it prefers products priced like the bundle's.
+ */
+
+export class RecommendationEngine {
+    /**
+     * Create an engine for a strategy name or a list of them, tried in order
+     */
+    constructor(strategies = ['affinity', 'category', 'price'], data = {}) {
+        this.strategies = [].concat(strategies);
+        this.data = RecommendationEngine.parseData(data);
+
+        const unknown = this.strategies.find(name => !RecommendationEngine.strategies.has(name));
+        if (unknown !== undefined) {
+            throw new TypeError(`Unknown recommendation strategy "${unknown}"`);
+        }
+    }
+
+    /**
+     * Register a custom strategy. `score(product, context)` returns a number,
+     * where zero or less means "do not suggest"; `context` holds the
+     * `catalog`, the bundle's `products` and the engine's `data`.
+     */
+    static registerStrategy(name, score) {
+        RecommendationEngine.strategies.set(name, score);
+    }
+
+    /**
+     * Create an engine with its data from a URL or inline
+     */
+    static async load({ strategies, url, data } = {}) {
+        return new RecommendationEngine(strategies, data !== undefined ? data : await RecommendationEngine.fetchData(url));
+    }
+
+    /**
+     * Fetch recommendation data as JSON; no URL means no data
+     */
+    static async fetchData(url) {
+        if (!url) return {};
+
+        const response = await fetch(url, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`Recommendation data request failed with status ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Keep the well-formed parts of recommendation data, skipping invalid
+     * entries with a warning
+     */
+    static parseData(data) {
+        const affinity = {};
+        const complements = {};
+
+        Object.entries((data && data.affinity) || {}).forEach(([productId, related]) => {
+            if (!related || typeof related !== 'object' || Array.isArray(related)) {
+                console.warn(`Skipping affinity data for product ${productId}: not an object`);
+                return;
+            }
+
+            affinity[productId] = {};
+            Object.entries(related).forEach(([relatedId, weight]) => {
+                if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+                    console.warn(`Skipping affinity of product ${productId} to ${relatedId}:`, weight);
+                    return;
+                }
+                affinity[productId][relatedId] = weight;
+            });
+        });
+
+        Object.entries((data && data.complements) || {}).forEach(([category, categories]) => {
+            if (!Array.isArray(categories) || categories.some(value => typeof value !== 'string')) {
+                console.warn(`Skipping complements of category ${category}: not a list of categories`);
+                return;
+            }
+            complements[category] = categories;
+        });
+
+        return { affinity, complements };
+    }
+
+    /**
+     * Suggest up to `count` products of the catalog for a bundle holding
+     * `productIds`. `isEligible(product)` can rule out products that cannot
+     * be added, such as sold-out ones. Returns `{ productId, strategy, score }`
+     * entries, best first; ties keep catalog order.
+     */
+    recommend(catalog, productIds, { count = 1, isEligible = () => true } = {}) {
+        const inBundle = new Set(productIds);
+        const context = {
+            catalog,
+            products: productIds.map(id => catalog.get(id)).filter(Boolean),
+            data: this.data
+        };
+        const candidates = Array.from(catalog.products.values())
+            .filter(product => !inBundle.has(product.id) && isEligible(product));
+        const recommendations = [];
+
+        for (const name of this.strategies) {
+            if (recommendations.length >= count) break;
+
+            const score = RecommendationEngine.strategies.get(name);
+            const picked = new Set(recommendations.map(recommendation => recommendation.productId));
+
+            candidates
+                .filter(product => !picked.has(product.id))
+                .map(product => ({ productId: product.id, strategy: name, score: score(product, context) }))
+                .filter(recommendation => recommendation.score > 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, count - recommendations.length)
+                .forEach(recommendation => recommendations.push(recommendation));
+        }
+
+        return recommendations;
+    }
+}
+
+RecommendationEngine.strategies = new Map();
+
+// Co-purchase affinity: how often the bundle's products were bought with the candidate
+RecommendationEngine.registerStrategy('affinity', (product, { products, data }) => {
+    return products.reduce((sum, bundled) => {
+        const related = data.affinity[bundled.id];
+        return sum + (related && related[product.id] ? related[product.id] : 0);
+    }, 0);
+});
+
+// Category complementarity: how many bundle products have a category the candidate's complements
+RecommendationEngine.registerStrategy('category', (product, { products, data }) => {
+    if (!product.category) return 0;
+
+    return products.filter(bundled => {
+        const complements = bundled.category ? data.complements[bundled.category] : undefined;
+        return complements !== undefined && complements.includes(product.category);
+    }).length;
+});
+
+// Price fit: closeness to the average price of the bundle's products, from 1 down towards 0
+RecommendationEngine.registerStrategy('price', (product, { products }) => {
+    if (products.length === 0) return 0;
+
+    const average = products.reduce((sum, bundled) => sum + bundled.price, 0) / products.length;
+    const distance = Math.abs(product.price - average) / (average > 0 ? average : 1);
+    return 1 / (1 + distance);
+});
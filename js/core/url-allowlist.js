@@ -0,0 +1,67 @@
+
+/**
+ * URL Allowlist
+ * Decides which URLs taken from a product feed the page may load
+ *
+ * Relative URLs and URLs on the page's own origin are always allowed. Any
+ * other URL needs one of the allowed protocols and a listed host; a host
+ * written as `*.example.com` matches every subdomain of example.com.
+ * Everything else, including `javascript:` and `data:` URLs, is refused.
+ */
+
+/**
+ * Protocols a same-origin URL may use
+ */
+const SAME_ORIGIN_PROTOCOLS = ['http:', 'https:', 'file:'];
+
+export class UrlAllowlist {
+    /**
+     * Create an allowlist resolving relative URLs against `baseUrl`
+     */
+    constructor({ baseUrl, protocols = ['https:'], hosts = [] } = {}) {
+        this.baseUrl = baseUrl ? new URL(baseUrl) : null;
+        this.protocols = protocols.map(protocol => protocol.toLowerCase());
+        this.hosts = hosts.map(host => host.toLowerCase());
+    }
+
+    /**
+     * Absolute form of an allowed URL, or null when it is not allowed
+     */
+    resolve(value) {
+        if (typeof value !== 'string' || !value.trim()) return null;
+
+        let url;
+        try {
+            url = new URL(value.trim(), this.baseUrl || undefined);
+        } catch (error) {
+            return null;
+        }
+
+        // Compare protocol and host: opaque URLs such as javascript: all share the origin "null"
+        const base = this.baseUrl;
+        if (base && SAME_ORIGIN_PROTOCOLS.includes(url.protocol)
+            && url.protocol === base.protocol && url.host === base.host) {
+            return url.href;
+        }
+
+        if (!this.protocols.includes(url.protocol)) return null;
+        return this.hosts.some(host => UrlAllowlist.matchesHost(url.hostname, host)) ? url.href : null;
+    }
+
+    /**
+     * Check whether an allowed URL was given
+     */
+    allows(value) {
+        return this.resolve(value) !== null;
+    }
+
+    /**
+     * Match a hostname against a host or `*.`-prefixed wildcard pattern
+     */
+    static matchesHost(hostname, pattern) {
+        if (pattern.startsWith('*.')) {
+            return hostname.endsWith(pattern.slice(1));
+        }
+        return hostname === pattern;
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * Filter Link
+ * Keeps the product grid's search, filters and sort order in the page URL,
+ * so a filtered view survives a reload and can be shared
+ *
+ * Each field has its own query parameter, named after a prefix that keeps
+ * several builders on one page apart:
+ *   ?q=knit&category=outerwear&price=50-150&stock=in&sort=priceAsc
+ * Fields left at their defaults are left out of the URL.
+ */
+
+import { replacePageUrl } from './page-url.js';
+
+export class FilterLink {
+    /**
+     * Create a link reader/writer for parameters with the given prefix
+     */
+    constructor(prefix = '', { location = window.location, history = window.history } = {}) {
+        this.prefix = prefix;
+        this.location = location;
+        this.history = history;
+    }
+
+    /**
+     * Full name of a field's query parameter
+     */
+    getParam(name) {
+        return `${this.prefix}${name}`;
+    }
+
+    /**
+     * Read filter fields from the current URL, for `new ProductFilter(fields)`
+     */
+    read() {
+        const params = new URLSearchParams(this.location.search);
+        const price = (params.get(this.getParam('price')) || '').split('-');
+
+        return {
+            query: params.get(this.getParam('q')) || '',
+            category: params.get(this.getParam('category')),
+            minPrice: price[0],
+            maxPrice: price[1],
+            inStock: params.get(this.getParam('stock')) === 'in',
+            sort: params.get(this.getParam('sort')) || undefined
+        };
+    }
+
+    /**
+     * URL of the current page with a filter's fields, replacing any
+     * previous ones
+     */
+    buildUrl(filter) {
+        const url = new URL(this.location.href);
+        const hasPrice = filter.minPrice !== null || filter.maxPrice !== null;
+        const fields = {
+            q: filter.query || null,
+            category: filter.category,
+            price: hasPrice ? `${formatBound(filter.minPrice)}-${formatBound(filter.maxPrice)}` : null,
+            stock: filter.inStock ? 'in' : null,
+            sort: filter.sort === 'featured' ? null : filter.sort
+        };
+
+        Object.entries(fields).forEach(([name, value]) => {
+            if (value === null) {
+                url.searchParams.delete(this.getParam(name));
+            } else {
+                url.searchParams.set(this.getParam(name), value);
+            }
+        });
+
+        return url.toString();
+    }
+
+    /**
+     * Replace the current history entry so the URL always shows the current filter
+     */
+    write(filter) {
+        replacePageUrl(this.buildUrl(filter), { location: this.location, history: this.history });
+    }
+}
+
+/**
+ * One end of a price range, empty when open
+ */
+function formatBound(price) {
+    return price === null ? '' : String(price);
+}
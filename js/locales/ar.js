@@ -0,0 +1,155 @@
+
+/**
+ * Arabic messages, written right to left
+ */
+
+export const messages = {
+    // Sidebar markup
+    'bundle.title': 'أنشئ باقة',
+    'bundle.currency': 'العملة',
+    'bundle.progress': 'تقدم الباقة',
+    'bundle.region': 'اختيار منتجات الباقة',
+    'bundle.products': 'المنتجات المتاحة',
+    'bundle.headline': 'اشترِ {minItems} ووفّر {percentage}٪',
+    'bundle.headlineDefault': 'أنشئ باقتك',
+    'bundle.description': 'أضف {mode, select, units {{minItems, plural, one {قطعة واحدة} two {قطعتين} few {# قطع} many {# قطعة} other {# قطعة}}} other {{minItems, plural, one {منتجًا واحدًا} two {منتجين} few {# منتجات} many {# منتجًا} other {# منتج}}}} على الأقل ووفّر {percentage}٪.',
+    'bundle.descriptionDefault': 'أضف {mode, select, units {{minItems, plural, one {قطعة واحدة} two {قطعتين} few {# قطع} many {# قطعة} other {# قطعة}}} other {{minItems, plural, one {منتجًا واحدًا} two {منتجين} few {# منتجات} many {# منتجًا} other {# منتج}}}} على الأقل إلى باقتك.',
+    'summary.discount': 'الخصم',
+    'summary.subtotal': 'المجموع الفرعي',
+    'summary.discountAmount': '- {amount} ({percentage}٪)',
+    'undo.button': 'تراجع',
+
+    // Counts
+    'bundle.itemCount': '{mode, select, units {{count, plural, zero {لا قطع} one {قطعة واحدة} two {قطعتان} few {# قطع} many {# قطعة} other {# قطعة}}} other {{count, plural, zero {لا منتجات} one {منتج واحد} two {منتجان} few {# منتجات} many {# منتجًا} other {# منتج}}}}',
+
+    // Product cards
+    'card.add': 'أضف إلى الباقة',
+    'card.added': 'تمت الإضافة إلى الباقة',
+    'card.soldOut': 'نفدت الكمية',
+    'card.addLabel': 'أضف {title} إلى الباقة',
+    'card.stockLeft': 'متبقٍ {count} فقط',
+    'catalog.error': 'تعذّر تحميل المنتجات الآن. يُرجى تحديث الصفحة والمحاولة مرة أخرى.',
+
+    // Suggestions in empty bundle slots
+    'recommendation.label': 'أكمل باقتك',
+
+    // Sidebar rows
+    'line.decrease': 'إنقاص الكمية',
+    'line.increase': 'زيادة الكمية',
+    'line.quantity': 'كمية {title}',
+    'line.remove': 'إزالة {title} من الباقة',
+    'line.variant': 'خيار {title}',
+    'line.variantSoldOut': '{variant} (نفدت الكمية)',
+    'line.stockLimit': 'المتوفر {count} فقط',
+    'quantity.clampedMin': 'تم ضبط كمية {title} على {quantity}، وهو الحد الأدنى.',
+    'quantity.clampedMax': 'تم ضبط كمية {title} على {quantity}، وهو أقصى ما هو متوفر.',
+
+    // Progress and screen reader status
+    'progress.next': 'أضف {count, plural, one {منتجًا واحدًا آخر} two {منتجين آخرين} few {# منتجات أخرى} many {# منتجًا آخر} other {# منتج آخر}} لتحصل على {reward}',
+    'progress.saving': 'أنت توفر {percentage}٪ على هذه الباقة',
+    'progress.selected': 'المختار: {items}',
+    'status.count': 'في الباقة: {items}.',
+    'status.total': 'الإجمالي {total}.',
+    'status.totalDiscounted': 'الإجمالي {total} بعد خصم {discount}.',
+
+    // Discounts
+    'discount.tiered': 'خصم {percentage}٪ عند شراء {minItems} منتجات أو أكثر',
+    'discount.tieredNext': 'خصم {percentage}٪',
+    'discount.fixed': 'خصم {amount}',
+    'discount.buyXGetY': 'اشترِ {buy} واحصل على {get} مجانًا',
+    'discount.buyXGetYNext': '{get} مجانًا',
+    'discount.cheapestFree': 'المنتج الأرخص مجانًا',
+    'discount.cheapestFreeNext': 'المنتج الأرخص مجانًا',
+
+    // Promo codes
+    'promo.label': 'رمز الخصم',
+    'promo.apply': 'تطبيق',
+    'promo.list': 'رموز الخصم',
+    'promo.remove': 'إزالة الرمز {code}',
+    'promo.applied': 'تم تطبيق الرمز {code}.',
+    'promo.removed': 'تمت إزالة الرمز {code}.',
+    'promo.free': 'مجانًا',
+    'promo.percentage': '{code}: خصم {percentage}٪',
+    'promo.fixed': '{code}: خصم {amount}',
+    'promo.freeGift': '{code}: {title} مجانًا',
+    'promo.error.unknown': 'هذا الرمز غير صالح.',
+    'promo.error.expired': 'انتهت صلاحية هذا الرمز.',
+    'promo.error.minSpend': 'أنفق {amount} لاستخدام هذا الرمز.',
+    'promo.error.alreadyApplied': 'تم تطبيق هذا الرمز بالفعل.',
+    'promo.status.unknown': 'لم يعد صالحًا',
+    'promo.status.expired': 'منتهي الصلاحية',
+    'promo.status.minSpend': 'أنفق {amount} لاستخدامه',
+    'promo.status.notApplicable': 'لا يمكن استخدامه مع هذه الباقة',
+    'promo.status.outdone': 'خصم الباقة يوفّر أكثر',
+
+    // البحث عن المنتجات وتصفيتها
+    'filter.toolbar': 'تصفية المنتجات',
+    'filter.search': 'ابحث عن المنتجات',
+    'filter.category': 'الفئة',
+    'filter.allCategories': 'كل الفئات',
+    'filter.price': 'السعر',
+    'filter.minPrice': 'أدنى سعر',
+    'filter.maxPrice': 'أعلى سعر',
+    'filter.min': 'من',
+    'filter.max': 'إلى',
+    'filter.inStock': 'المتوفر فقط',
+    'filter.sort': 'الترتيب حسب',
+    'filter.sort.featured': 'المميزة',
+    'filter.sort.priceAsc': 'السعر: من الأقل إلى الأعلى',
+    'filter.sort.priceDesc': 'السعر: من الأعلى إلى الأقل',
+    'filter.sort.popularity': 'الأكثر رواجًا',
+    'filter.results': '{count, plural, zero {لا منتجات} one {منتج واحد} two {منتجان} few {# منتجات} many {# منتجًا} other {# منتج}}',
+    'filter.empty': 'لا توجد منتجات تطابق بحثك.',
+    'filter.clear': 'مسح عوامل التصفية',
+
+    // Cart button
+    'cart.default': 'أضف الباقة إلى السلة',
+    'cart.proceed': 'المتبقي للمتابعة: {items}',
+    'cart.add': 'أضف إلى السلة ({items})',
+    'cart.adding': 'جارٍ الإضافة إلى السلة…',
+    'cart.error': 'تعذّرت الإضافة إلى السلة. حاول مرة أخرى',
+    'cart.added': 'تمت الإضافة إلى السلة',
+    'cart.confirmTotal': 'أضف إلى السلة مقابل {total}',
+
+    // Undo history
+    'history.added': 'تمت إضافة {title}',
+    'history.removed': 'تمت إزالة {title}',
+    'history.changedVariant': 'تم تغيير {title} إلى {variant}',
+    'history.changedQuantity': 'تم تغيير كمية {title}',
+    'history.cleared': 'تم إفراغ الباقة',
+    'history.loaded': 'تم تحميل {name}',
+    'undo.removed': 'تمت إزالة {title}.',
+    'undo.cleared': 'تم إفراغ الباقة.',
+
+    // Saved bundles
+    'saved.save': 'احفظ الباقة',
+    'saved.title': 'الباقات المحفوظة',
+    'saved.defaultName': 'الباقة {number}',
+    'saved.copyName': 'نسخة من {name}',
+    'saved.nameLabel': 'اسم الباقة المحفوظة',
+    'saved.summary': '{items} · {total}',
+    'saved.priceChanged': 'تغيّرت الأسعار منذ حفظها.',
+    'saved.unavailable': '{count, plural, one {منتج واحد لم يعد متوفرًا.} two {منتجان لم يعودا متوفرين.} other {لم تعد # من المنتجات متوفرة.}}',
+    'saved.load': 'تحميل',
+    'saved.rename': 'إعادة تسمية',
+    'saved.duplicate': 'نسخ',
+    'saved.delete': 'حذف',
+    'saved.loadLabel': 'تحميل {name}',
+    'saved.renameLabel': 'إعادة تسمية {name}',
+    'saved.duplicateLabel': 'نسخ {name}',
+    'saved.deleteLabel': 'حذف {name}',
+    'saved.saved': 'حُفظت باسم {name}.',
+    'saved.loaded': 'تم تحميل {name}.',
+    'saved.renamed': 'أُعيدت التسمية إلى {name}.',
+    'saved.duplicated': 'حُفظت نسخة باسم {name}.',
+    'saved.deleted': 'تم حذف {name}.',
+    'saved.error': 'تعذّر تحديث باقاتك المحفوظة. حاول مرة أخرى.',
+
+    // Notices
+    'notice.savedUnavailable': '{count, plural, one {منتج واحد في باقتك المحفوظة لم يعد متوفرًا.} two {منتجان في باقتك المحفوظة لم يعودا متوفرين.} other {لم تعد # من المنتجات في باقتك المحفوظة متوفرة.}}',
+    'notice.repriced': '{count, plural, one {تغيّر سعر منتج واحد منذ زيارتك الأخيرة.} two {تغيّر سعر منتجين منذ زيارتك الأخيرة.} other {تغيّرت أسعار # من المنتجات منذ زيارتك الأخيرة.}}',
+    'notice.reducedStock': '{count, plural, one {تم تقليل كمية منتج واحد لتطابق المخزون المتوفر.} two {تم تقليل كمية منتجين لتطابق المخزون المتوفر.} other {تم تقليل كميات # من المنتجات لتطابق المخزون المتوفر.}}',
+    'notice.soldOut': '{count, plural, one {نفد منتج واحد من باقتك وتمت إزالته.} two {نفد منتجان من باقتك وتمت إزالتهما.} other {نفدت # من المنتجات في باقتك وتمت إزالتها.}}',
+    'notice.sharedUnavailable': '{count, plural, one {منتج واحد من الباقة المشتركة غير متوفر ولم تتم إضافته.} two {منتجان من الباقة المشتركة غير متوفرين ولم تتم إضافتهما.} other {# من المنتجات في الباقة المشتركة غير متوفرة ولم تتم إضافتها.}}',
+    'notice.priceMismatch': 'تغيّرت الأسعار. إجمالي باقتك الآن {total}.'
+};
@@ -0,0 +1,155 @@
+
+/**
+ * German messages
+ */
+
+export const messages = {
+    // Sidebar markup
+    'bundle.title': 'Bundle zusammenstellen',
+    'bundle.currency': 'Währung',
+    'bundle.progress': 'Fortschritt des Bundles',
+    'bundle.region': 'Produktauswahl für das Bundle',
+    'bundle.products': 'Verfügbare Produkte',
+    'bundle.headline': 'Kaufe {minItems} und spare {percentage} %',
+    'bundle.headlineDefault': 'Stelle dein Bundle zusammen',
+    'bundle.description': 'Füge mindestens {mode, select, units {{minItems, plural, one {# Artikel} other {# Artikel}}} other {{minItems, plural, one {# Produkt} other {# Produkte}}}} hinzu und spare {percentage} %.',
+    'bundle.descriptionDefault': 'Füge deinem Bundle mindestens {mode, select, units {{minItems, plural, one {# Artikel} other {# Artikel}}} other {{minItems, plural, one {# Produkt} other {# Produkte}}}} hinzu.',
+    'summary.discount': 'Rabatt',
+    'summary.subtotal': 'Zwischensumme',
+    'summary.discountAmount': '- {amount} ({percentage} %)',
+    'undo.button': 'Rückgängig',
+
+    // Counts
+    'bundle.itemCount': '{mode, select, units {{count, plural, one {# Artikel} other {# Artikel}}} other {{count, plural, one {# Produkt} other {# Produkte}}}}',
+
+    // Product cards
+    'card.add': 'Zum Bundle hinzufügen',
+    'card.added': 'Im Bundle',
+    'card.soldOut': 'Ausverkauft',
+    'card.addLabel': '{title} zum Bundle hinzufügen',
+    'card.stockLeft': 'Nur noch {count} verfügbar',
+    'catalog.error': 'Die Produkte konnten gerade nicht geladen werden. Bitte lade die Seite neu.',
+
+    // Suggestions in empty bundle slots
+    'recommendation.label': 'Passt zu deinem Bundle',
+
+    // Sidebar rows
+    'line.decrease': 'Menge verringern',
+    'line.increase': 'Menge erhöhen',
+    'line.quantity': 'Menge von {title}',
+    'line.remove': '{title} aus dem Bundle entfernen',
+    'line.variant': 'Variante von {title}',
+    'line.variantSoldOut': '{variant} (ausverkauft)',
+    'line.stockLimit': 'Nur {count} verfügbar',
+    'quantity.clampedMin': 'Menge von {title} auf {quantity} gesetzt, das Minimum.',
+    'quantity.clampedMax': 'Menge von {title} auf {quantity} gesetzt, mehr ist nicht verfügbar.',
+
+    // Progress and screen reader status
+    'progress.next': 'Füge {count, plural, one {# weiteren Artikel} other {# weitere Artikel}} hinzu für {reward}',
+    'progress.saving': 'Du sparst {percentage} % bei diesem Bundle',
+    'progress.selected': '{items} ausgewählt',
+    'status.count': '{items} im Bundle.',
+    'status.total': 'Summe {total}.',
+    'status.totalDiscounted': 'Summe {total} nach {discount} Rabatt.',
+
+    // Discounts
+    'discount.tiered': '{percentage} % Rabatt ab {minItems} Artikeln',
+    'discount.tieredNext': '{percentage} % Rabatt',
+    'discount.fixed': '{amount} Rabatt',
+    'discount.buyXGetY': 'Kaufe {buy}, erhalte {get} gratis',
+    'discount.buyXGetYNext': '{get} gratis',
+    'discount.cheapestFree': 'Günstigster Artikel gratis',
+    'discount.cheapestFreeNext': 'den günstigsten Artikel gratis',
+
+    // Promo codes
+    'promo.label': 'Gutscheincode',
+    'promo.apply': 'Einlösen',
+    'promo.list': 'Gutscheincodes',
+    'promo.remove': 'Code {code} entfernen',
+    'promo.applied': 'Code {code} eingelöst.',
+    'promo.removed': 'Code {code} entfernt.',
+    'promo.free': 'Gratis',
+    'promo.percentage': '{code}: {percentage} % Rabatt',
+    'promo.fixed': '{code}: {amount} Rabatt',
+    'promo.freeGift': '{code}: {title} gratis',
+    'promo.error.unknown': 'Dieser Code ist ungültig.',
+    'promo.error.expired': 'Dieser Code ist abgelaufen.',
+    'promo.error.minSpend': 'Dieser Code gilt ab einem Einkaufswert von {amount}.',
+    'promo.error.alreadyApplied': 'Dieser Code ist bereits eingelöst.',
+    'promo.status.unknown': 'Nicht mehr gültig',
+    'promo.status.expired': 'Abgelaufen',
+    'promo.status.minSpend': 'Gilt ab {amount}',
+    'promo.status.notApplicable': 'Für dieses Bundle nicht einlösbar',
+    'promo.status.outdone': 'Dein Bundle-Rabatt spart mehr',
+
+    // Produktsuche und Filter
+    'filter.toolbar': 'Produkte filtern',
+    'filter.search': 'Produkte suchen',
+    'filter.category': 'Kategorie',
+    'filter.allCategories': 'Alle Kategorien',
+    'filter.price': 'Preis',
+    'filter.minPrice': 'Mindestpreis',
+    'filter.maxPrice': 'Höchstpreis',
+    'filter.min': 'Min.',
+    'filter.max': 'Max.',
+    'filter.inStock': 'Nur verfügbare',
+    'filter.sort': 'Sortieren nach',
+    'filter.sort.featured': 'Empfohlen',
+    'filter.sort.priceAsc': 'Preis: aufsteigend',
+    'filter.sort.priceDesc': 'Preis: absteigend',
+    'filter.sort.popularity': 'Beliebteste',
+    'filter.results': '{count, plural, one {# Produkt} other {# Produkte}}',
+    'filter.empty': 'Keine Produkte entsprechen deiner Suche.',
+    'filter.clear': 'Filter zurücksetzen',
+
+    // Cart button
+    'cart.default': 'Bundle in den Warenkorb',
+    'cart.proceed': '{items} hinzufügen, um fortzufahren',
+    'cart.add': '{items} in den Warenkorb',
+    'cart.adding': 'Wird hinzugefügt…',
+    'cart.error': 'Hinzufügen fehlgeschlagen. Erneut versuchen',
+    'cart.added': 'Im Warenkorb',
+    'cart.confirmTotal': 'Für {total} in den Warenkorb',
+
+    // Undo history
+    'history.added': '{title} hinzugefügt',
+    'history.removed': '{title} entfernt',
+    'history.changedVariant': '{title} auf {variant} geändert',
+    'history.changedQuantity': 'Menge von {title} geändert',
+    'history.cleared': 'Bundle geleert',
+    'history.loaded': '{name} geladen',
+    'undo.removed': '{title} entfernt.',
+    'undo.cleared': 'Bundle geleert.',
+
+    // Saved bundles
+    'saved.save': 'Bundle speichern',
+    'saved.title': 'Gespeicherte Bundles',
+    'saved.defaultName': 'Bundle {number}',
+    'saved.copyName': 'Kopie von {name}',
+    'saved.nameLabel': 'Name des gespeicherten Bundles',
+    'saved.summary': '{items} · {total}',
+    'saved.priceChanged': 'Die Preise haben sich seit dem Speichern geändert.',
+    'saved.unavailable': '{count, plural, one {# Artikel ist nicht mehr verfügbar.} other {# Artikel sind nicht mehr verfügbar.}}',
+    'saved.load': 'Laden',
+    'saved.rename': 'Umbenennen',
+    'saved.duplicate': 'Duplizieren',
+    'saved.delete': 'Löschen',
+    'saved.loadLabel': '{name} laden',
+    'saved.renameLabel': '{name} umbenennen',
+    'saved.duplicateLabel': '{name} duplizieren',
+    'saved.deleteLabel': '{name} löschen',
+    'saved.saved': 'Als {name} gespeichert.',
+    'saved.loaded': '{name} geladen.',
+    'saved.renamed': 'In {name} umbenannt.',
+    'saved.duplicated': 'Kopie als {name} gespeichert.',
+    'saved.deleted': '{name} gelöscht.',
+    'saved.error': 'Deine gespeicherten Bundles konnten nicht geändert werden. Bitte versuche es erneut.',
+
+    // Notices
+    'notice.savedUnavailable': '{count, plural, one {# Artikel aus deinem gespeicherten Bundle ist nicht mehr verfügbar.} other {# Artikel aus deinem gespeicherten Bundle sind nicht mehr verfügbar.}}',
+    'notice.repriced': '{count, plural, one {Der Preis von # Artikel hat sich seit deinem letzten Besuch geändert.} other {Die Preise von # Artikeln haben sich seit deinem letzten Besuch geändert.}}',
+    'notice.reducedStock': '{count, plural, one {Die Menge von # Artikel wurde an den verfügbaren Bestand angepasst.} other {Die Mengen von # Artikeln wurden an den verfügbaren Bestand angepasst.}}',
+    'notice.soldOut': '{count, plural, one {# Artikel in deinem Bundle ist ausverkauft und wurde entfernt.} other {# Artikel in deinem Bundle sind ausverkauft und wurden entfernt.}}',
+    'notice.sharedUnavailable': '{count, plural, one {# Artikel aus dem geteilten Bundle ist nicht verfügbar und wurde weggelassen.} other {# Artikel aus dem geteilten Bundle sind nicht verfügbar und wurden weggelassen.}}',
+    'notice.priceMismatch': 'Die Preise haben sich geändert. Dein Bundle kostet jetzt {total}.'
+};
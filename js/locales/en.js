@@ -0,0 +1,156 @@
+
+/**
+ * English messages, the fallback for every other locale
+ * See I18n for the placeholder and plural syntax.
+ */
+
+export const messages = {
+    // Sidebar markup
+    'bundle.title': 'Create a Bundle',
+    'bundle.currency': 'Currency',
+    'bundle.progress': 'Bundle progress',
+    'bundle.region': 'Product bundle selection',
+    'bundle.products': 'Available products',
+    'bundle.headline': 'Buy {minItems} and Save {percentage}%',
+    'bundle.headlineDefault': 'Build Your Bundle',
+    'bundle.description': 'Add at least {mode, select, units {{minItems, plural, one {# item} other {# items}}} other {{minItems, plural, one {# product} other {# products}}}} and Save {percentage}%.',
+    'bundle.descriptionDefault': 'Add at least {mode, select, units {{minItems, plural, one {# item} other {# items}}} other {{minItems, plural, one {# product} other {# products}}}} to your bundle.',
+    'summary.discount': 'Discount',
+    'summary.subtotal': 'Subtotal',
+    'summary.discountAmount': '- {amount} ({percentage}%)',
+    'undo.button': 'Undo',
+
+    // Counts
+    'bundle.itemCount': '{mode, select, units {{count, plural, one {# Item} other {# Items}}} other {{count, plural, one {# Product} other {# Products}}}}',
+
+    // Product cards
+    'card.add': 'Add to Bundle',
+    'card.added': 'Added to Bundle',
+    'card.soldOut': 'Sold out',
+    'card.addLabel': 'Add {title} to bundle',
+    'card.stockLeft': 'Only {count} left',
+    'catalog.error': "We couldn't load products right now. Please refresh the page to try again.",
+
+    // Suggestions in empty bundle slots
+    'recommendation.label': 'Complete your bundle',
+
+    // Sidebar rows
+    'line.decrease': 'Decrease quantity',
+    'line.increase': 'Increase quantity',
+    'line.quantity': 'Quantity of {title}',
+    'line.remove': 'Remove {title} from bundle',
+    'line.variant': 'Variant of {title}',
+    'line.variantSoldOut': '{variant} (Sold out)',
+    'line.stockLimit': 'Only {count} available',
+    'quantity.clampedMin': 'Quantity of {title} set to {quantity}, the least allowed.',
+    'quantity.clampedMax': 'Quantity of {title} set to {quantity}, the most available.',
+
+    // Progress and screen reader status
+    'progress.next': 'Add {count, plural, one {# more item} other {# more items}} to get {reward}',
+    'progress.saving': "You're saving {percentage}% on this bundle",
+    'progress.selected': '{items} selected',
+    'status.count': '{items} in bundle.',
+    'status.total': 'Total {total}.',
+    'status.totalDiscounted': 'Total {total} after {discount} off.',
+
+    // Discounts
+    'discount.tiered': '{percentage}% off {minItems}+ items',
+    'discount.tieredNext': '{percentage}% off',
+    'discount.fixed': '{amount} off',
+    'discount.buyXGetY': 'Buy {buy} get {get} free',
+    'discount.buyXGetYNext': '{get} free',
+    'discount.cheapestFree': 'Cheapest item free',
+    'discount.cheapestFreeNext': 'cheapest item free',
+
+    // Promo codes
+    'promo.label': 'Promo code',
+    'promo.apply': 'Apply',
+    'promo.list': 'Promo codes',
+    'promo.remove': 'Remove code {code}',
+    'promo.applied': 'Code {code} applied.',
+    'promo.removed': 'Code {code} removed.',
+    'promo.free': 'Free',
+    'promo.percentage': '{code}: {percentage}% off',
+    'promo.fixed': '{code}: {amount} off',
+    'promo.freeGift': '{code}: free {title}',
+    'promo.error.unknown': "That code isn't valid.",
+    'promo.error.expired': 'That code has expired.',
+    'promo.error.minSpend': 'Spend {amount} to use this code.',
+    'promo.error.alreadyApplied': 'That code is already applied.',
+    'promo.status.unknown': 'No longer valid',
+    'promo.status.expired': 'Expired',
+    'promo.status.minSpend': 'Spend {amount} to use',
+    'promo.status.notApplicable': "Can't be used with this bundle",
+    'promo.status.outdone': 'Your bundle discount saves more',
+
+    // Product search and filters
+    'filter.toolbar': 'Filter products',
+    'filter.search': 'Search products',
+    'filter.category': 'Category',
+    'filter.allCategories': 'All categories',
+    'filter.price': 'Price',
+    'filter.minPrice': 'Minimum price',
+    'filter.maxPrice': 'Maximum price',
+    'filter.min': 'Min',
+    'filter.max': 'Max',
+    'filter.inStock': 'In stock only',
+    'filter.sort': 'Sort by',
+    'filter.sort.featured': 'Featured',
+    'filter.sort.priceAsc': 'Price: low to high',
+    'filter.sort.priceDesc': 'Price: high to low',
+    'filter.sort.popularity': 'Most popular',
+    'filter.results': '{count, plural, one {# product} other {# products}}',
+    'filter.empty': 'No products match your search.',
+    'filter.clear': 'Clear filters',
+
+    // Cart button
+    'cart.default': 'Add Bundle to Cart',
+    'cart.proceed': 'Add {items} to Proceed',
+    'cart.add': 'Add {items} to Cart',
+    'cart.adding': 'Adding to Cart…',
+    'cart.error': "Couldn't Add to Cart. Try Again",
+    'cart.added': 'Added to Cart',
+    'cart.confirmTotal': 'Add to Cart at {total}',
+
+    // Undo history
+    'history.added': 'Added {title}',
+    'history.removed': 'Removed {title}',
+    'history.changedVariant': 'Changed {title} to {variant}',
+    'history.changedQuantity': 'Changed quantity of {title}',
+    'history.cleared': 'Cleared bundle',
+    'history.loaded': 'Loaded {name}',
+    'undo.removed': 'Removed {title}.',
+    'undo.cleared': 'Bundle cleared.',
+
+    // Saved bundles
+    'saved.save': 'Save Bundle',
+    'saved.title': 'Saved Bundles',
+    'saved.defaultName': 'Bundle {number}',
+    'saved.copyName': 'Copy of {name}',
+    'saved.nameLabel': 'Name of saved bundle',
+    'saved.summary': '{items} · {total}',
+    'saved.priceChanged': 'Prices changed since you saved it.',
+    'saved.unavailable': '{count, plural, one {# item is no longer available.} other {# items are no longer available.}}',
+    'saved.load': 'Load',
+    'saved.rename': 'Rename',
+    'saved.duplicate': 'Duplicate',
+    'saved.delete': 'Delete',
+    'saved.loadLabel': 'Load {name}',
+    'saved.renameLabel': 'Rename {name}',
+    'saved.duplicateLabel': 'Duplicate {name}',
+    'saved.deleteLabel': 'Delete {name}',
+    'saved.saved': 'Saved as {name}.',
+    'saved.loaded': 'Loaded {name}.',
+    'saved.renamed': 'Renamed to {name}.',
+    'saved.duplicated': 'Saved a copy as {name}.',
+    'saved.deleted': 'Deleted {name}.',
+    'saved.error': "Couldn't update your saved bundles. Try again.",
+
+    // Notices
+    'notice.savedUnavailable': '{count, plural, one {# item in your saved bundle is no longer available.} other {# items in your saved bundle are no longer available.}}',
+    'notice.repriced': '{count, plural, one {The price of # item has changed since your last visit.} other {The prices of # items have changed since your last visit.}}',
+    'notice.reducedStock': '{count, plural, one {The quantity of # item was reduced to match available stock.} other {The quantities of # items were reduced to match available stock.}}',
+    'notice.soldOut': '{count, plural, one {# item in your bundle sold out and was removed.} other {# items in your bundle sold out and were removed.}}',
+    'notice.sharedUnavailable': '{count, plural, one {# item from the shared bundle is unavailable and was left out.} other {# items from the shared bundle are unavailable and were left out.}}',
+    'notice.priceMismatch': 'Prices have changed. Your bundle total is now {total}.'
+};
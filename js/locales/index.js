@@ -0,0 +1,10 @@
+
+/**
+ * Built-in message catalogs, keyed by locale
+ */
+
+import { messages as ar } from './ar.js';
+import { messages as de } from './de.js';
+import { messages as en } from './en.js';
+
+export const MESSAGE_CATALOGS = { ar, de, en };
@@ -0,0 +1,22 @@
+/**
+ * Page URL
+ * Rewrites the page URL in place for the links that keep builder state in it
+ * (see BundleLink and FilterLink)
+ */
+
+/**
+ * Replace the current history entry with `url`, keeping its state. Returns
+ * whether the URL changed.
+ */
+export function replacePageUrl(url, { location = window.location, history = window.history } = {}) {
+    if (url === location.href) return false;
+
+    try {
+        history.replaceState(history.state, '', url);
+        return true;
+    } catch (error) {
+        // Some embeds (file:// pages, sandboxed frames) refuse URL changes
+        console.warn('Failed to update the page URL:', error);
+        return false;
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * Quote Client
+ * Asks the shop backend to price a bundle before it goes to the cart
+ *
+ * The page's own totals are only a preview: the backend recomputes them
+ * from its catalog and answers with a signed quote `{ quote, signature }`
+ * (see server/bundle-quotes.js), which is what gets submitted to the cart.
+ */
+
+/**
+ * Error raised when the backend cannot be reached or refuses the bundle
+ */
+export class QuoteError extends Error {
+    constructor(message, { status, cause } = {}) {
+        super(message);
+        this.name = 'QuoteError';
+        this.status = status;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Error raised when the backend priced the bundle differently from the
+ * page. It carries the backend's signed quote, which the shopper can
+ * accept, and the `mismatches` found.
+ */
+export class QuoteMismatchError extends QuoteError {
+    constructor({ quote, signature, mismatches = [] }) {
+        super('Bundle prices differ from the server', { status: 409 });
+        this.name = 'QuoteMismatchError';
+        this.quote = quote;
+        this.signature = signature;
+        this.mismatches = mismatches;
+    }
+}
+
+export class QuoteClient {
+    constructor({ endpoint = '/bundles/quote', headers = {} } = {}) {
+        this.endpoint = endpoint;
+        this.headers = headers;
+    }
+
+    /**
+     * Send bundle data for pricing and resolve with the signed quote
+     */
+    async requestQuote(bundleData) {
+        let response;
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Accept: 'application/json',
+                    ...this.headers
+                },
+                body: JSON.stringify(bundleData)
+            });
+        } catch (error) {
+            throw new QuoteError(`Could not reach quote service at ${this.endpoint}`, { cause: error });
+        }
+
+        let body = null;
+        try {
+            body = await response.json();
+        } catch (error) {
+            // Handled below: every answer we can use has a JSON body
+        }
+
+        if (response.status === 409 && body && body.quote) {
+            throw new QuoteMismatchError(body);
+        }
+
+        if (!response.ok || !body || !body.quote || typeof body.signature !== 'string') {
+            throw new QuoteError(`Quote request failed with status ${response.status}`, { status: response.status });
+        }
+
+        return { quote: body.quote, signature: body.signature };
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Saved Bundles
+ * Keeps named snapshots of bundles in IndexedDB, so shoppers can build
+ * several candidate bundles and come back to compare them
+ *
+ * A record is `{ id, scope, name, createdAt, updatedAt, bundle }`, where
+ * `bundle` is the `prepareBundleData()` payload at the time of saving.
+ * `scope` keeps the bundles of several builders on one page apart.
+ */
+
+const DATABASE_NAME = 'bundleBuilder';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'savedBundles';
+
+export class SavedBundles {
+    /**
+     * Create a saved-bundles store for one builder, over an IndexedDB factory
+     */
+    constructor(scope, indexedDB) {
+        this.scope = scope;
+        this.indexedDB = indexedDB === undefined ? SavedBundles.getDefaultFactory() : indexedDB;
+        this.database = null;
+    }
+
+    /**
+     * Resolve IndexedDB, which is missing or throws in some privacy modes
+     */
+    static getDefaultFactory() {
+        try {
+            return window.indexedDB || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether bundles can be saved at all
+     */
+    isAvailable() {
+        return this.indexedDB !== null;
+    }
+
+    /**
+     * Open the database once, creating its object store on first use
+     */
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('scope', 'scope');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Let a later call try again instead of caching the failure
+            this.database.catch(() => {
+                this.database = null;
+            });
+        }
+
+        return this.database;
+    }
+
+    /**
+     * Run one request in a transaction and resolve with its result once the
+     * transaction has committed
+     */
+    async request(mode, createRequest) {
+        const database = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(STORE_NAME, mode);
+            const request = createRequest(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Saved bundles of this scope, most recently changed first
+     */
+    async list() {
+        const records = await this.request('readonly', store => store.index('scope').getAll(this.scope));
+        return records.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Look up a saved bundle by id, or undefined
+     */
+    async get(id) {
+        const record = await this.request('readonly', store => store.get(id));
+        return record && record.scope === this.scope ? record : undefined;
+    }
+
+    /**
+     * Save a bundle under a name and return the new record
+     */
+    async save(name, bundle) {
+        const now = new Date().toISOString();
+        const record = { id: createSavedBundleId(), scope: this.scope, name, createdAt: now, updatedAt: now, bundle };
+
+        await this.request('readwrite', store => store.add(record));
+        return record;
+    }
+
+    /**
+     * Give a saved bundle a new name; resolves with the updated record, or
+     * undefined when it no longer exists
+     */
+    async rename(id, name) {
+        const record = await this.get(id);
+        if (!record) return undefined;
+
+        const renamed = { ...record, name, updatedAt: new Date().toISOString() };
+        await this.request('readwrite', store => store.put(renamed));
+        return renamed;
+    }
+
+    /**
+     * Save a copy of a saved bundle under a new name
+     */
+    async duplicate(id, name) {
+        const record = await this.get(id);
+        return record ? this.save(name, record.bundle) : undefined;
+    }
+
+    /**
+     * Delete a saved bundle
+     */
+    async delete(id) {
+        await this.request('readwrite', store => store.delete(id));
+    }
+}
+
+/**
+ * Random id for a saved bundle
+ */
+function createSavedBundleId() {
+    return `saved-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
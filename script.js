@@ -1,781 +1,3583 @@
 
+import { BundleEventEmitter, BundleHistory, BundleStore, DEFAULT_DISCOUNT_RULES, I18n, Money, PRODUCT_SORT_ORDERS, ProductCatalog, ProductFilter, PromoCodes, RecommendationEngine, UrlAllowlist } from './js/core/index.js';
+import { MESSAGE_CATALOGS } from './js/locales/index.js';
+import { BundleStorage } from './js/bundle-storage.js';
+import { SavedBundles } from './js/saved-bundles.js';
+import { BundleLink } from './js/bundle-link.js';
+import { FilterLink } from './js/filter-link.js';
+import { createCartAdapter } from './js/cart-adapters.js';
+import { QuoteClient, QuoteMismatchError } from './js/quote-client.js';
+import { AnalyticsQueue, createAnalyticsSink } from './js/analytics.js';
+
+/**
+ * Plain grey tile shown while images load lazily and in place of images that fail or are blocked
+ */
+const PLACEHOLDER_IMAGE = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzI2IiBoZWlnaHQ9IjMyNiIgZmlsbD0iI0VCRUJFQiIgdmlld0JveD0iMCAwIDMyNiAzMjYiLz4=';
+
 /**
  * Main Bundle Builder Class
- * Handles all bundle creation logic, product management, and UI updates
+ * View layer over a BundleStore: renders the bundle and turns shopper
+ * interaction into store changes, re-rendering whenever the store changes
  */
-class BundleBuilder {
+export class BundleBuilder {
     /**
      * Initialize the bundle builder with default configuration
      */
-    constructor() {
+    constructor(options = {}) {
         // Configuration
         this.config = {
-            minProductsForDiscount: 3,
-            discountPercentage: 30,
+            root: '[data-bundle-builder]', // Element, or selector, the builder renders into
+            heading: undefined, // Page heading outside the root, element or selector, that shows the bundle's offer
+            minItems: 3,
+            maxItems: 3, // null for no upper limit
+            countMode: 'products', // 'products' counts distinct products, 'units' counts total quantity
+            maxQuantityPerLine: null, // Most units of one product or variant, null for no limit
+            discountRules: DEFAULT_DISCOUNT_RULES,
+            excludedProductIds: [],
+            promoCodes: undefined, // Inline promo code list, used instead of promoCodeUrl when set
+            promoCodeUrl: undefined, // Codes shoppers may enter; without any codes the promo code field stays hidden
+            promoStacking: 'stack', // How codes combine with the bundle discount: 'stack', 'bestOf' or 'exclusive'
             loadingDelay: 400,
             staggeredLoadDelay: 200,
-            animationDuration: 300
+            animationDuration: 300,
+            catalogUrl: 'data/products.json',
+            catalog: undefined, // Inline feed data, used instead of catalogUrl when set
+            recommendationStrategy: ['affinity', 'category', 'price'], // Suggest products for empty bundle slots, strategies tried in order; null to turn off
+            recommendationUrl: undefined, // Co-purchase and category data for the strategies
+            recommendationData: undefined, // Inline recommendation data, used instead of recommendationUrl when set
+            recommendWithin: 1, // Suggest products once the next discount is this many items away
+            productsPerRow: 3,
+            gridOverscan: 1, // Rows rendered beyond each edge of the viewport; cards outside are recycled
+            estimatedRowHeight: 503, // Height of a grid row plus the gap below it in px, until a row can be measured
+            persistBundle: true,
+            storageKey: 'bundleBuilder:bundle',
+            saveBundles: true, // Let shoppers save named bundles in IndexedDB to compare and load later
+            noticeDuration: 6000,
+            undoToastDuration: 5000, // How long the "Undo" toast stays after a removal
+            historyLimit: 50, // Undo steps to keep
+            shareLink: true, // Keep the bundle in the page URL so it can be shared
+            shareParam: 'bundle', // Query parameter holding the shared bundle
+            syncFilters: true, // Keep the grid's search, filters and sort order in the page URL
+            filterParamPrefix: '', // Prefix of the filter query parameters, e.g. 'tops-' for ?tops-q=knit
+            cartAdapter: 'http', // 'http', 'shopify', 'mock' or an object with addBundle()
+            cartEndpoint: undefined, // Defaults to the adapter's own endpoint
+            quoteEndpoint: null, // Backend that re-prices the bundle and signs it before it goes to the cart; null submits the page's totals
+            currency: undefined, // Store currency, defaults to the catalog currency
+            locale: undefined, // Language of messages and prices, defaults to the root's lang attribute, then the browser's
+            messages: {}, // Extra or replacement messages keyed by locale, e.g. { en: { 'card.add': 'Add' } }
+            imageHosts: [], // Hosts images may load from besides the page's own, e.g. '*.cdn.example.com'
+            imageProtocols: ['https:'], // Protocols allowed for those hosts
+            lowStockThreshold: 3, // Show a low-stock badge at or below this many units
+            stockUrl: undefined, // Feed to refresh stock levels from, defaults to catalogUrl
+            stockRefreshInterval: null, // Milliseconds between stock refreshes, null to disable
+            analytics: null, // 'console', 'beacon' or an object with send(events); null to turn analytics off
+            analyticsEndpoint: undefined, // Where the 'beacon' sink posts, defaults to /analytics/bundle
+            analyticsBatchSize: 10, // Events to collect before sending
+            analyticsFlushInterval: 5000, // Milliseconds a queued event waits at most
+            ...options
         };
         
+        this.root = typeof this.config.root === 'string'
+            ? document.querySelector(this.config.root)
+            : this.config.root;
+        
+        if (!this.root) {
+            throw new Error(`Bundle builder root "${this.config.root}" not found`);
+        }
+        
+        this.i18n = new I18n({
+            locale: this.resolveLocale(),
+            catalogs: mergeMessageCatalogs(MESSAGE_CATALOGS, this.config.messages)
+        });
+        this.root.setAttribute('lang', this.i18n.locale);
+        this.root.setAttribute('dir', this.i18n.direction);
+        
         // State management
         this.state = {
-            selectedProducts: new Map(),
-            productPrices: new Map(),
-            isLoading: false
+            selectedVariants: new Map(), // Variant currently picked on each product card
+            isLoading: false,
+            isSubmitting: false,
+            canPersist: false,
+            isReady: false, // Set once the saved bundle is restored; events fire from then on
+            canSyncLink: false, // Set once a shared bundle from the URL has been applied
+            discountResult: null, // Last discount evaluation, to detect changes
+            isComplete: false, // Whether the bundle met its minimum size at the last update
+            filter: null, // ProductFilter the grid is shown through
+            gridProducts: [], // Products that pass the filter, in grid order
+            gridWindow: null, // Rows of the grid currently rendered, { start, end }
+            pendingQuote: null // Signed quote awaiting the shopper's confirmation after a price mismatch
         };
         
-        this.init();
+        // Bundle lines, pricing and limits live in the store; the view re-renders on every change
+        this.store = new BundleStore({
+            ...this.getStoreOptions(),
+            currency: this.config.currency,
+            promoStacking: this.config.promoStacking
+        });
+        this.store.subscribe(() => this.updateUI());
+        
+        this.events = new BundleEventEmitter();
+        this.history = new BundleHistory({ limit: this.config.historyLimit });
+        
+        this.storage = this.config.persistBundle ? new BundleStorage(this.config.storageKey) : null;
+        this.savedBundles = this.config.saveBundles ? new SavedBundles(this.config.storageKey) : null;
+        if (this.savedBundles && !this.savedBundles.isAvailable()) this.savedBundles = null;
+        this.shareLink = this.config.shareLink ? new BundleLink(this.config.shareParam) : null;
+        this.filterLink = this.config.syncFilters ? new FilterLink(this.config.filterParamPrefix) : null;
+        this.state.filter = new ProductFilter(this.filterLink ? this.filterLink.read() : {});
+        this.imageAllowlist = new UrlAllowlist({
+            baseUrl: document.baseURI,
+            protocols: this.config.imageProtocols,
+            hosts: this.config.imageHosts
+        });
+        this.blockedImageUrls = new Set();
+        this.renderedCards = new Map(); // Product id to the card showing it, for the rows in the window
+        this.cardPool = []; // Cards scrolled out of the window, waiting to show another product
+        this.cardReveals = new Map(); // Card to the timers and listeners of its skeleton reveal
+        this.gridFrame = null;
+        this.recommender = null; // Set once recommendation data is loaded
+        this.cartAdapter = createCartAdapter(this.config.cartAdapter, {
+            endpoint: this.config.cartEndpoint
+        });
+        this.quoteClient = this.config.quoteEndpoint ? new QuoteClient({ endpoint: this.config.quoteEndpoint }) : null;
+        
+        this.analytics = null;
+        this.bundleStartedAt = null; // When the first product went into an empty bundle, for time to complete
+        this.seenCardIds = new Set();
+        this.impressionObserver = null;
+        if (this.config.analytics) {
+            this.analytics = new AnalyticsQueue(
+                createAnalyticsSink(this.config.analytics, { endpoint: this.config.analyticsEndpoint }),
+                { batchSize: this.config.analyticsBatchSize, flushInterval: this.config.analyticsFlushInterval }
+            );
+            this.analytics.flushOnUnload(window);
+            this.bindAnalytics();
+        }
+        
+        this.bindEvents();
+        
+        // Resolves once the catalog is loaded and the grid is rendered
+        this.ready = this.init();
     }
     
     /**
      * Initialize the application
      */
-    init() {
-        this.initializeProductData();
-        this.initializeSkeletonLoaders();
-        this.setupFallbackContentDisplay();
-        this.addProductAnimations();
+    async init() {
+        this.localizeMarkup();
+        
+        try {
+            await this.initializeProductData();
+        } catch (error) {
+            console.error('Failed to load product catalog:', error);
+            this.renderCatalogError();
+            this.updateUI();
+            return;
+        }
+        
+        await this.initializeRecommendations();
+        await this.initializePromoCodes();
+        this.renderCurrencySelector();
+        this.renderProductToolbar();
+        this.renderProductGrid();
+        
+        // A shared link takes the place of the shopper's saved bundle
+        const sharedBundle = this.shareLink && this.shareLink.read();
+        const restored = sharedBundle ? null : this.restoreBundle();
+        this.state.canPersist = true;
         this.updateUI();
+        this.state.isReady = true;
+        
+        if (restored) {
+            this.restoreAddBundleButtonState(restored.buttonState);
+        }
+        
+        if (sharedBundle) {
+            await this.applySharedBundle(sharedBundle);
+        }
+        
+        this.state.canSyncLink = true;
+        this.syncShareLink();
+        
+        // Undo starts from the bundle the shopper arrived with
+        this.history.clear();
+        
+        if (this.savedBundles) {
+            this.find('.save-bundle-btn').hidden = false;
+            await this.renderSavedBundles();
+        }
+        
+        if (this.config.stockRefreshInterval) {
+            this.stockRefreshTimer = setInterval(() => this.refreshStock(), this.config.stockRefreshInterval);
+        }
     }
     
     // =========================================================================
-    // INITIALIZATION METHODS
+    // DOM METHODS
     // =========================================================================
     
     /**
-     * Extract and store product data from DOM
+     * Find the first element matching a selector inside this builder
      */
-    initializeProductData() {
-        document.querySelectorAll('.product-card').forEach(card => {
-            const productId = parseInt(card.dataset.productId);
-            const price = parseFloat(card.dataset.price);
-            this.state.productPrices.set(productId, price);
-        });
+    find(selector) {
+        return this.root.querySelector(selector);
     }
     
     /**
-     * Initialize skeleton loading system with staggered animations
+     * Find every element matching a selector inside this builder
      */
-    initializeSkeletonLoaders() {
-        document.querySelectorAll('.product-card').forEach((card, index) => {
-            const img = card.querySelector('.product-image');
-            
-            // Set up staggered loading
-            setTimeout(() => {
-                this.handleImageLoading(card, img);
-            }, index * this.config.staggeredLoadDelay);
-        });
+    findAll(selector) {
+        return this.root.querySelectorAll(selector);
     }
     
     /**
-     * Handle individual image loading with proper fallbacks
+     * Handle clicks and changes for the whole builder with listeners on its root
      */
-    handleImageLoading(card, img) {
-        if (img.complete && img.naturalHeight !== 0) {
-            this.showProductContent(card);
-        } else {
-            img.addEventListener('load', () => {
-                setTimeout(() => this.showProductContent(card), this.config.animationDuration);
-            });
-            
-            img.addEventListener('error', () => {
-                console.warn('Failed to load product image:', img.src);
-                this.showProductContent(card);
-            });
-        }
+    bindEvents() {
+        this.root.addEventListener('click', event => this.handleClick(event));
+        this.root.addEventListener('change', event => this.handleChange(event));
+        this.root.addEventListener('input', event => this.handleInput(event));
+        this.root.addEventListener('keydown', event => this.handleKeydown(event));
+        this.root.addEventListener('focusout', event => this.handleFocusOut(event));
+        document.addEventListener('keydown', event => this.handleHistoryShortcut(event));
+        window.addEventListener('scroll', () => this.scheduleGridWindow(), { passive: true });
+        window.addEventListener('resize', () => this.scheduleGridWindow());
     }
     
     /**
-     * Fallback to ensure all content is visible after timeout
+     * Element carrying the `data-action` an event belongs to, if it is inside this builder
      */
-    setupFallbackContentDisplay() {
-        setTimeout(() => {
-            document.querySelectorAll('.product-card').forEach(card => {
-                this.forceShowContent(card);
-            });
-        }, 1000);
+    getActionTarget(event) {
+        const target = event.target.closest('[data-action]');
+        return target && this.root.contains(target) ? target : null;
     }
     
     /**
-     * Add staggered animations to product cards
+     * Dispatch clicks on product, quantity and cart buttons
      */
-    addProductAnimations() {
-        document.querySelectorAll('.product-card').forEach((card, index) => {
-            card.style.animationDelay = `${index * 0.1}s`;
-            card.classList.add('fade-in');
-        });
+    handleClick(event) {
+        BundleBuilder.activeBuilder = this;
+        
+        const target = this.getActionTarget(event);
+        if (!target) return;
+        
+        const card = target.closest('[data-product-id]');
+        const row = target.closest('[data-line-key]');
+        
+        switch (target.dataset.action) {
+            case 'toggle-product':
+                this.toggleProduct(parseInt(card.dataset.productId));
+                break;
+            case 'decrease-quantity':
+                this.updateQuantity(row.dataset.lineKey, -1);
+                break;
+            case 'increase-quantity':
+                this.updateQuantity(row.dataset.lineKey, 1);
+                break;
+            case 'remove-line':
+                this.removeProduct(row.dataset.lineKey);
+                break;
+            case 'add-recommendation':
+                this.addRecommendation(target.closest('.bundle-skeleton-row'));
+                break;
+            case 'add-bundle-to-cart':
+                this.addBundleToCart();
+                break;
+            case 'undo':
+                this.undo();
+                break;
+            case 'save-bundle':
+                this.saveCurrentBundle();
+                break;
+            case 'load-saved-bundle':
+                this.loadSavedBundle(target.closest('[data-saved-id]').dataset.savedId);
+                break;
+            case 'rename-saved-bundle':
+                this.startSavedBundleRename(target.closest('[data-saved-id]'));
+                break;
+            case 'duplicate-saved-bundle':
+                this.duplicateSavedBundle(target.closest('[data-saved-id]').dataset.savedId);
+                break;
+            case 'delete-saved-bundle':
+                this.deleteSavedBundle(target.closest('[data-saved-id]').dataset.savedId);
+                break;
+            case 'apply-promo-code':
+                this.applyEnteredPromoCode();
+                break;
+            case 'remove-promo-code':
+                this.removePromoCode(target.closest('[data-promo-code]').dataset.promoCode);
+                break;
+            case 'clear-filters':
+                this.clearProductFilter();
+                break;
+        }
     }
     
-    // =========================================================================
-    // CONTENT DISPLAY METHODS
-    // =========================================================================
-    
     /**
-     * Show product content with smooth animations
+     * Ctrl+Z undoes and Ctrl+Shift+Z (or Ctrl+Y) redoes, for the builder the
+     * shopper is working in. Text fields keep their own undo.
      */
-    showProductContent(card) {
-        const elements = this.getCardElements(card);
+    handleHistoryShortcut(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
         
-        // Hide skeleton elements
-        this.hideSkeletonElements(elements);
+        const key = event.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
         
-        // Show actual content with staggered animations
-        this.showContentElements(elements);
+        const focused = document.activeElement;
+        const isInside = this.root.contains(focused);
+        const isUnfocused = !focused || focused === document.body;
+        if (!isInside && !(isUnfocused && BundleBuilder.activeBuilder === this)) return;
         
-        card.classList.remove('loading');
+        const isEditable = focused && (focused.isContentEditable
+            || (focused.matches('input, textarea') && !focused.readOnly));
+        if (isEditable) return;
+        
+        event.preventDefault();
+        if (key === 'y' || event.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
     }
     
     /**
-     * Force all content to be visible (fallback method)
+     * Dispatch changes of the currency and variant pickers
      */
-    forceShowContent(card) {
-        const elements = this.getCardElements(card);
+    handleChange(event) {
+        const target = this.getActionTarget(event);
+        if (!target) return;
         
-        // Aggressively hide skeletons
-        this.hideSkeletonElements(elements, true);
-        
-        // Force show content
-        this.showContentElements(elements, true);
+        BundleBuilder.activeBuilder = this;
         
-        card.classList.remove('loading');
-        card.style.visibility = 'visible';
+        switch (target.dataset.action) {
+            case 'set-currency':
+                this.setCurrency(target.value);
+                break;
+            case 'select-variant-option':
+                this.selectVariantOption(
+                    parseInt(target.closest('[data-product-id]').dataset.productId),
+                    target.dataset.option,
+                    target.value
+                );
+                break;
+            case 'change-line-variant':
+                this.changeLineVariant(target.closest('[data-line-key]').dataset.lineKey, target.value);
+                break;
+            case 'filter-category':
+                this.setProductFilter({ category: target.value });
+                break;
+            case 'filter-price':
+                this.setProductFilter({
+                    minPrice: this.find('.filter-min-price').value,
+                    maxPrice: this.find('.filter-max-price').value
+                });
+                break;
+            case 'filter-in-stock':
+                this.setProductFilter({ inStock: target.checked });
+                break;
+            case 'sort-products':
+                this.setProductFilter({ sort: target.value });
+                break;
+        }
     }
     
     /**
-     * Get all relevant elements from a product card
+     * Search as the shopper types, and keep typed or pasted quantities to
+     * digits, marking them as uncommitted
      */
-    getCardElements(card) {
-        return {
-            img: card.querySelector('.product-image'),
-            skeletonImage: card.querySelector('.skeleton-image'),
-            skeletonTitle: card.querySelector('.skeleton-title'),
-            skeletonPrice: card.querySelector('.skeleton-price'),
-            skeletonButton: card.querySelector('.skeleton-button'),
-            title: card.querySelector('.product-title'),
-            price: card.querySelector('.product-price'),
-            button: card.querySelector('.add-to-bundle-btn')
-        };
+    handleInput(event) {
+        const target = this.getActionTarget(event);
+        if (!target) return;
+        
+        if (target.dataset.action === 'search-products') {
+            this.setProductFilter({ query: target.value });
+            return;
+        }
+        if (target.dataset.action !== 'set-quantity') return;
+        
+        const digits = target.value.replace(/\D/g, '');
+        if (digits !== target.value) target.value = digits;
+        target.setAttribute('data-draft', '');
     }
     
     /**
-     * Hide skeleton loading elements
+     * Dispatch keys pressed in quantity inputs and on product card buttons
      */
-    hideSkeletonElements(elements, force = false) {
-        const skeletons = ['skeletonImage', 'skeletonTitle', 'skeletonPrice', 'skeletonButton'];
+    handleKeydown(event) {
+        const target = this.getActionTarget(event);
+        if (!target) return;
         
-        skeletons.forEach(skeleton => {
-            if (elements[skeleton]) {
-                elements[skeleton].style.display = 'none';
-                if (force) elements[skeleton].style.visibility = 'hidden';
-            }
-        });
+        switch (target.dataset.action) {
+            case 'set-quantity':
+                BundleBuilder.activeBuilder = this;
+                this.handleQuantityKeydown(event, target);
+                break;
+            case 'toggle-product':
+                this.handleGridKeydown(event, target);
+                break;
+            case 'saved-bundle-name':
+                this.handleSavedBundleNameKeydown(event, target);
+                break;
+            case 'promo-code':
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    this.applyEnteredPromoCode();
+                }
+                break;
+        }
     }
     
     /**
-     * Show actual content elements with animations
+     * Enter commits a typed quantity, Escape abandons it and the arrow keys
+     * step it by one
      */
-    showContentElements(elements, force = false) {
-        const { img, title, price, button } = elements;
-        
-        if (img) {
-            img.classList.remove('skeleton');
-            img.classList.add('loaded');
-            if (force) {
-                img.style.display = 'block';
-                img.style.visibility = 'visible';
-                img.style.opacity = '1';
+    handleQuantityKeydown(event, target) {
+        switch (event.key) {
+            case 'Enter':
+                event.preventDefault();
+                this.commitQuantityInput(target);
+                break;
+            case 'Escape':
+                this.resetQuantityInput(target);
+                break;
+            case 'ArrowUp':
+            case 'ArrowDown': {
+                event.preventDefault();
+                const row = target.closest('[data-line-key]');
+                const typed = parseInt(target.value, 10);
+                const base = Number.isNaN(typed) ? this.store.getLine(row.dataset.lineKey).quantity : typed;
+                target.value = base + (event.key === 'ArrowUp' ? 1 : -1);
+                this.commitQuantityInput(target);
+                break;
             }
         }
+    }
+    
+    /**
+     * Move focus between product card buttons as a grid: the arrow keys step
+     * through cards and rows, Home and End jump to either end of a row, and
+     * with Ctrl to the first or last card
+     */
+    handleGridKeydown(event, button) {
+        // Navigation runs over the whole filtered grid, not just the rendered rows
+        const count = this.state.gridProducts.length;
+        const perRow = this.config.productsPerRow;
+        const index = parseInt(button.closest('.product-card').dataset.index);
+        const rowStart = index - (index % perRow);
+        const rowEnd = Math.min(rowStart + perRow, count) - 1;
+        const step = this.i18n.direction === 'rtl' ? -1 : 1; // Cards run right to left in RTL layouts
+        let next;
         
-        if (title) {
-            title.style.display = 'flex';
-            if (force) {
-                title.style.visibility = 'visible';
-                title.style.opacity = '1';
-            } else {
-                title.style.animation = 'fadeInUp 0.3s ease-out';
-            }
+        switch (event.key) {
+            case 'ArrowLeft':
+                next = index - step;
+                break;
+            case 'ArrowRight':
+                next = index + step;
+                break;
+            case 'ArrowUp':
+                next = index - perRow;
+                break;
+            case 'ArrowDown':
+                // The last row may be short: land on its last card
+                next = rowStart + perRow < count ? Math.min(index + perRow, count - 1) : -1;
+                break;
+            case 'Home':
+                next = event.ctrlKey ? 0 : rowStart;
+                break;
+            case 'End':
+                next = event.ctrlKey ? count - 1 : rowEnd;
+                break;
+            default:
+                return;
         }
         
-        if (price) {
-            price.style.display = 'flex';
-            if (force) {
-                price.style.visibility = 'visible';
-                price.style.opacity = '1';
-            } else {
-                price.style.animation = 'fadeInUp 0.3s ease-out 0.1s both';
-            }
-        }
+        // Keep the page from scrolling, also at the edges of the grid
+        event.preventDefault();
+        if (next >= 0 && next < count) this.focusGridCard(next);
+    }
+    
+    /**
+     * Commit a typed quantity when its input loses focus
+     */
+    handleFocusOut(event) {
+        const target = this.getActionTarget(event);
+        if (!target) return;
         
-        if (button) {
-            button.style.display = 'flex';
-            if (force) {
-                button.style.visibility = 'visible';
-                button.style.opacity = '1';
-            } else {
-                button.style.animation = 'fadeInUp 0.3s ease-out 0.2s both';
-            }
+        if (target.dataset.action === 'set-quantity' && target.hasAttribute('data-draft')) {
+            this.commitQuantityInput(target);
+        } else if (target.dataset.action === 'saved-bundle-name') {
+            this.commitSavedBundleName(target);
         }
     }
     
     // =========================================================================
-    // PRODUCT MANAGEMENT METHODS
+    // LOCALIZATION METHODS
     // =========================================================================
     
     /**
-     * Toggle product selection in bundle
+     * Locale from the config, else the nearest lang attribute, else the browser's
      */
-    toggleProduct(productId) {
-        if (this.state.isLoading) return;
+    resolveLocale() {
+        if (this.config.locale) return this.config.locale;
         
-        const productCard = document.querySelector(`[data-product-id="${productId}"]`);
-        const button = productCard.querySelector('.add-to-bundle-btn');
+        const element = this.root.closest('[lang]');
+        return (element && element.getAttribute('lang')) || navigator.language || 'en';
+    }
+    
+    /**
+     * Format a message from the catalog of the builder's locale
+     */
+    t(id, values) {
+        return this.i18n.format(id, values);
+    }
+    
+    /**
+     * Translate the static markup: `data-i18n` sets the text of an element,
+     * `data-i18n-label` its aria-label and `data-i18n-placeholder` its placeholder.
+     * The root may carry a `data-i18n-label` of its own.
+     */
+    localizeMarkup() {
+        this.findAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        [this.root, ...this.findAll('[data-i18n-label]')].forEach(element => {
+            if (element.dataset.i18nLabel) element.setAttribute('aria-label', this.t(element.dataset.i18nLabel));
+        });
+        this.findAll('[data-i18n-placeholder]').forEach(element => {
+            element.setAttribute('placeholder', this.t(element.dataset.i18nPlaceholder));
+        });
         
-        // Check if button is disabled
-        if (button.classList.contains('disabled')) return;
+        this.renderOffer();
+    }
+    
+    /**
+     * The best tier of the tiered discount rules as `{ minItems, percentage }`,
+     * or null when no tiered rule is configured
+     */
+    getHeadlineOffer() {
+        let offer = null;
         
-        // Ensure content is visible
-        this.forceShowContent(productCard);
+        this.config.discountRules
+            .filter(rule => rule.type === 'tiered')
+            .forEach(rule => rule.tiers.forEach(tier => {
+                if (!offer || tier.percentage > offer.percentage) {
+                    offer = { minItems: tier.minItems, percentage: tier.percentage };
+                }
+            }));
         
-        this.state.isLoading = true;
-        button.classList.add('loading');
+        return offer;
+    }
+    
+    /**
+     * Show the bundle's offer, from the configured size and discounts, in the
+     * sidebar description and the page heading
+     */
+    renderOffer() {
+        const offer = this.getHeadlineOffer();
+        const values = { minItems: this.config.minItems, mode: this.config.countMode, ...offer };
+        const heading = typeof this.config.heading === 'string'
+            ? document.querySelector(this.config.heading)
+            : this.config.heading;
         
-        // Get product data
-        const productData = this.extractProductData(productCard, productId);
+        this.find('.bundle-description p').textContent = this.t(offer ? 'bundle.description' : 'bundle.descriptionDefault', values);
         
-        setTimeout(() => {
-            if (this.state.selectedProducts.has(productId)) {
-                this.removeProductFromBundle(productId, button);
-            } else {
-                this.addProductToBundle(productId, productData, button);
-            }
-            
-            button.classList.remove('loading');
-            this.state.isLoading = false;
-            this.updateUI();
-        }, this.config.loadingDelay);
+        if (heading) {
+            heading.textContent = this.t(offer ? 'bundle.headline' : 'bundle.headlineDefault', values);
+        }
     }
     
     /**
-     * Extract product data from DOM card
+     * Label of an applied or upcoming discount in the builder's language;
+     * custom labels and rule types without a message keep their own label
      */
-    extractProductData(productCard, productId) {
-        return {
-            id: productId,
-            title: productCard.querySelector('.product-title').textContent,
-            image: productCard.querySelector('.product-image').src,
-            price: this.state.productPrices.get(productId),
-            quantity: 1
-        };
+    formatDiscountLabel(discount) {
+        const { message } = discount;
+        return message && this.i18n.has(message.id) ? this.t(message.id, message.values) : discount.label;
+    }
+    
+    // =========================================================================
+    // EVENT METHODS
+    // =========================================================================
+    
+    /**
+     * Listen for a bundle event; returns a function that removes the listener
+     */
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+    
+    /**
+     * Listen for the next occurrence of a bundle event only
+     */
+    once(type, listener) {
+        return this.events.once(type, listener);
     }
     
     /**
-     * Add product to bundle
+     * Remove a bundle event listener
      */
-    addProductToBundle(productId, productData, button) {
-        this.state.selectedProducts.set(productId, productData);
-        button.classList.add('selected');
-        button.querySelector('.btn-text').textContent = 'Added to Bundle';
+    off(type, listener) {
+        this.events.off(type, listener);
     }
     
     /**
-     * Remove product from bundle
+     * Emit discount and completion events when an update changed them
      */
-    removeProductFromBundle(productId, button) {
-        this.state.selectedProducts.delete(productId);
-        button.classList.remove('selected');
-        button.querySelector('.btn-text').textContent = 'Add to Bundle';
+    emitBundleChanges() {
+        const current = this.store.evaluateDiscounts();
+        const previous = this.state.discountResult;
+        const isComplete = this.store.meetsMinimum();
+        const wasComplete = this.state.isComplete;
         
-        // Remove from sidebar with animation
-        const sidebarItem = document.querySelector(`[data-sidebar-product-id="${productId}"]`);
-        if (sidebarItem) {
-            sidebarItem.classList.add('removing');
-            setTimeout(() => {
-                if (sidebarItem.parentNode) {
-                    sidebarItem.parentNode.removeChild(sidebarItem);
-                }
-            }, this.config.animationDuration);
+        this.state.discountResult = current;
+        this.state.isComplete = isComplete;
+        
+        if (!this.state.isReady) return;
+        
+        const appliedIds = result => result.applied.map(discount => `${discount.id}:${discount.amount}`).join('|');
+        if (previous.total !== current.total || appliedIds(previous) !== appliedIds(current)) {
+            this.events.emit('discount:changed', { previous, current });
+        }
+        
+        if (isComplete && !wasComplete) {
+            this.events.emit('bundle:completed', { count: this.store.getBundleCount(), minItems: this.config.minItems });
         }
     }
     
+    // =========================================================================
+    // ANALYTICS METHODS
+    // =========================================================================
     
     /**
-     * Update product quantity with validation
+     * Turn builder events into analytics events for the funnel: adds and
+     * removals, quantity changes, discount thresholds, completion and checkout
      */
-    updateQuantity(productId, change) {
-        if (!this.state.selectedProducts.has(productId)) return;
+    bindAnalytics() {
+        this.on('product:added', ({ detail }) => {
+            if (this.bundleStartedAt === null) this.bundleStartedAt = Date.now();
+            this.trackAnalytics('product:added', this.describeLine(detail.line));
+        });
         
-        const product = this.state.selectedProducts.get(productId);
-        const newQuantity = product.quantity + change;
+        this.on('product:removed', ({ detail }) => {
+            if (this.store.getLines().length === 0) this.bundleStartedAt = null;
+            this.trackAnalytics('product:removed', { ...this.describeLine(detail.line), reason: detail.reason });
+        });
         
-        // Remove product if quantity reaches zero
-        if (newQuantity <= 0) {
-            this.removeProduct(productId);
-            return;
-        }
+        this.on('quantity:changed', ({ detail }) => {
+            this.trackAnalytics('quantity:changed', {
+                ...this.describeLine(detail.line),
+                previousQuantity: detail.previousQuantity
+            });
+        });
         
-        // Update quantity
-        product.quantity = newQuantity;
-        this.state.selectedProducts.set(productId, product);
+        this.on('discount:changed', ({ detail: { previous, current } }) => {
+            // A threshold is reached when a rule starts to apply or a tier raises its
+            // percentage; promo codes are entered rather than reached
+            const previousIds = new Set(previous.applied.map(discount => discount.id));
+            const isNewRule = current.applied.some(discount => !discount.code && !previousIds.has(discount.id));
+            if (!isNewRule && current.percentage <= previous.percentage) return;
+            
+            this.trackAnalytics('threshold:reached', {
+                count: this.store.getBundleCount(),
+                percentage: current.percentage,
+                discount: current.total,
+                discountIds: current.applied.map(discount => discount.id)
+            });
+        });
         
-        // Add visual feedback
-        this.animateQuantityChange(productId);
-        this.updateUI();
+        this.on('bundle:completed', ({ detail }) => {
+            // Completion is announced before product:added when one add completes the bundle
+            if (this.bundleStartedAt === null) this.bundleStartedAt = Date.now();
+            
+            this.trackAnalytics('bundle:completed', {
+                count: detail.count,
+                minItems: detail.minItems,
+                durationMs: Date.now() - this.bundleStartedAt
+            });
+        });
+        
+        this.on('cart:submitted', ({ detail }) => {
+            this.trackAnalytics('cart:submitted', { bundleData: detail.bundleData });
+            this.analytics.flush();
+        });
+        
+        this.on('cart:failed', ({ detail }) => {
+            this.trackAnalytics('cart:failed', { bundleData: detail.bundleData, error: detail.error.message });
+        });
     }
     
     /**
-     * Animate quantity input when changed
+     * Queue an analytics event, stamped with the bundle currency
      */
-    animateQuantityChange(productId) {
-        const quantityInput = document.querySelector(`[data-sidebar-product-id="${productId}"] .quantity-input`);
-        if (quantityInput) {
-            quantityInput.style.transform = 'scale(1.1)';
-            quantityInput.style.transition = 'transform 0.2s ease';
-            setTimeout(() => {
-                quantityInput.style.transform = 'scale(1)';
-            }, 200);
-        }
+    trackAnalytics(type, data) {
+        if (!this.analytics) return;
+        this.analytics.track(type, { currency: this.store.currency, ...data });
     }
     
     /**
-     * Remove product completely from bundle
+     * Fields of a bundle line worth reporting; prices in minor units
      */
-    removeProduct(productId) {
-        if (!this.state.selectedProducts.has(productId)) return;
-        
-        const sidebarItem = document.querySelector(`[data-sidebar-product-id="${productId}"]`);
-        if (sidebarItem) {
-            sidebarItem.classList.add('removing');
-            setTimeout(() => {
-                this.state.selectedProducts.delete(productId);
-                this.updateProductButtonState(productId, false);
-                this.updateUI();
-            }, this.config.animationDuration);
-        }
+    describeLine(line) {
+        return {
+            productId: line.id,
+            variantId: line.variantId,
+            quantity: line.quantity,
+            price: line.price
+        };
     }
     
     /**
-     * Update individual product button state
+     * Report a product card the first time at least half of it is on screen.
+     * Called whenever a card starts showing a product, since cards are recycled.
      */
-    updateProductButtonState(productId, isSelected) {
-        const productCard = document.querySelector(`[data-product-id="${productId}"]`);
-        const button = productCard.querySelector('.add-to-bundle-btn');
+    observeCardImpression(card) {
+        if (!this.analytics || !('IntersectionObserver' in window)) return;
+        if (this.seenCardIds.has(parseInt(card.dataset.productId))) return;
         
-        if (isSelected) {
-            button.classList.add('selected');
-            button.querySelector('.btn-text').textContent = 'Added to Bundle';
-        } else {
-            button.classList.remove('selected');
-            button.querySelector('.btn-text').textContent = 'Add to Bundle';
+        if (!this.impressionObserver) {
+            this.impressionObserver = new window.IntersectionObserver((entries, observer) => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    
+                    const target = entry.target;
+                    const productId = parseInt(target.dataset.productId);
+                    observer.unobserve(target);
+                    if (this.seenCardIds.has(productId)) return;
+                    
+                    this.seenCardIds.add(productId);
+                    this.trackAnalytics('card:impression', {
+                        productId,
+                        variantId: this.getSelectedVariantId(productId),
+                        position: parseInt(target.dataset.index)
+                    });
+                });
+            }, { threshold: 0.5 });
         }
+        
+        this.impressionObserver.observe(card);
     }
     
     // =========================================================================
-    // UI UPDATE METHODS
+    // HISTORY METHODS
     // =========================================================================
     
     /**
-     * Master UI update method
+     * Run a mutation of the bundle lines and promo codes and record it as an
+     * undoable command
      */
-    updateUI() {
-        this.updateProgressBar();
-        this.updateSelectedProductsList();
+    recordChange(label, mutate) {
+        const before = this.getHistorySnapshot();
+        this.store.batch(mutate);
+        const after = this.getHistorySnapshot();
+        
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        
+        // Only changes that entered or dropped codes put them back, so undoing
+        // any other change keeps the codes the shopper entered since
+        if (JSON.stringify(before.promoCodes) === JSON.stringify(after.promoCodes)) {
+            delete before.promoCodes;
+            delete after.promoCodes;
+        }
+        
+        this.history.push({
+            label,
+            undo: () => this.applyHistorySnapshot(before),
+            redo: () => this.applyHistorySnapshot(after)
+        });
+    }
+    
+    /**
+     * Copy the bundle lines and entered promo codes for the history
+     */
+    getHistorySnapshot() {
+        return {
+            lines: this.store.snapshot(),
+            promoCodes: this.store.getPromoCodes()
+        };
+    }
+    
+    /**
+     * Put the bundle back to a history snapshot as one change
+     */
+    applyHistorySnapshot({ lines, promoCodes }) {
+        this.store.batch(() => {
+            this.applyLineSnapshot(lines);
+            if (promoCodes) this.restorePromoCodes(promoCodes);
+        });
+    }
+    
+    /**
+     * Put the bundle back to a snapshot, repriced in the current currency and
+     * re-checked against current stock. Lines coming in or going out pass
+     * through the same hooks and events as the shopper's own adds and removes.
+     */
+    applyLineSnapshot(lines) {
+        const currentLines = this.store.getLines();
+        const currentKeys = new Set(currentLines.map(line => line.key));
+        const snapshotKeys = new Set(lines.map(line => line.key));
+        
+        // A vetoed add stays out of the bundle and a vetoed removal stays in it
+        const keptLines = currentLines.filter(line => !snapshotKeys.has(line.key)
+            && this.events.emit('product:beforeRemove', { line }).defaultPrevented);
+        const entries = lines.flatMap(line => {
+            if (currentKeys.has(line.key)) return [line];
+            
+            const hook = this.events.emit('product:beforeAdd', { line: { ...line } });
+            return hook.defaultPrevented ? [] : [hook.detail.line];
+        });
+        
+        this.reportStockChanges(this.store.replaceLines(entries.concat(keptLines)));
+        
+        // Lines the snapshot still holds but stock took out were reported above
+        currentLines
+            .filter(line => !snapshotKeys.has(line.key) && !this.store.has(line.key))
+            .forEach(line => this.events.emit('product:removed', { line, reason: 'user' }));
+        this.store.getLines()
+            .filter(line => !currentKeys.has(line.key))
+            .forEach(line => this.events.emit('product:added', { line }));
+    }
+    
+    /**
+     * Undo the latest bundle change
+     */
+    undo() {
+        if (this.state.isLoading || this.state.isSubmitting) return;
+        
+        const command = this.history.undo();
+        if (!command) return;
+        
+        this.hideUndoToast();
+        this.events.emit('history:undo', { label: command.label });
+    }
+    
+    /**
+     * Redo the latest undone bundle change
+     */
+    redo() {
+        if (this.state.isLoading || this.state.isSubmitting) return;
+        
+        const command = this.history.redo();
+        if (!command) return;
+        
+        this.hideUndoToast();
+        this.events.emit('history:redo', { label: command.label });
+    }
+    
+    /**
+     * Offer to undo a removal that just happened
+     */
+    showUndoToast(message) {
+        const toast = this.find('.undo-toast');
+        if (!toast) return;
+        
+        toast.querySelector('.undo-toast-message').textContent = message;
+        toast.hidden = false;
+        
+        clearTimeout(this.undoToastTimeout);
+        this.undoToastTimeout = setTimeout(() => this.hideUndoToast(), this.config.undoToastDuration);
+    }
+    
+    /**
+     * Hide the undo toast
+     */
+    hideUndoToast() {
+        const toast = this.find('.undo-toast');
+        if (toast) toast.hidden = true;
+        clearTimeout(this.undoToastTimeout);
+    }
+    
+    // =========================================================================
+    // INITIALIZATION METHODS
+    // =========================================================================
+    
+    /**
+     * Bundle rules for a BundleStore, shared by the bundle and the stores
+     * that price saved bundles
+     */
+    getStoreOptions() {
+        return {
+            locale: this.i18n.locale,
+            minItems: this.config.minItems,
+            maxItems: this.config.maxItems,
+            countMode: this.config.countMode,
+            maxQuantityPerLine: this.config.maxQuantityPerLine,
+            discountRules: this.config.discountRules,
+            excludedProductIds: this.config.excludedProductIds
+        };
+    }
+    
+    /**
+     * Load product data from the configured catalog source
+     */
+    async initializeProductData() {
+        const catalog = await ProductCatalog.load({
+            url: this.config.catalogUrl,
+            data: this.config.catalog
+        });
+        this.store.setCatalog(catalog, this.config.currency);
+    }
+    
+    /**
+     * Set up product suggestions for empty bundle slots. Without their data
+     * the strategies that need none still work.
+     */
+    async initializeRecommendations() {
+        const strategies = this.config.recommendationStrategy;
+        if (!strategies || strategies.length === 0) return;
+        
+        try {
+            this.recommender = await RecommendationEngine.load({
+                strategies,
+                url: this.config.recommendationUrl,
+                data: this.config.recommendationData
+            });
+        } catch (error) {
+            console.warn('Failed to load recommendation data:', error);
+            this.recommender = new RecommendationEngine(strategies);
+        }
+    }
+    
+    /**
+     * Load the codes shoppers may enter and show the promo code field when
+     * there are any
+     */
+    async initializePromoCodes() {
+        try {
+            this.store.setPromoCodeList(await PromoCodes.load({
+                url: this.config.promoCodeUrl,
+                codes: this.config.promoCodes,
+                stacking: this.config.promoStacking
+            }));
+        } catch (error) {
+            console.warn('Failed to load promo codes:', error);
+        }
+        
+        const form = this.find('.promo-code');
+        if (form) form.hidden = this.store.promoCodes.isEmpty();
+    }
+    
+    /**
+     * Rehydrate the saved bundle, reconciling it against the current catalog
+     */
+    restoreBundle() {
+        const snapshot = this.storage && this.storage.load();
+        if (!snapshot) return null;
+        
+        // Resume in the shopper's currency when the catalog still supports it
+        if (snapshot.currency && this.store.supportsCurrency(snapshot.currency)) {
+            this.setCurrency(snapshot.currency);
+        }
+        const { removedCount, repricedCount, reducedCount } = this.restoreLines(
+            snapshot.products,
+            snapshot.currency === this.store.currency
+        );
+        
+        if (removedCount > 0 || repricedCount > 0 || reducedCount > 0) {
+            this.showBundleNotice(this.getRestoreNotice(removedCount, repricedCount, reducedCount));
+        }
+        
+        this.restorePromoCodes(snapshot.promoCodes);
+        
+        // A cart submission only stands for the exact bundle that was submitted
+        const isUnchanged = removedCount === 0 && repricedCount === 0 && reducedCount === 0;
+        
+        return {
+            buttonState: isUnchanged ? snapshot.buttonState : 'initial'
+        };
+    }
+    
+    /**
+     * Enter saved promo codes in place of the current ones. Codes that
+     * expired, no longer exist or no longer fit the bundle are dropped quietly.
+     */
+    restorePromoCodes(codes = []) {
+        this.store.getPromoCodes().forEach(code => this.store.removePromoCode(code));
+        codes.forEach(code => this.store.applyPromoCode(code));
+    }
+    
+    /**
+     * Add saved lines to the bundle, or to another `store`, as one change, at
+     * current prices and within current stock and bundle limits. Returns how
+     * many lines were dropped, repriced and cut down; prices are only compared
+     * when the lines were saved in the current currency.
+     */
+    restoreLines(entries, canComparePrices, store = this.store) {
+        let removedCount = 0;
+        let repricedCount = 0;
+        let reducedCount = 0;
+        
+        // Add the saved lines as one change, so the view renders once
+        store.batch(() => entries.forEach(entry => {
+            if (!entry || !store.catalog.has(entry.id)) {
+                removedCount++;
+                return;
+            }
+            
+            const variantId = this.resolveSavedVariantId(entry);
+            if (variantId === undefined) {
+                removedCount++;
+                return;
+            }
+            
+            const line = store.createLine(entry.id, variantId);
+            const quantity = Number.isInteger(entry.quantity) && entry.quantity > 0 ? entry.quantity : 1;
+            const capacity = store.getRemainingCapacity();
+            const available = store.getAvailableQuantity(entry.id, variantId);
+            
+            // Drop lines that sold out or no longer fit within the bundle size limit
+            if (capacity <= 0 || available <= 0) {
+                removedCount++;
+                return;
+            }
+            
+            // Cut down to stock, the per-line limit and, when counting units, the bundle size
+            line.quantity = Math.min(
+                quantity,
+                this.config.countMode === 'units' ? capacity : Infinity,
+                store.maxQuantityPerLine,
+                available
+            );
+            if (line.quantity < quantity) reducedCount++;
+            
+            // Always charge the current catalog price
+            if (canComparePrices && entry.price !== line.price) repricedCount++;
+            
+            store.addLine(line);
+        }));
+        
+        return { removedCount, repricedCount, reducedCount };
+    }
+    
+    /**
+     * Variant id to restore a saved line with: null for products without
+     * variants, undefined when the saved variant no longer exists
+     */
+    resolveSavedVariantId(entry) {
+        const product = this.store.catalog.get(entry.id);
+        if (product.variants.length === 0) return null;
+        
+        if (entry.variantId === undefined || entry.variantId === null) {
+            return this.store.catalog.getDefaultVariant(entry.id).id;
+        }
+        
+        const variant = this.store.catalog.getVariant(entry.id, entry.variantId);
+        return variant ? variant.id : undefined;
+    }
+    
+    /**
+     * Describe what changed in a restored bundle
+     */
+    getRestoreNotice(removedCount, repricedCount, reducedCount = 0) {
+        const messages = [];
+        
+        if (removedCount > 0) {
+            messages.push(this.t('notice.savedUnavailable', { count: removedCount }));
+        }
+        
+        if (repricedCount > 0) {
+            messages.push(this.t('notice.repriced', { count: repricedCount }));
+        }
+        
+        if (reducedCount > 0) {
+            messages.push(this.getReducedStockMessage(reducedCount));
+        }
+        
+        return messages.join(' ');
+    }
+    
+    /**
+     * Notice for bundle lines cut down to the stock that is left
+     */
+    getReducedStockMessage(reducedCount) {
+        return this.t('notice.reducedStock', { count: reducedCount });
+    }
+    
+    /**
+     * Restore the add bundle button to the stage it was saved in
+     */
+    restoreAddBundleButtonState(buttonState) {
+        const button = this.find('.add-bundle-to-cart-btn');
+        if (button.disabled) return;
+        
+        if (buttonState === 'added') {
+            this.showAddedToCartState(button);
+        } else if (['proceed', 'cart', 'pending', 'error', 'confirm'].includes(buttonState)) {
+            // An interrupted or failed submission can simply be retried
+            button.querySelector('.btn-text').textContent = this.t('cart.add', { items: this.formatItemCount(this.store.getBundleCount()) });
+            button.dataset.currentState = 'cart';
+        }
+        
+        this.saveBundle();
+    }
+    
+    /**
+     * Persist the current bundle if persistence is enabled
+     */
+    saveBundle() {
+        if (!this.storage || !this.state.canPersist) return;
+        
+        this.storage.save({
+            products: this.store.getLines(),
+            buttonState: this.find('.add-bundle-to-cart-btn').dataset.currentState,
+            currency: this.store.currency,
+            promoCodes: this.store.getPromoCodes()
+        });
+    }
+    
+    /**
+     * Build the bundle from a shared link, one line at a time through the same
+     * paths a shopper's clicks take, skipping lines the catalog cannot fill
+     */
+    async applySharedBundle({ items, invalidCount }) {
+        let skippedCount = invalidCount;
+        let reducedCount = 0;
+        
+        for (const item of items) {
+            const variantId = this.resolveSharedVariantId(item);
+            const key = variantId === undefined ? null : this.store.getLineKey(item.id, variantId);
+            
+            if (key === null || this.store.has(key)) {
+                skippedCount++;
+                continue;
+            }
+            
+            if (variantId) this.selectCardVariant(item.id, variantId);
+            await this.toggleProduct(item.id);
+            
+            if (!this.store.has(key)) {
+                skippedCount++;
+                continue;
+            }
+            
+            if (item.quantity > 1) {
+                // Ask only for what stock and the bundle limits allow
+                this.setQuantity(key, Math.min(item.quantity, this.store.getQuantityLimit(this.store.getLine(key))));
+                if (this.store.getLine(key).quantity !== item.quantity) reducedCount++;
+            }
+        }
+        
+        const messages = [];
+        if (skippedCount > 0) {
+            messages.push(this.t('notice.sharedUnavailable', { count: skippedCount }));
+        }
+        if (reducedCount > 0) {
+            messages.push(this.getReducedStockMessage(reducedCount));
+        }
+        if (messages.length > 0) {
+            this.showBundleNotice(messages.join(' '));
+        }
+    }
+    
+    /**
+     * Variant id a shared line refers to: null for products without variants,
+     * undefined when the product or variant does not exist
+     */
+    resolveSharedVariantId(item) {
+        const product = this.store.catalog.get(item.id);
+        if (!product) return undefined;
+        if (product.variants.length === 0) return item.variantId ? undefined : null;
+        if (!item.variantId) return this.store.catalog.getDefaultVariant(item.id).id;
+        
+        const variant = this.store.catalog.getVariant(item.id, item.variantId);
+        return variant ? variant.id : undefined;
+    }
+    
+    /**
+     * Write the current bundle into the page URL
+     */
+    syncShareLink() {
+        if (!this.shareLink || !this.state.canSyncLink) return;
+        this.shareLink.write(this.store.getLines());
+    }
+    
+    /**
+     * Absolute URL that opens the page with the current bundle
+     */
+    getShareUrl() {
+        const link = this.shareLink || new BundleLink(this.config.shareParam);
+        return link.buildUrl(this.store.getLines());
+    }
+    
+    /**
+     * Show a temporary notice in the sidebar header
+     */
+    showBundleNotice(message) {
+        const notice = this.find('.bundle-notice');
+        if (!notice) return;
+        
+        notice.textContent = message;
+        notice.hidden = false;
+        
+        clearTimeout(this.noticeTimeout);
+        this.noticeTimeout = setTimeout(() => {
+            notice.hidden = true;
+        }, this.config.noticeDuration);
+    }
+    
+    /**
+     * Have screen readers read out a message without showing it
+     */
+    announce(message) {
+        const announcer = this.find('.bundle-announcer');
+        if (!announcer) return;
+        
+        // Clear first, so a repeated message is read again
+        announcer.textContent = '';
+        clearTimeout(this.announceTimeout);
+        this.announceTimeout = setTimeout(() => {
+            announcer.textContent = message;
+        }, 100);
+    }
+    
+    /**
+     * Show a card's skeleton until its image loads, staggered by its place
+     * among the cards entering the viewport together, with a fallback that
+     * shows the content anyway
+     */
+    revealProductCard(card, order) {
+        const reveal = { timers: [], controller: new window.AbortController() };
+        this.cardReveals.set(card, reveal);
+        
+        card.classList.remove('fade-in');
+        card.style.animationDelay = `${order * 0.1}s`;
+        void card.offsetWidth; // Restart the animation on recycled cards
+        card.classList.add('fade-in');
+        
+        reveal.timers.push(
+            setTimeout(() => this.handleImageLoading(card, card.querySelector('.product-image')), order * this.config.staggeredLoadDelay),
+            setTimeout(() => this.forceShowContent(card), 1000)
+        );
+    }
+    
+    /**
+     * Stop revealing a card that is about to show another product
+     */
+    cancelCardReveal(card) {
+        const reveal = this.cardReveals.get(card);
+        if (!reveal) return;
+        
+        reveal.timers.forEach(timer => clearTimeout(timer));
+        reveal.controller.abort();
+        this.cardReveals.delete(card);
+    }
+    
+    /**
+     * Handle individual image loading with proper fallbacks
+     */
+    handleImageLoading(card, img) {
+        const reveal = this.cardReveals.get(card);
+        if (!reveal) return;
+        
+        if (img.complete && img.naturalHeight !== 0) {
+            this.showProductContent(card);
+        } else {
+            const { signal } = reveal.controller;
+            
+            img.addEventListener('load', () => {
+                reveal.timers.push(setTimeout(() => this.showProductContent(card), this.config.animationDuration));
+            }, { signal });
+            
+            img.addEventListener('error', () => {
+                console.warn('Failed to load product image:', img.src);
+                this.showProductContent(card);
+            }, { signal });
+        }
+    }
+    
+    // =========================================================================
+    // PRODUCT GRID RENDERING METHODS
+    // =========================================================================
+    
+    /**
+     * Lay out the grid once the catalog is loaded
+     */
+    renderProductGrid() {
+        this.cardPool = [];
+        this.renderedCards.forEach(card => this.cancelCardReveal(card));
+        this.renderedCards.clear();
+        this.layoutProductGrid();
+    }
+    
+    /**
+     * Put the products that pass the filter in grid order and render the
+     * rows around the viewport
+     */
+    layoutProductGrid() {
+        this.state.gridProducts = this.state.filter.apply(this.store);
+        this.renderGridWindow(true);
+        this.updateResultCount(this.state.gridProducts.length);
+    }
+    
+    /**
+     * Re-render the grid window on the next frame, at most once per frame
+     */
+    scheduleGridWindow() {
+        if (this.gridFrame || !this.state.gridWindow) return;
+        
+        this.gridFrame = window.requestAnimationFrame(() => {
+            this.gridFrame = null;
+            this.renderGridWindow();
+        });
+    }
+    
+    /**
+     * Render only the rows in or near the viewport. Padding stands in for the
+     * rows above and below, cards that leave the window go back to the pool,
+     * and entering products take a card from it. `includeRow` makes sure a
+     * row is rendered, e.g. one keyboard focus is moving to.
+     */
+    renderGridWindow(isForced = false, includeRow = null) {
+        const container = this.find('.product-grid');
+        const products = this.state.gridProducts;
+        const perRow = this.config.productsPerRow;
+        const rowCount = Math.ceil(products.length / perRow);
+        const rowHeight = this.getGridRowHeight(container);
+        let { start, end } = this.getVisibleRows(container, rowCount, rowHeight);
+        
+        // Until the page scrolls to it, render around the row instead
+        if (includeRow !== null && (includeRow < start || includeRow >= end)) {
+            start = Math.max(includeRow - this.config.gridOverscan, 0);
+            end = Math.min(includeRow + 1 + this.config.gridOverscan, rowCount);
+        }
+        
+        const current = this.state.gridWindow;
+        if (!isForced && current && current.start === start && current.end === end) return;
+        this.state.gridWindow = { start, end };
+        
+        const windowProducts = products.slice(start * perRow, end * perRow);
+        const windowIds = new Set(windowProducts.map(product => product.id));
+        this.renderedCards.forEach((card, productId) => {
+            if (!windowIds.has(productId)) this.releaseProductCard(card);
+        });
+        
+        const focused = document.activeElement;
+        const isMaxSelection = this.store.getRemainingCapacity() === 0;
+        const fragment = document.createDocumentFragment();
+        let entering = 0;
+        let row;
+        
+        windowProducts.forEach((product, offset) => {
+            if (offset % perRow === 0) {
+                row = document.createElement('div');
+                row.className = 'product-row';
+                fragment.appendChild(row);
+            }
+            
+            let card = this.renderedCards.get(product.id);
+            if (!card) {
+                card = this.acquireProductCard();
+                this.bindProductCard(card, product, isMaxSelection);
+                this.revealProductCard(card, entering++);
+            }
+            card.dataset.index = start * perRow + offset;
+            row.appendChild(card);
+        });
+        
+        if (products.length === 0) {
+            fragment.appendChild(this.createEmptyGridElement());
+        }
+        
+        container.replaceChildren(fragment);
+        container.style.paddingTop = `${start * rowHeight}px`;
+        container.style.paddingBottom = `${(rowCount - end) * rowHeight}px`;
+        
+        // Moving a card takes focus off its button
+        if (focused && focused !== document.activeElement && container.contains(focused)) {
+            focused.focus();
+        }
+    }
+    
+    /**
+     * Rows of the grid that are on screen, widened by the overscan
+     */
+    getVisibleRows(container, rowCount, rowHeight) {
+        const top = container.getBoundingClientRect().top;
+        const overscan = this.config.gridOverscan;
+        const start = Math.max(Math.floor(-top / rowHeight) - overscan, 0);
+        const end = Math.min(Math.ceil((window.innerHeight - top) / rowHeight) + overscan, rowCount);
+        
+        return { start: Math.min(start, rowCount), end: Math.max(end, Math.min(start, rowCount)) };
+    }
+    
+    /**
+     * Height of a grid row plus the gap below it, measured from a rendered
+     * row when there is layout to measure
+     */
+    getGridRowHeight(container) {
+        const row = container.querySelector('.product-row');
+        if (!row || row.offsetHeight === 0) return this.config.estimatedRowHeight;
+        
+        return row.offsetHeight + (parseFloat(window.getComputedStyle(container).rowGap) || 0);
+    }
+    
+    /**
+     * Render the rows around a card of the filtered grid and focus its button
+     */
+    focusGridCard(index) {
+        const product = this.state.gridProducts[index];
+        if (!this.renderedCards.has(product.id)) {
+            this.renderGridWindow(true, Math.floor(index / this.config.productsPerRow));
+        }
+        
+        this.renderedCards.get(product.id).querySelector('.add-to-bundle-btn').focus();
+    }
+    
+    /**
+     * A card to show a product in: one from the pool, or a new one
+     */
+    acquireProductCard() {
+        return this.cardPool.pop() || this.createProductCardElement();
+    }
+    
+    /**
+     * Take a card out of the grid and keep it for the next product that scrolls in
+     */
+    releaseProductCard(card) {
+        this.cancelCardReveal(card);
+        if (this.impressionObserver) this.impressionObserver.unobserve(card);
+        
+        this.renderedCards.delete(parseInt(card.dataset.productId));
+        card.remove();
+        this.cardPool.push(card);
+    }
+    
+    /**
+     * Message shown in place of the rows when no product passes the filter
+     */
+    createEmptyGridElement() {
+        const empty = document.createElement('div');
+        empty.className = 'product-grid-empty';
+        
+        const message = document.createElement('p');
+        message.textContent = this.t('filter.empty');
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'product-grid-clear';
+        button.setAttribute('data-action', 'clear-filters');
+        button.textContent = this.t('filter.clear');
+        
+        empty.append(message, button);
+        return empty;
+    }
+    
+    /**
+     * Create an empty product card with the skeleton markup expected by the loaders
+     */
+    createProductCardElement() {
+        const card = document.createElement('article');
+        card.className = 'product-card';
+        
+        card.innerHTML = `
+            <div class="product-image-container">
+                <div class="skeleton-image" aria-hidden="true"></div>
+                <img class="product-image skeleton" loading="lazy">
+                <span class="stock-badge" hidden></span>
+            </div>
+            <div class="product-info">
+                <div class="product-link">
+                    <div class="skeleton-title" aria-hidden="true"></div>
+                    <h3 class="product-title" style="display: none"></h3>
+                </div>
+                <div class="product-form-bundle">
+                    <div class="price-container">
+                        <div class="skeleton-price" aria-hidden="true"></div>
+                        <span class="product-price" style="display: none"></span>
+                    </div>
+                    <div class="variant-options" style="display: none"></div>
+                    <div class="skeleton-button" aria-hidden="true"></div>
+                    <button 
+                        class="add-to-bundle-btn" 
+                        data-action="toggle-product" 
+                        aria-pressed="false" 
+                        style="display: none"
+                    >
+                        <span class="btn-text"></span>
+                        <svg class="btn-icon plus-icon" width="16" height="16" viewBox="0 0 16 16" aria-hidden="true">
+                            <path d="M8 1V15M1 8H15" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                        </svg>
+                        <svg class="btn-icon check-icon" width="16" height="16" viewBox="0 0 16 16" style="display: none" aria-hidden="true">
+                            <path d="M13.5 4.5L6 12L2.5 8.5" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        card.querySelector('.btn-text').textContent = this.t('card.add');
+        
+        return card;
+    }
+    
+    /**
+     * Show a product in a card, with its skeleton back in place until the
+     * image loads
+     */
+    bindProductCard(card, product, isMaxSelection) {
+        card.setAttribute('data-product-id', product.id);
+        this.renderedCards.set(product.id, card);
+        this.showCardSkeleton(card);
+        
+        // Feed values are assigned as text and attributes, never parsed as markup
+        const img = card.querySelector('.product-image');
+        img.alt = product.title;
+        card.querySelector('.product-title').textContent = product.title;
+        card.querySelector('.add-to-bundle-btn').setAttribute('aria-label', this.t('card.addLabel', { title: product.title }));
+        
+        card.querySelector('.variant-options').innerHTML = '';
+        if (product.variants.length > 0) {
+            this.renderVariantOptions(card, product);
+        }
+        
+        this.updateCardVariantDetails(card, product.id);
+        this.updateCardButtonState(card, isMaxSelection);
+        this.observeCardImpression(card);
+    }
+    
+    /**
+     * Render one picker per variant option (e.g. Size, Color) on a card
+     */
+    renderVariantOptions(card, product) {
+        const container = card.querySelector('.variant-options');
+        const variant = this.store.catalog.getVariant(product.id, this.getSelectedVariantId(product.id));
+        
+        product.options.forEach(option => {
+            const label = document.createElement('label');
+            label.className = 'variant-option';
+            
+            const name = document.createElement('span');
+            name.className = 'variant-option-name';
+            name.textContent = option.name;
+            
+            const select = document.createElement('select');
+            select.className = 'variant-select';
+            select.dataset.action = 'select-variant-option';
+            select.dataset.option = option.name;
+            
+            option.values.forEach(value => {
+                const optionElement = document.createElement('option');
+                optionElement.value = value;
+                optionElement.textContent = value;
+                select.appendChild(optionElement);
+            });
+            
+            select.value = variant.options[option.name];
+            label.append(name, select);
+            container.appendChild(label);
+        });
+    }
+    
+    /**
+     * Pick the variant matching a changed option on a card. When the exact
+     * combination does not exist, fall back to the first variant with that value.
+     */
+    selectVariantOption(productId, optionName, value) {
+        const current = this.store.catalog.getVariant(productId, this.getSelectedVariantId(productId));
+        const wanted = { ...current.options, [optionName]: value };
+        const variant = this.store.catalog.findVariant(productId, wanted)
+            || this.store.catalog.findVariant(productId, { [optionName]: value });
+        
+        if (variant) this.selectCardVariant(productId, variant.id);
+    }
+    
+    /**
+     * Make a variant the one picked on its product card
+     */
+    selectCardVariant(productId, variantId) {
+        const card = this.renderedCards.get(productId);
+        const variant = this.store.catalog.getVariant(productId, variantId);
+        
+        this.state.selectedVariants.set(productId, variant.id);
+        
+        // A product scrolled out of the grid shows the variant once it is back
+        if (!card) return;
+        
+        // Keep the pickers in step with the variant actually chosen
+        card.querySelectorAll('.variant-select').forEach(select => {
+            select.value = variant.options[select.dataset.option];
+        });
+        
+        this.updateCardVariantDetails(card, productId);
+        this.updateButtonStates();
+    }
+    
+    /**
+     * Show the price and image of the variant picked on a card
+     */
+    updateCardVariantDetails(card, productId) {
+        const product = this.store.catalog.get(productId);
+        const variantId = this.getSelectedVariantId(productId);
+        const variant = variantId ? this.store.catalog.getVariant(productId, variantId) : null;
+        const img = card.querySelector('.product-image');
+        const image = this.getSafeImageUrl((variant && variant.image) || product.image);
+        
+        card.querySelector('.product-price').textContent = this.formatMoney(this.store.getPrice(productId, variantId));
+        
+        if (img.getAttribute('src') !== image) {
+            img.src = image;
+        }
+        
+        this.updateCardStock(card, productId, variantId);
+    }
+    
+    /**
+     * Show the sold-out look or a low-stock badge for the variant picked on a card
+     */
+    updateCardStock(card, productId, variantId) {
+        const stock = this.store.catalog.getStock(productId, variantId);
+        const badge = card.querySelector('.stock-badge');
+        const isLow = stock > 0 && stock <= this.config.lowStockThreshold;
+        
+        card.classList.toggle('sold-out', stock === 0);
+        badge.hidden = stock !== 0 && !isLow;
+        badge.classList.toggle('sold-out', stock === 0);
+        badge.textContent = stock === 0 ? this.t('card.soldOut') : this.t('card.stockLeft', { count: stock });
+    }
+    
+    /**
+     * Refresh the prices shown on product cards
+     */
+    updateProductPrices() {
+        this.renderedCards.forEach((card, productId) => {
+            this.updateCardVariantDetails(card, productId);
+        });
+    }
+    
+    /**
+     * URL to load a feed image from: the image itself when the allowlist
+     * accepts it, otherwise the placeholder
+     */
+    getSafeImageUrl(url) {
+        const safeUrl = this.imageAllowlist.resolve(url);
+        if (safeUrl) return safeUrl;
+        
+        if (!this.blockedImageUrls.has(url)) {
+            this.blockedImageUrls.add(url);
+            console.warn('Blocked image URL that is not on the allowlist:', url);
+        }
+        return PLACEHOLDER_IMAGE;
+    }
+    
+    /**
+     * Fill the currency picker with the currencies the catalog supports
+     */
+    renderCurrencySelector() {
+        const select = this.find('.currency-select');
+        if (!select) return;
+        
+        const currencies = this.store.catalog.getCurrencies();
+        select.innerHTML = '';
+        currencies.forEach(currency => {
+            const option = document.createElement('option');
+            option.value = currency;
+            option.textContent = currency;
+            select.appendChild(option);
+        });
+        
+        select.value = this.store.currency;
+        select.hidden = currencies.length < 2;
+    }
+    
+    /**
+     * Show a message in place of the grid when the catalog fails to load
+     */
+    renderCatalogError() {
+        const grid = this.find('.grid-custom');
+        const error = document.createElement('p');
+        error.className = 'catalog-error';
+        error.setAttribute('role', 'alert');
+        error.textContent = this.t('catalog.error');
+        
+        grid.innerHTML = '';
+        grid.appendChild(error);
+    }
+    
+    // =========================================================================
+    // PRODUCT FILTER METHODS
+    // =========================================================================
+    
+    /**
+     * Fill the toolbar's category and sort options, show the current filter
+     * in its controls and reveal it
+     */
+    renderProductToolbar() {
+        const toolbar = this.find('.product-toolbar');
+        if (!toolbar) return;
+        
+        const categories = Array.from(new Set(this.store.catalog.all().map(product => product.category).filter(Boolean)));
+        const categorySelect = toolbar.querySelector('.filter-category');
+        const sortSelect = toolbar.querySelector('.sort-products');
+        
+        // A category from an old link may no longer be in the catalog
+        if (this.state.filter.category !== null && !categories.includes(this.state.filter.category)) {
+            this.state.filter = this.state.filter.with({ category: null });
+        }
+        
+        categorySelect.innerHTML = '';
+        [''].concat(categories).forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category ? this.formatCategory(category) : this.t('filter.allCategories');
+            categorySelect.appendChild(option);
+        });
+        categorySelect.hidden = categories.length === 0;
+        
+        sortSelect.innerHTML = '';
+        PRODUCT_SORT_ORDERS.forEach(sort => {
+            const option = document.createElement('option');
+            option.value = sort;
+            option.textContent = this.t(`filter.sort.${sort}`);
+            sortSelect.appendChild(option);
+        });
+        
+        this.syncFilterControls();
+        toolbar.hidden = false;
+    }
+    
+    /**
+     * Display name of a catalog category: a `category.<name>` message when
+     * there is one, else the name capitalized
+     */
+    formatCategory(category) {
+        const id = `category.${category}`;
+        if (this.i18n.has(id)) return this.t(id);
+        
+        return category.charAt(0).toLocaleUpperCase(this.i18n.locale) + category.slice(1);
+    }
+    
+    /**
+     * Set the toolbar controls to the current filter
+     */
+    syncFilterControls() {
+        const { filter } = this.state;
+        const formatPrice = price => (price === null ? '' : String(price));
+        
+        this.find('.product-search').value = filter.query;
+        this.find('.filter-category').value = filter.category || '';
+        this.find('.filter-min-price').value = formatPrice(filter.minPrice);
+        this.find('.filter-max-price').value = formatPrice(filter.maxPrice);
+        this.find('[data-action="filter-in-stock"]').checked = filter.inStock;
+        this.find('.sort-products').value = filter.sort;
+    }
+    
+    /**
+     * Change some fields of the filter, re-lay the grid and record the
+     * filter in the URL
+     */
+    setProductFilter(changes) {
+        const filter = this.state.filter.with(changes);
+        if (JSON.stringify(filter) === JSON.stringify(this.state.filter)) return;
+        
+        this.state.filter = filter;
+        this.layoutProductGrid();
+        
+        if (this.filterLink) this.filterLink.write(filter);
+    }
+    
+    /**
+     * Drop the search and filters, keeping the sort order
+     */
+    clearProductFilter() {
+        this.setProductFilter(new ProductFilter({ sort: this.state.filter.sort }).toJSON());
+        this.syncFilterControls();
+        this.find('.product-search').focus();
+    }
+    
+    /**
+     * Show how many products pass the filter
+     */
+    updateResultCount(count) {
+        const element = this.find('.product-result-count');
+        if (element) element.textContent = this.t('filter.results', { count });
+    }
+    
+    // =========================================================================
+    // CONTENT DISPLAY METHODS
+    // =========================================================================
+    
+    /**
+     * Show product content with smooth animations
+     */
+    showProductContent(card) {
+        const elements = this.getCardElements(card);
+        
+        // Hide skeleton elements
+        this.hideSkeletonElements(elements);
+        
+        // Show actual content with staggered animations
+        this.showContentElements(elements);
+        
+        card.classList.remove('loading');
+    }
+    
+    /**
+     * Force all content to be visible (fallback method)
+     */
+    forceShowContent(card) {
+        const elements = this.getCardElements(card);
+        
+        // Aggressively hide skeletons
+        this.hideSkeletonElements(elements, true);
+        
+        // Force show content
+        this.showContentElements(elements, true);
+        
+        card.classList.remove('loading');
+        card.style.visibility = 'visible';
+    }
+    
+    /**
+     * Put a card back in its loading state, as created
+     */
+    showCardSkeleton(card) {
+        const elements = this.getCardElements(card);
+        
+        ['skeletonImage', 'skeletonTitle', 'skeletonPrice', 'skeletonButton'].forEach(skeleton => {
+            elements[skeleton].removeAttribute('style');
+        });
+        ['title', 'price', 'variants', 'button'].forEach(content => {
+            elements[content].setAttribute('style', 'display: none');
+        });
+        
+        elements.img.removeAttribute('style');
+        elements.img.classList.remove('loaded');
+        elements.img.classList.add('skeleton');
+        card.style.visibility = '';
+    }
+    
+    /**
+     * Get all relevant elements from a product card
+     */
+    getCardElements(card) {
+        return {
+            img: card.querySelector('.product-image'),
+            skeletonImage: card.querySelector('.skeleton-image'),
+            skeletonTitle: card.querySelector('.skeleton-title'),
+            skeletonPrice: card.querySelector('.skeleton-price'),
+            skeletonButton: card.querySelector('.skeleton-button'),
+            title: card.querySelector('.product-title'),
+            price: card.querySelector('.product-price'),
+            variants: card.querySelector('.variant-options'),
+            button: card.querySelector('.add-to-bundle-btn')
+        };
+    }
+    
+    /**
+     * Hide skeleton loading elements
+     */
+    hideSkeletonElements(elements, force = false) {
+        const skeletons = ['skeletonImage', 'skeletonTitle', 'skeletonPrice', 'skeletonButton'];
+        
+        skeletons.forEach(skeleton => {
+            if (elements[skeleton]) {
+                elements[skeleton].style.display = 'none';
+                if (force) elements[skeleton].style.visibility = 'hidden';
+            }
+        });
+    }
+    
+    /**
+     * Show actual content elements with animations
+     */
+    showContentElements(elements, force = false) {
+        const { img, title, price, variants, button } = elements;
+        
+        if (img) {
+            img.classList.remove('skeleton');
+            img.classList.add('loaded');
+            if (force) {
+                img.style.display = 'block';
+                img.style.visibility = 'visible';
+                img.style.opacity = '1';
+            }
+        }
+        
+        if (title) {
+            title.style.display = 'flex';
+            if (force) {
+                title.style.visibility = 'visible';
+                title.style.opacity = '1';
+            } else {
+                title.style.animation = 'fadeInUp 0.3s ease-out';
+            }
+        }
+        
+        if (price) {
+            price.style.display = 'flex';
+            if (force) {
+                price.style.visibility = 'visible';
+                price.style.opacity = '1';
+            } else {
+                price.style.animation = 'fadeInUp 0.3s ease-out 0.1s both';
+            }
+        }
+        
+        if (variants && variants.childElementCount > 0) {
+            variants.style.display = 'flex';
+            if (!force) {
+                variants.style.animation = 'fadeInUp 0.3s ease-out 0.15s both';
+            }
+        }
+        
+        if (button) {
+            button.style.display = 'flex';
+            if (force) {
+                button.style.visibility = 'visible';
+                button.style.opacity = '1';
+            } else {
+                button.style.animation = 'fadeInUp 0.3s ease-out 0.2s both';
+            }
+        }
+    }
+    
+    // =========================================================================
+    // PRODUCT MANAGEMENT METHODS
+    // =========================================================================
+    
+    /**
+     * Toggle the variant picked on a product card in or out of the bundle
+     */
+    toggleProduct(productId) {
+        if (this.state.isLoading || this.state.isSubmitting) return;
+        
+        // Products can be toggled from code while scrolled out of the grid
+        const productCard = this.renderedCards.get(productId);
+        const button = productCard ? productCard.querySelector('.add-to-bundle-btn') : null;
+        
+        // Check if button is disabled
+        if (this.isCardDisabled(productId, this.store.getRemainingCapacity() === 0)) return;
+        
+        // Get product data
+        const productData = this.store.createLine(productId, this.getSelectedVariantId(productId));
+        
+        // Sold-out variants can still be taken out, but never added
+        const isSelected = this.store.has(productData.key);
+        const available = this.store.getAvailableQuantity(productId, productData.variantId);
+        if (!isSelected && available <= 0) return;
+        
+        const line = isSelected ? this.store.getLine(productData.key) : productData;
+        const hook = this.events.emit(isSelected ? 'product:beforeRemove' : 'product:beforeAdd', { line });
+        if (hook.defaultPrevented) return;
+        
+        if (!isSelected) {
+            // Listeners may ask for a larger first quantity, within stock and bundle limits
+            const limit = this.store.getQuantityLimit({ ...productData, quantity: 0 });
+            const requested = Number.isInteger(productData.quantity) ? productData.quantity : 1;
+            productData.quantity = Math.max(Math.min(requested, limit), 1);
+        }
+        
+        // Ensure content is visible
+        if (productCard) this.forceShowContent(productCard);
+        
+        this.state.isLoading = true;
+        if (button) button.classList.add('loading');
+        
+        // Resolves once the change is applied, for callers that chain toggles
+        return new Promise(resolve => {
+            setTimeout(() => {
+                if (isSelected) {
+                    this.recordChange(this.t('history.removed', { title: line.title }), () => this.store.removeLine(productData.key));
+                } else {
+                    this.recordChange(this.t('history.added', { title: line.title }), () => this.store.addLine(productData));
+                }
+                
+                // The card may have been recycled for another product meanwhile
+                if (button) button.classList.remove('loading');
+                this.state.isLoading = false;
+                
+                if (isSelected) {
+                    this.showUndoToast(this.t('undo.removed', { title: line.title }));
+                    this.events.emit('product:removed', { line, reason: 'user' });
+                } else if (this.store.has(productData.key)) {
+                    this.events.emit('product:added', { line: this.store.getLine(productData.key) });
+                }
+                resolve();
+            }, this.config.loadingDelay);
+        });
+    }
+    
+    /**
+     * Variant currently picked on a product card, or null without variants.
+     * Until the shopper picks one, a product opens on its first variant that
+     * can still be bought, chosen the first time it is asked for.
+     */
+    getSelectedVariantId(productId) {
+        if (!this.state.selectedVariants.has(productId)) {
+            const product = this.store.catalog.get(productId);
+            if (!product || product.variants.length === 0) return null;
+            
+            const variant = product.variants.find(v => this.store.catalog.isInStock(productId, v.id)) || product.variants[0];
+            this.state.selectedVariants.set(productId, variant.id);
+        }
+        return this.state.selectedVariants.get(productId);
+    }
+    
+    /**
+     * Switch a bundle line to another variant of the same product, merging
+     * it into an existing line for that variant
+     */
+    changeLineVariant(lineKey, variantId) {
+        const line = this.store.getLine(lineKey);
+        if (this.state.isSubmitting || !line) return;
+        
+        const variant = this.store.catalog.getVariant(line.id, Number(variantId));
+        if (!variant) return;
+        
+        let isChanged = false;
+        this.recordChange(this.t('history.changedVariant', { title: line.title, variant: variant.title }), () => {
+            isChanged = this.store.changeLineVariant(lineKey, variant.id);
+        });
+        
+        // Re-render to put the sidebar picker back on the current variant
+        if (!isChanged) this.updateUI();
+    }
+    
+    /**
+     * Switch the store currency and reprice the bundle
+     */
+    setCurrency(currency) {
+        if (!this.store.supportsCurrency(currency)) {
+            console.warn(`Currency ${currency} is not supported by the catalog`);
+            return;
+        }
+        
+        this.store.setCurrency(currency);
+        
+        const select = this.find('.currency-select');
+        if (select) select.value = currency;
+        
+        this.updateProductPrices();
+        this.renderSavedBundles();
+        
+        // Price bounds are in the shopper's currency
+        const { minPrice, maxPrice } = this.state.filter;
+        if (minPrice !== null || maxPrice !== null) this.layoutProductGrid();
+    }
+    
+    /**
+     * Update bundle line quantity with validation
+     */
+    updateQuantity(lineKey, change) {
+        const line = this.store.getLine(lineKey);
+        if (!line) return;
+        
+        this.setQuantity(lineKey, line.quantity + change);
+    }
+    
+    /**
+     * Set a bundle line to an exact quantity, removing it at zero
+     */
+    setQuantity(lineKey, quantity) {
+        if (this.state.isSubmitting || !this.store.has(lineKey)) return;
+        
+        const product = this.store.getLine(lineKey);
+        const previousQuantity = product.quantity;
+        
+        // Remove product if quantity reaches zero
+        if (quantity <= 0) {
+            this.removeProduct(lineKey);
+            return;
+        }
+        
+        if (!this.store.canSetQuantity(product, quantity)) return;
+        
+        // Listeners may veto the change or settle on another valid quantity
+        const hook = this.events.emit('quantity:beforeChange', { line: product, previousQuantity, quantity });
+        const newQuantity = hook.detail.quantity;
+        if (hook.defaultPrevented || newQuantity === previousQuantity || !this.store.canSetQuantity(product, newQuantity)) return;
+        
+        // Update quantity
+        this.recordChange(this.t('history.changedQuantity', { title: product.title }), () => {
+            this.store.setLineQuantity(lineKey, newQuantity);
+        });
+        
+        // Add visual feedback
+        this.animateQuantityChange(lineKey);
+        
+        this.events.emit('quantity:changed', { line: this.store.getLine(lineKey), previousQuantity });
+    }
+    
+    /**
+     * Apply the quantity typed into a sidebar input, clamped to between 1 and
+     * what stock and the bundle limits allow. Clamping is announced, and an
+     * empty input goes back to the current quantity.
+     */
+    commitQuantityInput(input) {
+        const row = input.closest('[data-line-key]');
+        const line = row && this.store.getLine(row.dataset.lineKey);
+        if (!line) return;
+        
+        const typed = parseInt(input.value, 10);
+        if (!Number.isNaN(typed)) {
+            // Never clamp below what the line already holds
+            const limit = Math.max(this.store.getQuantityLimit(line), line.quantity);
+            const quantity = Math.min(Math.max(typed, 1), limit);
+            
+            if (quantity !== typed) {
+                this.announce(this.t(typed < 1 ? 'quantity.clampedMin' : 'quantity.clampedMax', { title: line.title, quantity }));
+            }
+            
+            if (quantity !== line.quantity) this.setQuantity(line.key, quantity);
+        }
+        
+        // Show what the bundle holds, also when the change was refused
+        this.resetQuantityInput(input);
+    }
+    
+    /**
+     * Drop an uncommitted quantity and show the line's current one
+     */
+    resetQuantityInput(input) {
+        const row = input.closest('[data-line-key]');
+        const line = row && this.store.getLine(row.dataset.lineKey);
+        
+        input.removeAttribute('data-draft');
+        if (line) input.value = line.quantity;
+    }
+    
+    /**
+     * Animate quantity input when changed
+     */
+    animateQuantityChange(lineKey) {
+        const quantityInput = this.find(`[data-line-key="${lineKey}"] .quantity-input`);
+        if (quantityInput) {
+            quantityInput.style.transform = 'scale(1.1)';
+            quantityInput.style.transition = 'transform 0.2s ease';
+            setTimeout(() => {
+                quantityInput.style.transform = 'scale(1)';
+            }, 200);
+        }
+    }
+    
+    /**
+     * Remove a bundle line completely
+     */
+    removeProduct(lineKey) {
+        if (this.state.isSubmitting || !this.store.has(lineKey)) return;
+        
+        const line = this.store.getLine(lineKey);
+        if (this.events.emit('product:beforeRemove', { line }).defaultPrevented) return;
+        
+        // The sidebar animates the row out once the store drops the line
+        this.recordChange(this.t('history.removed', { title: line.title }), () => this.store.removeLine(lineKey));
+        this.showUndoToast(this.t('undo.removed', { title: line.title }));
+        this.events.emit('product:removed', { line, reason: 'user' });
+    }
+    
+    /**
+     * Reload stock levels, from `feed` when given or else from the stock feed
+     */
+    async refreshStock(feed) {
+        let freshCatalog;
+        try {
+            freshCatalog = await ProductCatalog.load(feed !== undefined
+                ? { data: feed }
+                : { url: this.config.stockUrl || this.config.catalogUrl });
+        } catch (error) {
+            console.warn('Failed to refresh stock levels:', error);
+            return;
+        }
+        
+        this.reportStockChanges(this.store.updateStock(freshCatalog));
+        await this.renderSavedBundles();
+    }
+    
+    /**
+     * Show current stock on the cards and tell the shopper about bundle lines
+     * the store dropped or trimmed to match it
+     */
+    reportStockChanges({ removedLines, reducedCount }) {
+        this.renderedCards.forEach((card, productId) => {
+            this.updateCardStock(card, productId, this.getSelectedVariantId(productId));
+        });
+        
+        if (this.state.filter.inStock) this.layoutProductGrid();
+        
+        const removedCount = removedLines.length;
+        if (removedCount > 0 || reducedCount > 0) {
+            const messages = [];
+            if (removedCount > 0) {
+                messages.push(this.t('notice.soldOut', { count: removedCount }));
+            }
+            if (reducedCount > 0) {
+                messages.push(this.getReducedStockMessage(reducedCount));
+            }
+            this.showBundleNotice(messages.join(' '));
+        }
+        
+        removedLines.forEach(line => this.events.emit('product:removed', { line, reason: 'stock' }));
+    }
+    
+    /**
+     * Check whether the variant picked on a product card is in the bundle
+     */
+    isCardSelectionInBundle(productId) {
+        return this.store.has(this.store.getLineKey(productId, this.getSelectedVariantId(productId)));
+    }
+    
+    /**
+     * Update individual product button state
+     */
+    updateProductButtonState(productId, isSelected) {
+        const productCard = this.renderedCards.get(productId);
+        if (!productCard) return;
+        
+        const button = productCard.querySelector('.add-to-bundle-btn');
+        const isSoldOut = !isSelected && !this.store.catalog.isInStock(productId, this.getSelectedVariantId(productId));
+        
+        button.classList.toggle('sold-out', isSoldOut);
+        button.setAttribute('aria-pressed', String(isSelected));
+        
+        if (isSelected) {
+            button.classList.add('selected');
+            button.querySelector('.btn-text').textContent = this.t('card.added');
+        } else {
+            button.classList.remove('selected');
+            button.querySelector('.btn-text').textContent = this.t(isSoldOut ? 'card.soldOut' : 'card.add');
+        }
+    }
+    
+    /**
+     * Format a count with the noun for the current counting mode
+     */
+    formatItemCount(count) {
+        return this.t('bundle.itemCount', { mode: this.config.countMode, count });
+    }
+    
+    // =========================================================================
+    // UI UPDATE METHODS
+    // =========================================================================
+    
+    /**
+     * Master UI update method
+     */
+    updateUI() {
+        this.updateProgressBar();
+        this.updateSelectedProductsList();
+        this.updateRecommendations();
         this.updateBundleSummary();
+        this.updatePromoCodeList();
+        this.updateBundleStatus();
         this.updateAddBundleButton();
+        this.updateSaveBundleButton();
         this.updateButtonStates();
+        this.saveBundle();
+        this.syncShareLink();
+        this.emitBundleChanges();
+    }
+    
+    /**
+     * Update progress bar based on the distance to the next discount tier
+     */
+    updateProgressBar() {
+        const selectedCount = this.store.getBundleCount();
+        const { nextTier, applied, percentage } = this.store.evaluateDiscounts();
+        const progressBar = this.find('.progress-background');
+        const progressTrack = this.find('.progress-bundle-bar');
+        let current;
+        let target;
+        
+        if (nextTier) {
+            target = nextTier.target;
+            current = target - nextTier.itemsNeeded;
+        } else if (applied.length > 0) {
+            target = selectedCount;
+            current = selectedCount;
+        } else {
+            target = this.config.minItems;
+            current = Math.min(selectedCount, target);
+        }
+        
+        progressBar.style.width = `${target > 0 ? (current / target) * 100 : 100}%`;
+        progressTrack.setAttribute('aria-valuenow', current);
+        progressTrack.setAttribute('aria-valuemax', target);
+        
+        // Add visual feedback when close to the next tier
+        if (nextTier && nextTier.itemsNeeded === 1) {
+            progressBar.classList.add('pulse');
+        } else {
+            progressBar.classList.remove('pulse');
+        }
+        
+        this.updateProgressMessage(nextTier, applied.length > 0 ? percentage : 0);
+        
+        const message = this.find('.progress-message');
+        progressTrack.setAttribute('aria-valuetext', (message && message.textContent)
+            || this.t('progress.selected', { items: this.formatItemCount(selectedCount) }));
+    }
+    
+    /**
+     * Describe how far the shopper is from the next tier
+     */
+    updateProgressMessage(nextTier, savingPercentage) {
+        const message = this.find('.progress-message');
+        if (!message) return;
+        
+        if (nextTier) {
+            message.textContent = this.t('progress.next', {
+                count: nextTier.itemsNeeded,
+                reward: this.formatDiscountLabel(nextTier)
+            });
+        } else if (savingPercentage > 0) {
+            message.textContent = this.t('progress.saving', { percentage: savingPercentage });
+        } else {
+            message.textContent = '';
+        }
+    }
+    
+    /**
+     * Patch the sidebar rows to match the bundle lines. Rows are keyed by
+     * line, so unchanged rows keep their focus and loaded images, and rows
+     * that enter, leave or move are animated with FLIP.
+     */
+    updateSelectedProductsList() {
+        const container = this.find('.selected-products');
+        const skeletonContainer = this.find('.bundle-skeleton-container');
+        const lines = this.store.getLines();
+        
+        container.style.display = 'block';
+        container.style.visibility = 'visible';
+        
+        // Manage skeleton visibility
+        this.updateSkeletonVisibility(skeletonContainer, lines.length);
+        
+        // First: where every row sits before the update
+        const rows = new Map();
+        const firstRects = new Map();
+        container.querySelectorAll('.selected-product-item:not(.removing)').forEach(row => {
+            rows.set(row.dataset.lineKey, row);
+            firstRects.set(row, row.getBoundingClientRect());
+        });
+        
+        const lineKeys = new Set(lines.map(line => line.key));
+        const leavingRows = Array.from(rows.values()).filter(row => !lineKeys.has(row.dataset.lineKey));
+        
+        // A line that switched variant takes over its old row, so its picker keeps focus
+        lines.forEach(line => {
+            if (rows.has(line.key)) return;
+            
+            const index = leavingRows.findIndex(row => Number(row.dataset.sidebarProductId) === line.id);
+            if (index !== -1) {
+                rows.set(line.key, leavingRows.splice(index, 1)[0]);
+            }
+        });
+        
+        // Focus inside a leaving row moves to the row that takes its place
+        const focused = document.activeElement;
+        const focusedRow = leavingRows.find(row => row.contains(focused));
+        const focusIndex = focusedRow ? Array.from(firstRects.keys()).indexOf(focusedRow) : -1;
+        
+        const containerRect = container.getBoundingClientRect();
+        leavingRows.forEach(row => this.removeSidebarRow(row, firstRects.get(row), containerRect));
+        
+        // Patch rows in place and put them in bundle order, moving only those out of place
+        let previous = null;
+        lines.forEach(line => {
+            let row = rows.get(line.key);
+            if (row) {
+                this.updateSelectedProductElement(row, line);
+            } else {
+                row = this.createSelectedProductElement(line);
+            }
+            
+            let reference = previous ? previous.nextElementSibling : container.firstElementChild;
+            while (reference && reference.classList.contains('removing')) {
+                reference = reference.nextElementSibling;
+            }
+            if (reference !== row) container.insertBefore(row, reference);
+            
+            previous = row;
+        });
+        
+        if (focusedRow) this.moveSidebarFocus(focusIndex, focused.dataset.action);
+        
+        // Last, Invert, Play: slide rows that moved from where they were
+        if (this.prefersReducedMotion()) return;
+        
+        firstRects.forEach((first, row) => {
+            if (row.classList.contains('removing')) return;
+            
+            const deltaY = first.top - row.getBoundingClientRect().top;
+            if (deltaY !== 0) this.playRowMove(row, deltaY);
+        });
+    }
+    
+    /**
+     * Focus the same control in the row now at `index`, or the row above it
+     * when the last row left; the sidebar title when no rows are left
+     */
+    moveSidebarFocus(index, action) {
+        const rows = this.findAll('.selected-product-item:not(.removing)');
+        const row = rows[Math.min(index, rows.length - 1)];
+        
+        if (!row) {
+            this.find('.bundle-title').focus();
+            return;
+        }
+        
+        const control = (action && row.querySelector(`[data-action="${action}"]:not(:disabled)`))
+            || row.querySelector('.remove-btn');
+        control.focus();
+    }
+    
+    /**
+     * Take a sidebar row out of the layout and fade it out, so the rows
+     * below can slide up while it leaves
+     */
+    removeSidebarRow(row, first, containerRect) {
+        if (this.prefersReducedMotion()) {
+            row.remove();
+            return;
+        }
+        
+        row.style.top = `${first.top - containerRect.top}px`;
+        row.style.left = `${first.left - containerRect.left}px`;
+        row.style.width = `${first.width}px`;
+        row.classList.add('removing');
+        
+        setTimeout(() => row.remove(), this.config.animationDuration);
+    }
+    
+    /**
+     * Animate a row from `deltaY` pixels away back into its new place
+     */
+    playRowMove(row, deltaY) {
+        row.style.transition = 'none';
+        row.style.transform = `translateY(${deltaY}px)`;
+        
+        // Force a reflow so the move starts from the old position
+        row.getBoundingClientRect();
+        
+        row.style.transition = `transform ${this.config.animationDuration}ms cubic-bezier(0.4, 0, 0.2, 1)`;
+        row.style.transform = '';
+        row.addEventListener('transitionend', () => {
+            row.style.transition = '';
+        }, { once: true });
+    }
+    
+    /**
+     * Check whether the shopper asked the system for less motion
+     */
+    prefersReducedMotion() {
+        return typeof window.matchMedia === 'function'
+            && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+    
+    /**
+     * Update skeleton loader visibility based on selected products
+     */
+    updateSkeletonVisibility(skeletonContainer, selectedCount) {
+        const skeletonRows = skeletonContainer.querySelectorAll('.bundle-skeleton-row');
+        
+        if (selectedCount === 0) {
+            // Show all skeleton rows when no products
+            skeletonContainer.style.display = 'flex';
+            skeletonRows.forEach(row => row.style.display = 'flex');
+        } else {
+            // Hide skeleton rows for selected products
+            skeletonRows.forEach((row, index) => {
+                row.style.display = index < selectedCount ? 'none' : 'flex';
+            });
+            
+            skeletonContainer.style.display = selectedCount >= skeletonRows.length ? 'none' : 'flex';
+        }
+    }
+    
+    
+    /**
+     * Create the sidebar row for a bundle line
+     */
+    createSelectedProductElement(line) {
+        const productDiv = document.createElement('div');
+        productDiv.className = 'selected-product-item';
+        
+        productDiv.innerHTML = `
+            <img class="selected-product-image" loading="lazy">
+            <div class="selected-product-info">
+                <h4 class="selected-product-title"></h4>
+                <p class="selected-product-price"></p>
+                <p class="selected-product-stock" hidden></p>
+            </div>
+            <div class="selected-product-controls">
+                <div class="quantity-input-bundle">
+                    <button 
+                        class="quantity-btn" 
+                        data-action="decrease-quantity" 
+                    >
+                        <svg width="9" height="1" viewBox="0 0 9 1">
+                            <rect width="9" height="1" fill="currentColor"/>
+                        </svg>
+                    </button>
+                    <input 
+                        class="quantity-input" 
+                        type="text" 
+                        inputmode="numeric" 
+                        maxlength="4" 
+                        autocomplete="off" 
+                        role="spinbutton" 
+                        aria-valuemin="1" 
+                        data-action="set-quantity"
+                    >
+                    <button 
+                        class="quantity-btn" 
+                        data-action="increase-quantity" 
+                    >
+                        <svg width="9" height="9" viewBox="0 0 9 9">
+                            <path d="M4.5 0V9M0 4.5H9" stroke="currentColor" stroke-width="1"/>
+                        </svg>
+                    </button>
+                </div>
+                <button 
+                    class="remove-btn" 
+                    data-action="remove-line"
+                >
+                    <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
+                        <path 
+                            d="M1.5 3H10.5M5 1V3M7 1V3M2 3L2.4 10H9.6L10 3M4.5 5V8M7.5 5V8" 
+                            stroke="currentColor" 
+                            stroke-width="1.2" 
+                            stroke-linecap="round" 
+                            stroke-linejoin="round"
+                        />
+                    </svg>
+                </button>
+            </div>
+        `;
+        
+        productDiv.querySelector('[data-action="decrease-quantity"]').setAttribute('aria-label', this.t('line.decrease'));
+        productDiv.querySelector('[data-action="increase-quantity"]').setAttribute('aria-label', this.t('line.increase'));
+        
+        this.updateSelectedProductElement(productDiv, line);
+        
+        return productDiv;
+    }
+    
+    /**
+     * Bring a sidebar row up to date with its line, touching only what changed
+     */
+    updateSelectedProductElement(row, line) {
+        const maxQuantity = this.store.getLineMaxQuantity(line);
+        const quantityLimit = this.store.getQuantityLimit(line);
+        const img = row.querySelector('.selected-product-image');
+        const stock = row.querySelector('.selected-product-stock');
+        const quantityInput = row.querySelector('.quantity-input');
+        
+        row.dataset.sidebarProductId = line.id;
+        row.dataset.lineKey = line.key;
+        
+        // Reassigning an unchanged source would restart the image load
+        const image = this.getSafeImageUrl(line.image);
+        if (img.getAttribute('src') !== image) img.src = image;
+        img.alt = line.title;
+        
+        row.querySelector('.selected-product-title').textContent = line.title;
+        row.querySelector('.selected-product-price').textContent = this.formatMoney(line.price);
+        
+        stock.hidden = line.quantity < maxQuantity;
+        stock.textContent = this.t('line.stockLimit', { count: maxQuantity });
+        
+        // Leave a value the shopper is still typing alone until it is committed
+        if (!quantityInput.hasAttribute('data-draft') && quantityInput.value !== String(line.quantity)) {
+            quantityInput.value = line.quantity;
+        }
+        quantityInput.setAttribute('aria-label', this.t('line.quantity', { title: line.title }));
+        quantityInput.setAttribute('aria-valuenow', line.quantity);
+        if (quantityLimit === Infinity) {
+            quantityInput.removeAttribute('aria-valuemax');
+        } else {
+            quantityInput.setAttribute('aria-valuemax', Math.max(quantityLimit, line.quantity));
+        }
+        row.querySelector('[data-action="increase-quantity"]').disabled = line.quantity >= quantityLimit;
+        row.querySelector('.remove-btn').setAttribute('aria-label', this.t('line.remove', { title: line.title }));
+        
+        this.updateLineVariantPicker(row, line);
+    }
+    
+    /**
+     * Keep the variant picker of a sidebar row in step with its line; products
+     * without variants have none
+     */
+    updateLineVariantPicker(row, line) {
+        const product = this.store.catalog.get(line.id);
+        let select = row.querySelector('.selected-product-variant');
+        
+        if (product.variants.length === 0) {
+            if (select) select.remove();
+            return;
+        }
+        
+        if (!select) {
+            select = document.createElement('select');
+            select.className = 'variant-select selected-product-variant';
+            select.dataset.action = 'change-line-variant';
+            row.querySelector('.selected-product-info').appendChild(select);
+        }
+        
+        select.setAttribute('aria-label', this.t('line.variant', { title: line.title }));
+        
+        product.variants.forEach((variant, index) => {
+            const isCurrent = variant.id === line.variantId;
+            const isSoldOut = !isCurrent && this.store.getAvailableQuantity(line.id, variant.id, [line.key]) <= 0;
+            const option = select.options[index] || select.appendChild(document.createElement('option'));
+            
+            option.value = variant.id;
+            option.textContent = isSoldOut ? this.t('line.variantSoldOut', { variant: variant.title }) : variant.title;
+            option.disabled = isSoldOut;
+        });
+        
+        select.value = String(line.variantId);
+    }
+    
+    // =========================================================================
+    // RECOMMENDATION METHODS
+    // =========================================================================
+    
+    /**
+     * Fill the empty bundle slots with suggested products, each with a
+     * one-click add. Slots keep their skeleton look when there is nothing
+     * to suggest.
+     */
+    updateRecommendations() {
+        const container = this.find('.bundle-skeleton-container');
+        if (!container) return;
+        
+        const slots = Array.from(container.querySelectorAll('.bundle-skeleton-row'));
+        const emptySlots = slots.filter(slot => slot.style.display !== 'none');
+        const recommendations = this.getRecommendations(emptySlots.length);
+        
+        slots.forEach(slot => {
+            const index = emptySlots.indexOf(slot);
+            this.renderRecommendationSlot(slot, index === -1 ? undefined : recommendations[index]);
+        });
+    }
+    
+    /**
+     * Products to suggest, once the shopper is within `recommendWithin`
+     * items of the next discount
+     */
+    getRecommendations(count) {
+        const lines = this.store.getLines();
+        if (!this.recommender || count === 0 || lines.length === 0) return [];
+        
+        const { nextTier } = this.store.evaluateDiscounts();
+        if (!nextTier || nextTier.itemsNeeded > this.config.recommendWithin) return [];
+        
+        const productIds = Array.from(new Set(lines.map(line => line.id)));
+        return this.recommender.recommend(this.store.catalog, productIds, {
+            count,
+            isEligible: product => this.canRecommend(product.id)
+        });
+    }
+    
+    /**
+     * Check whether one click on a suggestion would move the bundle towards
+     * its discount: the product counts towards discounts and the variant
+     * picked on its card can be added
+     */
+    canRecommend(productId) {
+        if (this.config.excludedProductIds.includes(productId)) return false;
+        
+        const line = this.store.createLine(productId, this.getSelectedVariantId(productId));
+        return this.store.getQuantityLimit({ ...line, quantity: 0 }) >= 1;
+    }
+    
+    /**
+     * Show a suggestion in a bundle slot, or put the skeleton back. A slot
+     * suggesting the same product keeps its element and loaded image.
+     */
+    renderRecommendationSlot(slot, recommendation) {
+        let item = slot.querySelector('.recommendation-item');
+        
+        if (!recommendation) {
+            if (item) item.remove();
+            slot.classList.remove('has-recommendation');
+            delete slot.dataset.productId;
+            delete slot.dataset.strategy;
+            return;
+        }
+        
+        const line = this.store.createLine(recommendation.productId, this.getSelectedVariantId(recommendation.productId));
+        
+        if (!item || slot.dataset.productId !== String(line.id)) {
+            if (item) item.remove();
+            item = this.createRecommendationElement(line);
+            slot.appendChild(item);
+        }
+        
+        slot.classList.add('has-recommendation');
+        slot.dataset.productId = line.id;
+        slot.dataset.strategy = recommendation.strategy;
+        item.querySelector('.recommendation-price').textContent = this.formatMoney(line.price);
+    }
+    
+    /**
+     * Create the contents of a slot suggesting a product
+     */
+    createRecommendationElement(line) {
+        const item = document.createElement('div');
+        item.className = 'recommendation-item';
+        
+        item.innerHTML = `
+            <img class="recommendation-image" loading="lazy" alt="">
+            <div class="recommendation-info">
+                <p class="recommendation-label"></p>
+                <h4 class="recommendation-title"></h4>
+                <p class="recommendation-price"></p>
+            </div>
+            <button type="button" class="recommendation-add-btn" data-action="add-recommendation">
+                <svg width="12" height="12" viewBox="0 0 12 12" aria-hidden="true">
+                    <path d="M6 1V11M1 6H11" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+                </svg>
+            </button>
+        `;
+        
+        // Feed values are assigned as text and attributes, never parsed as markup
+        item.querySelector('.recommendation-image').src = this.getSafeImageUrl(line.image);
+        item.querySelector('.recommendation-label').textContent = this.t('recommendation.label');
+        item.querySelector('.recommendation-title').textContent = line.title;
+        item.querySelector('.recommendation-add-btn').setAttribute('aria-label', this.t('card.addLabel', { title: line.title }));
+        
+        return item;
+    }
+    
+    /**
+     * Add the product suggested in a slot, just as if its card was clicked
+     */
+    addRecommendation(slot) {
+        const productId = parseInt(slot.dataset.productId);
+        const { strategy } = slot.dataset;
+        const key = this.store.createLine(productId, this.getSelectedVariantId(productId)).key;
+        if (this.store.has(key)) return;
+        
+        const adding = this.toggleProduct(productId);
+        if (!adding) return;
+        
+        return adding.then(() => {
+            if (!this.store.has(key)) return;
+            this.trackAnalytics('recommendation:added', { ...this.describeLine(this.store.getLine(key)), strategy });
+        });
+    }
+    
+    // =========================================================================
+    // CALCULATION METHODS
+    // =========================================================================
+    
+    /**
+     * Format minor units of the store currency for display
+     */
+    formatMoney(minor) {
+        return Money.format(minor, this.store.currency, this.i18n.locale);
+    }
+    
+    /**
+     * Update bundle summary display
+     */
+    updateBundleSummary() {
+        const discountResult = this.store.evaluateDiscounts();
+        const finalTotal = discountResult.subtotal - discountResult.total;
+        
+        this.updateDiscountDisplay(discountResult);
+        this.updateDiscountBreakdown(discountResult.applied);
+        this.updateSubtotalDisplay(finalTotal);
+    }
+    
+    /**
+     * Tell screen readers the bundle size, progress and total after a change
+     */
+    updateBundleStatus() {
+        const status = this.find('.bundle-status');
+        if (!status || !this.state.isReady) return;
+        
+        const { subtotal, total: discount } = this.store.evaluateDiscounts();
+        const progress = this.find('.progress-message');
+        const parts = [this.t('status.count', { items: this.formatItemCount(this.store.getBundleCount()) })];
+        
+        if (progress && progress.textContent) parts.push(`${progress.textContent}.`);
+        parts.push(discount > 0
+            ? this.t('status.totalDiscounted', { total: this.formatMoney(subtotal - discount), discount: this.formatMoney(discount) })
+            : this.t('status.total', { total: this.formatMoney(subtotal) }));
+        
+        // Live regions only speak when their text changes
+        const message = parts.join(' ');
+        if (status.textContent !== message) status.textContent = message;
+    }
+    
+    /**
+     * Update discount display with visual feedback
+     */
+    updateDiscountDisplay({ total: discount, percentage }) {
+        const discountElement = this.find('.discount-amount');
+        
+        if (discount > 0) {
+            discountElement.textContent = this.t('summary.discountAmount', { amount: this.formatMoney(discount), percentage });
+            discountElement.style.color = '#28a745';
+            
+            // Add pulse animation for significant savings
+            discountElement.style.animation = 'pulse 1s ease-in-out';
+            setTimeout(() => {
+                discountElement.style.animation = '';
+            }, 1000);
+        } else {
+            discountElement.textContent = this.t('summary.discountAmount', { amount: this.formatMoney(0), percentage: 0 });
+            discountElement.style.color = '#111111';
+        }
+    }
+    
+    /**
+     * List each applied discount rule under the discount total
+     */
+    updateDiscountBreakdown(appliedRules) {
+        const list = this.find('.discount-breakdown');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        list.hidden = appliedRules.length === 0;
+        
+        appliedRules.forEach(rule => {
+            const item = document.createElement('li');
+            item.className = 'discount-breakdown-item';
+            item.setAttribute('data-rule-id', rule.id);
+            
+            const label = document.createElement('span');
+            label.className = 'discount-breakdown-label';
+            label.textContent = this.formatDiscountLabel(rule);
+            
+            const amount = document.createElement('span');
+            amount.className = 'discount-breakdown-amount';
+            amount.textContent = rule.giftProductId ? this.t('promo.free') : `- ${this.formatMoney(rule.amount)}`;
+            
+            item.append(label, amount);
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Update subtotal display
+     */
+    updateSubtotalDisplay(finalTotal) {
+        const subtotalElement = this.find('.subtotal-amount');
+        subtotalElement.textContent = this.formatMoney(finalTotal);
+    }
+    
+    /**
+     * Update add to cart button state
+     */
+    updateAddBundleButton() {
+        const button = this.find('.add-bundle-to-cart-btn');
+        const selectedCount = this.store.getBundleCount();
+        
+        // A quote only matches the bundle it was issued for
+        this.state.pendingQuote = null;
+        
+        if (this.store.meetsMinimum()) {
+            this.enableAddBundleButton(button, selectedCount);
+        } else {
+            this.disableAddBundleButton(button, selectedCount);
+        }
+    }
+    
+    /**
+     * Enable add bundle button
+     */
+    enableAddBundleButton(button, selectedCount) {
+        button.disabled = false;
+        button.classList.add('enabled');
+        
+        const currentState = button.dataset.currentState;
+        
+        // Start with "Proceed" and automatically transition to "Cart"
+        if (!currentState || ['initial', 'added', 'error', 'confirm'].includes(currentState)) {
+            this.clearCartResultState(button);
+            button.querySelector('.btn-text').textContent = this.t('cart.proceed', { items: this.formatItemCount(selectedCount) });
+            button.dataset.currentState = 'proceed';
+            
+            // Automatically change to "Cart" after a brief moment
+            setTimeout(() => {
+                if (button.dataset.currentState === 'proceed') {
+                    button.querySelector('.btn-text').textContent = this.t('cart.add', { items: this.formatItemCount(this.store.getBundleCount()) });
+                    button.dataset.currentState = 'cart';
+                }
+            }, 1000);
+        } else if (currentState === 'cart') {
+            // Keep the count current as quantities change
+            button.querySelector('.btn-text').textContent = this.t('cart.add', { items: this.formatItemCount(selectedCount) });
+        }
+    }
+    
+    /**
+     * Disable add bundle button
+     */
+    disableAddBundleButton(button, selectedCount) {
+        this.clearCartResultState(button);
+        button.disabled = true;
+        button.querySelector('.btn-text').textContent = this.t('cart.proceed', { items: this.formatItemCount(this.config.minItems - selectedCount) });
+        button.classList.remove('enabled');
+        button.dataset.currentState = 'initial';
+    }
+    
+    /**
+     * Update all product button states based on bundle status
+     */
+    updateButtonStates() {
+        const isMaxSelection = this.store.getRemainingCapacity() === 0;
+        
+        // Only rendered cards have buttons; the others are brought up to date as they scroll in
+        this.renderedCards.forEach(card => this.updateCardButtonState(card, isMaxSelection));
+    }
+    
+    /**
+     * Update the selected look and enabled state of one card's button
+     */
+    updateCardButtonState(card, isMaxSelection) {
+        const productId = parseInt(card.dataset.productId);
+        const button = card.querySelector('.add-to-bundle-btn');
+        
+        // Lines can change from the sidebar, so sync the selected look too
+        this.updateProductButtonState(productId, this.isCardSelectionInBundle(productId));
+        
+        // Disabled buttons stay focusable so screen readers still find them
+        const isDisabled = this.isCardDisabled(productId, isMaxSelection);
+        button.classList.toggle('disabled', isDisabled);
+        button.setAttribute('aria-disabled', String(isDisabled));
+    }
+    
+    /**
+     * Check whether a product's card button is disabled: enabled when the
+     * product is selected, or the bundle isn't full and stock is left
+     */
+    isCardDisabled(productId, isMaxSelection) {
+        if (this.isCardSelectionInBundle(productId)) return false;
+        
+        return isMaxSelection || this.store.getAvailableQuantity(productId, this.getSelectedVariantId(productId)) <= 0;
+    }
+    
+    // =========================================================================
+    // PROMO CODE METHODS
+    // =========================================================================
+    
+    /**
+     * Apply the code typed into the promo code field, or say why it cannot
+     * be used
+     */
+    applyEnteredPromoCode() {
+        const input = this.find('.promo-code-input');
+        const code = input.value.trim();
+        if (!code) return;
+        
+        const reason = this.store.checkPromoCode(code);
+        if (reason) {
+            this.showPromoCodeError(this.t(`promo.error.${reason}`, { amount: this.formatPromoMinSpend(code) }));
+            input.focus();
+            return;
+        }
+        
+        this.showPromoCodeError(null);
+        this.store.applyPromoCode(code);
+        input.value = '';
+        this.announce(this.t('promo.applied', { code: this.store.promoCodes.find(code).code }));
+    }
+    
+    /**
+     * Take a promo code off the bundle and return focus to the field
+     */
+    removePromoCode(code) {
+        if (!this.store.removePromoCode(code)) return;
+        
+        this.find('.promo-code-input').focus();
+        this.announce(this.t('promo.removed', { code }));
+    }
+    
+    /**
+     * Show why a code was refused, or clear the message with null
+     */
+    showPromoCodeError(message) {
+        const error = this.find('.promo-code-error');
+        const input = this.find('.promo-code-input');
+        if (!error || !input) return;
+        
+        error.textContent = message || '';
+        error.hidden = !message;
+        input.setAttribute('aria-invalid', String(Boolean(message)));
+    }
+    
+    /**
+     * Minimum spend of a code in the bundle currency, formatted, or '' when it has none
+     */
+    formatPromoMinSpend(code) {
+        const promo = this.store.promoCodes.find(code);
+        if (!promo || !promo.minSpend) return '';
+        
+        return this.formatMoney(this.store.getMoneyContext().convertAmount(promo.minSpend));
+    }
+    
+    /**
+     * List the entered codes, each with a remove button and, when it does not
+     * apply right now, the reason
+     */
+    updatePromoCodeList() {
+        const list = this.find('.promo-code-list');
+        if (!list) return;
+        
+        const { promoCodes } = this.store.evaluateDiscounts();
+        list.innerHTML = '';
+        list.hidden = promoCodes.length === 0;
+        
+        promoCodes.forEach(({ code, status }) => {
+            const item = document.createElement('li');
+            item.className = 'promo-code-item';
+            item.classList.toggle('is-inactive', status !== 'applied');
+            item.setAttribute('data-promo-code', code);
+            
+            const name = document.createElement('span');
+            name.className = 'promo-code-name';
+            name.textContent = code;
+            item.appendChild(name);
+            
+            if (status !== 'applied') {
+                const note = document.createElement('span');
+                note.className = 'promo-code-status';
+                note.textContent = this.t(`promo.status.${status}`, { amount: this.formatPromoMinSpend(code) });
+                item.appendChild(note);
+            }
+            
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'promo-code-remove';
+            remove.setAttribute('data-action', 'remove-promo-code');
+            remove.setAttribute('aria-label', this.t('promo.remove', { code }));
+            remove.textContent = '×';
+            item.appendChild(remove);
+            
+            list.appendChild(item);
+        });
+    }
+    
+    // =========================================================================
+    // SAVED BUNDLE METHODS
+    // =========================================================================
+    
+    /**
+     * Allow saving once the bundle has something in it
+     */
+    updateSaveBundleButton() {
+        const button = this.find('.save-bundle-btn');
+        if (button) button.disabled = this.store.getLines().length === 0;
+    }
+    
+    /**
+     * List the saved bundles with today's pricing
+     */
+    async renderSavedBundles() {
+        const panel = this.find('.saved-bundles');
+        if (!this.savedBundles || !panel) return;
+        
+        let records;
+        try {
+            records = await this.savedBundles.list();
+        } catch (error) {
+            console.warn('Failed to load saved bundles:', error);
+            records = [];
+        }
+        
+        panel.querySelector('.saved-bundles-list').replaceChildren(...records.map(record => this.createSavedBundleElement(record)));
+        panel.hidden = records.length === 0;
+    }
+    
+    /**
+     * Create the panel entry for a saved bundle
+     */
+    createSavedBundleElement(record) {
+        const item = document.createElement('li');
+        item.className = 'saved-bundle';
+        item.dataset.savedId = record.id;
+        
+        item.innerHTML = `
+            <div class="saved-bundle-info">
+                <p class="saved-bundle-name"></p>
+                <p class="saved-bundle-summary"></p>
+                <p class="saved-bundle-flag" hidden></p>
+            </div>
+            <div class="saved-bundle-actions">
+                <button type="button" class="saved-bundle-btn" data-action="load-saved-bundle"></button>
+                <button type="button" class="saved-bundle-btn" data-action="rename-saved-bundle"></button>
+                <button type="button" class="saved-bundle-btn" data-action="duplicate-saved-bundle"></button>
+                <button type="button" class="saved-bundle-btn" data-action="delete-saved-bundle"></button>
+            </div>
+        `;
+        
+        const { count, finalTotal, priceChanged, unavailableCount } = this.priceSavedBundle(record.bundle);
+        const flags = [];
+        if (priceChanged) flags.push(this.t('saved.priceChanged'));
+        if (unavailableCount > 0) flags.push(this.t('saved.unavailable', { count: unavailableCount }));
+        
+        // Names are typed by shoppers: assign them as text, never as markup
+        item.querySelector('.saved-bundle-name').textContent = record.name;
+        item.querySelector('.saved-bundle-summary').textContent = this.t('saved.summary', {
+            items: this.formatItemCount(count),
+            total: this.formatMoney(finalTotal)
+        });
+        
+        const flag = item.querySelector('.saved-bundle-flag');
+        flag.textContent = flags.join(' ');
+        flag.hidden = flags.length === 0;
+        
+        ['load', 'rename', 'duplicate', 'delete'].forEach(action => {
+            const button = item.querySelector(`[data-action="${action}-saved-bundle"]`);
+            button.textContent = this.t(`saved.${action}`);
+            button.setAttribute('aria-label', this.t(`saved.${action}Label`, { name: record.name }));
+        });
+        
+        return item;
+    }
+    
+    /**
+     * Price a saved bundle at today's catalog prices in the current currency,
+     * with the saved promo codes that still apply.
+     * `priceChanged` flags lines whose price moved since saving, compared in
+     * the currency they were saved in; `unavailableCount` counts lines that
+     * can no longer be bought.
+     */
+    priceSavedBundle(bundle) {
+        const savedCurrency = this.store.supportsCurrency(bundle.currency) ? bundle.currency : this.store.currency;
+        const store = new BundleStore({ ...this.getStoreOptions(), catalog: this.store.catalog, currency: savedCurrency });
+        store.setPromoCodeList(this.store.promoCodes);
+        store.replaceLines(bundle.products);
+        (bundle.promoCodes || []).forEach(code => store.applyPromoCode(code));
+        
+        const priceChanged = savedCurrency === bundle.currency && bundle.products.some(entry => {
+            const line = store.getLine(store.getLineKey(entry.id, entry.variantId));
+            return line !== undefined && line.price !== entry.price;
+        });
+        
+        store.setCurrency(this.store.currency);
+        const { finalTotal } = store.prepareBundleData();
+        
+        return {
+            count: store.getBundleCount(),
+            finalTotal,
+            priceChanged,
+            unavailableCount: bundle.products.length - store.getLines().length
+        };
     }
     
     /**
-     * Update progress bar based on selected products
+     * Save the current bundle under a numbered default name
      */
-    updateProgressBar() {
-        const selectedCount = this.state.selectedProducts.size;
-        const progressPercentage = Math.min((selectedCount / this.config.minProductsForDiscount) * 100, 100);
-        const progressBar = document.getElementById('progressBar');
-        
-        progressBar.style.width = `${progressPercentage}%`;
+    async saveCurrentBundle() {
+        if (!this.savedBundles || this.store.getLines().length === 0) return;
         
-        // Add visual feedback when close to completion
-        if (selectedCount === this.config.minProductsForDiscount - 1) {
-            progressBar.classList.add('pulse');
-        } else {
-            progressBar.classList.remove('pulse');
-        }
+        const bundleData = this.prepareBundleData();
+        await this.changeSavedBundles(async () => {
+            const records = await this.savedBundles.list();
+            const { name } = await this.savedBundles.save(this.t('saved.defaultName', { number: records.length + 1 }), bundleData);
+            return this.t('saved.saved', { name });
+        });
     }
     
     /**
-     * Update the selected products list in sidebar
+     * Replace the bundle and its promo codes with a saved one, as a single
+     * undoable change at today's prices and stock
      */
-    updateSelectedProductsList() {
-        const container = document.getElementById('selectedProducts');
-        const skeletonContainer = document.getElementById('bundleSkeletonContainer');
-        const selectedCount = this.state.selectedProducts.size;
+    async loadSavedBundle(id) {
+        if (this.state.isSubmitting) return;
         
-        // Clear and prepare container
-        container.innerHTML = '';
-        container.style.display = 'block';
-        container.style.visibility = 'visible';
+        let record;
+        try {
+            record = await this.savedBundles.get(id);
+        } catch (error) {
+            console.warn('Failed to load saved bundle:', error);
+        }
         
-        // Manage skeleton visibility
-        this.updateSkeletonVisibility(skeletonContainer, selectedCount);
+        if (!record) {
+            this.announce(this.t('saved.error'));
+            await this.renderSavedBundles();
+            return;
+        }
         
-        // Add products to container
-        this.state.selectedProducts.forEach((product) => {
-            const productElement = this.createSelectedProductElement(product);
-            container.appendChild(productElement);
+        // Work the saved lines out on a scratch bundle, then move to them like
+        // undo does, so only the lines that differ pass through hooks and events
+        const store = new BundleStore({ ...this.getStoreOptions(), catalog: this.store.catalog, currency: this.store.currency });
+        const { removedCount, repricedCount, reducedCount } = this.restoreLines(
+            record.bundle.products,
+            record.bundle.currency === this.store.currency,
+            store
+        );
+        
+        this.recordChange(this.t('history.loaded', { name: record.name }), () => {
+            this.applyLineSnapshot(store.snapshot());
+            this.restorePromoCodes(record.bundle.promoCodes);
         });
+        
+        if (removedCount > 0 || repricedCount > 0 || reducedCount > 0) {
+            this.showBundleNotice(this.getRestoreNotice(removedCount, repricedCount, reducedCount));
+        }
+        this.announce(this.t('saved.loaded', { name: record.name }));
     }
     
     /**
-     * Update skeleton loader visibility based on selected products
+     * Swap a saved bundle's name for a text field to rename it in place
      */
-    updateSkeletonVisibility(skeletonContainer, selectedCount) {
-        const skeletonRows = skeletonContainer.querySelectorAll('.bundle-skeleton-row');
+    startSavedBundleRename(item) {
+        const name = item.querySelector('.saved-bundle-name');
+        if (!name) return;
         
-        if (selectedCount === 0) {
-            // Show all skeleton rows when no products
-            skeletonContainer.style.display = 'flex';
-            skeletonRows.forEach(row => row.style.display = 'flex');
-        } else {
-            // Hide skeleton rows for selected products
-            skeletonRows.forEach((row, index) => {
-                row.style.display = index < selectedCount ? 'none' : 'flex';
-            });
-            
-            skeletonContainer.style.display = selectedCount >= 3 ? 'none' : 'flex';
-        }
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'saved-bundle-name-input';
+        input.maxLength = 60;
+        input.defaultValue = name.textContent;
+        input.dataset.action = 'saved-bundle-name';
+        input.setAttribute('aria-label', this.t('saved.nameLabel'));
+        
+        name.replaceWith(input);
+        input.focus();
+        input.select();
     }
     
+    /**
+     * Enter keeps a typed name and Escape abandons it
+     */
+    handleSavedBundleNameKeydown(event, input) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.commitSavedBundleName(input);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            this.commitSavedBundleName(input, false);
+        }
+    }
     
     /**
-     * Create DOM element for selected product in sidebar
+     * Rename a saved bundle to the typed name; blank or unchanged names
+     * leave it as it was. Focus returns to the rename button.
      */
-    createSelectedProductElement(product) {
-        const productDiv = document.createElement('div');
-        productDiv.className = 'selected-product-item';
-        productDiv.setAttribute('data-sidebar-product-id', product.id);
+    async commitSavedBundleName(input, keep = true) {
+        // Enter or Escape finish the rename; the blur that follows must not do it again
+        if (input.dataset.committed) return;
+        input.dataset.committed = 'true';
         
-        productDiv.innerHTML = `
-            <img 
-                class="selected-product-image" 
-                src="${product.image}" 
-                alt="${product.title}" 
-                loading="lazy"
-            >
-            <div class="selected-product-info">
-                <h4 class="selected-product-title">${product.title}</h4>
-                <p class="selected-product-price">$${product.price.toFixed(2)}</p>
-            </div>
-            <div class="selected-product-controls">
-                <div class="quantity-input-bundle">
-                    <button 
-                        class="quantity-btn" 
-                        onclick="bundleBuilder.updateQuantity(${product.id}, -1)" 
-                        aria-label="Decrease quantity"
-                    >
-                        <svg width="9" height="1" viewBox="0 0 9 1">
-                            <rect width="9" height="1" fill="currentColor"/>
-                        </svg>
-                    </button>
-                    <input 
-                        class="quantity-input" 
-                        type="text" 
-                        value="${product.quantity}" 
-                        readonly 
-                        aria-label="Quantity"
-                    >
-                    <button 
-                        class="quantity-btn" 
-                        onclick="bundleBuilder.updateQuantity(${product.id}, 1)" 
-                        aria-label="Increase quantity"
-                    >
-                        <svg width="9" height="9" viewBox="0 0 9 9">
-                            <path d="M4.5 0V9M0 4.5H9" stroke="currentColor" stroke-width="1"/>
-                        </svg>
-                    </button>
-                </div>
-                <button 
-                    class="remove-btn" 
-                    onclick="bundleBuilder.removeProduct(${product.id})" 
-                    aria-label="Remove ${product.title} from bundle"
-                >
-                    <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
-                        <path 
-                            d="M1.5 3H10.5M5 1V3M7 1V3M2 3L2.4 10H9.6L10 3M4.5 5V8M7.5 5V8" 
-                            stroke="currentColor" 
-                            stroke-width="1.2" 
-                            stroke-linecap="round" 
-                            stroke-linejoin="round"
-                        />
-                    </svg>
-                </button>
-            </div>
-        `;
+        const id = input.closest('[data-saved-id]').dataset.savedId;
+        const name = input.value.trim();
         
-        return productDiv;
+        if (keep && name && name !== input.defaultValue) {
+            await this.changeSavedBundles(async () => {
+                await this.savedBundles.rename(id, name);
+                return this.t('saved.renamed', { name });
+            });
+        } else {
+            await this.renderSavedBundles();
+        }
+        
+        this.focusSavedBundle(id, 'rename-saved-bundle');
     }
     
-    // =========================================================================
-    // CALCULATION METHODS
-    // =========================================================================
-    
     /**
-     * Calculate subtotal of all selected products
+     * Save a copy of a saved bundle next to it
      */
-    calculateSubtotal() {
-        let subtotal = 0;
-        this.state.selectedProducts.forEach(product => {
-            subtotal += product.price * product.quantity;
+    async duplicateSavedBundle(id) {
+        await this.changeSavedBundles(async () => {
+            const record = await this.savedBundles.get(id);
+            if (!record) return null;
+            
+            const copy = await this.savedBundles.duplicate(id, this.t('saved.copyName', { name: record.name }));
+            return this.t('saved.duplicated', { name: copy.name });
         });
-        return subtotal;
     }
     
     /**
-     * Calculate discount amount based on selection
+     * Delete a saved bundle, moving focus to the next one in the list
      */
-    calculateDiscount() {
-        const selectedCount = this.state.selectedProducts.size;
-        if (selectedCount >= this.config.minProductsForDiscount) {
-            const subtotal = this.calculateSubtotal();
-            return subtotal * (this.config.discountPercentage / 100);
-        }
-        return 0;
+    async deleteSavedBundle(id) {
+        const item = this.find(`[data-saved-id="${id}"]`);
+        const next = item && (item.nextElementSibling || item.previousElementSibling);
+        
+        await this.changeSavedBundles(async () => {
+            const record = await this.savedBundles.get(id);
+            if (!record) return null;
+            
+            await this.savedBundles.delete(id);
+            return this.t('saved.deleted', { name: record.name });
+        });
+        
+        this.focusSavedBundle(next ? next.dataset.savedId : null, 'load-saved-bundle');
     }
     
     /**
-     * Update bundle summary display
+     * Run a change to the saved bundles, announce its outcome and re-render
+     * the panel. IndexedDB failures are reported to the shopper rather than
+     * thrown.
      */
-    updateBundleSummary() {
-        const subtotal = this.calculateSubtotal();
-        const discount = this.calculateDiscount();
-        const finalTotal = subtotal - discount;
+    async changeSavedBundles(change) {
+        try {
+            const message = await change();
+            if (message) this.announce(message);
+        } catch (error) {
+            console.warn('Failed to update saved bundles:', error);
+            this.announce(this.t('saved.error'));
+        }
         
-        this.updateDiscountDisplay(discount);
-        this.updateSubtotalDisplay(finalTotal);
+        await this.renderSavedBundles();
     }
     
     /**
-     * Update discount display with visual feedback
+     * Focus a button of a saved bundle, or the save button when it is gone
      */
-    updateDiscountDisplay(discount) {
-        const discountElement = document.getElementById('discountAmount');
-        
-        if (discount > 0) {
-            discountElement.textContent = `- $${discount.toFixed(2)} (${this.config.discountPercentage}%)`;
-            discountElement.style.color = '#28a745';
-            
-            // Add pulse animation for significant savings
-            discountElement.style.animation = 'pulse 1s ease-in-out';
-            setTimeout(() => {
-                discountElement.style.animation = '';
-            }, 1000);
-        } else {
-            discountElement.textContent = `- $0.00 (0%)`;
-            discountElement.style.color = '#111111';
-        }
+    focusSavedBundle(id, action) {
+        const button = id === null ? null : this.find(`[data-saved-id="${id}"] [data-action="${action}"]`);
+        (button || this.find('.save-bundle-btn')).focus();
     }
     
+    // =========================================================================
+    // CART MANAGEMENT METHODS
+    // =========================================================================
+    
     /**
-     * Update subtotal display
+     * Add complete bundle to cart through the configured cart adapter
      */
-    updateSubtotalDisplay(finalTotal) {
-        const subtotalElement = document.getElementById('subtotalAmount');
-        subtotalElement.textContent = `$${finalTotal.toFixed(2)}`;
+    async addBundleToCart() {
+        if (!this.store.meetsMinimum() || this.state.isSubmitting) return;
+        
+        const button = this.find('.add-bundle-to-cart-btn');
+        const currentState = button.dataset.currentState;
+        
+        // Submit from "Add Items to Cart", retry after a failure, or accept the server's total
+        if (!['cart', 'error', 'confirm'].includes(currentState)) return;
+        
+        // Listeners may veto the submission or adjust the payload
+        const hook = this.events.emit('cart:beforeSubmit', { bundleData: this.prepareBundleData() });
+        if (hook.defaultPrevented) return;
+        
+        const { bundleData } = hook.detail;
+        this.showPendingCartState(button);
+        
+        try {
+            const payload = await this.getCartPayload(bundleData, currentState === 'confirm');
+            const result = await this.cartAdapter.addBundle(payload);
+            this.state.pendingQuote = null;
+            this.showAddedToCartState(button);
+            this.events.emit('cart:submitted', { bundleData: payload, result });
+        } catch (error) {
+            if (error instanceof QuoteMismatchError) {
+                this.showQuoteMismatch(button, error);
+            } else {
+                console.error('Failed to add bundle to cart:', error);
+                this.showCartErrorState(button);
+            }
+            this.events.emit('cart:failed', { bundleData, error });
+        } finally {
+            this.state.isSubmitting = false;
+        }
+        
+        this.saveBundle();
     }
     
     /**
-     * Update add to cart button state
+     * What goes to the cart adapter: the page's bundle data, or with a quote
+     * endpoint configured, the server's signed quote with its `signature`
+     * alongside. A confirmed mismatch submits the quote the shopper saw.
      */
-    updateAddBundleButton() {
-        const button = document.getElementById('addBundleBtn');
-        const selectedCount = this.state.selectedProducts.size;
+    async getCartPayload(bundleData, isConfirmed) {
+        if (!this.quoteClient) return bundleData;
         
-        if (selectedCount >= this.config.minProductsForDiscount) {
-            this.enableAddBundleButton(button, selectedCount);
-        } else {
-            this.disableAddBundleButton(button, selectedCount);
-        }
+        const { quote, signature } = isConfirmed && this.state.pendingQuote
+            ? this.state.pendingQuote
+            : await this.quoteClient.requestQuote(bundleData);
+        
+        return { ...quote, signature };
     }
     
     /**
-     * Enable add bundle button
+     * The server priced the bundle differently: show its total and let the
+     * shopper confirm it before submitting again
      */
-    enableAddBundleButton(button, selectedCount) {
-        button.disabled = false;
-        button.classList.add('enabled');
+    showQuoteMismatch(button, { quote, signature, mismatches }) {
+        const total = this.formatMoney(quote.finalTotal);
         
-        // Start with "Proceed" and automatically transition to "Cart"
-        if (!button.dataset.currentState || button.dataset.currentState === 'initial') {
-            button.querySelector('.btn-text').textContent = `Add ${selectedCount} Items to Proceed`;
-            button.dataset.currentState = 'proceed';
-            
-            // Automatically change to "Cart" after a brief moment
-            setTimeout(() => {
-                if (button.dataset.currentState === 'proceed') {
-                    button.querySelector('.btn-text').textContent = `Add ${selectedCount} Items to Cart`;
-                    button.dataset.currentState = 'cart';
-                }
-            }, 1000);
-        } else if (button.dataset.currentState === 'added') {
-            button.querySelector('.btn-text').textContent = `Add ${selectedCount} Items to Proceed`;
-            button.dataset.currentState = 'proceed';
-            
-            // Automatically change to "Cart" after a brief moment
-            setTimeout(() => {
-                if (button.dataset.currentState === 'proceed') {
-                    button.querySelector('.btn-text').textContent = `Add ${selectedCount} Items to Cart`;
-                    button.dataset.currentState = 'cart';
-                }
-            }, 1000);
-        }
+        console.warn('Bundle prices differ from the server:', mismatches);
+        this.state.pendingQuote = { quote, signature };
+        this.clearCartResultState(button);
+        button.disabled = false;
+        button.dataset.currentState = 'confirm';
+        button.querySelector('.btn-text').textContent = this.t('cart.confirmTotal', { total });
+        this.showBundleNotice(this.t('notice.priceMismatch', { total }));
     }
     
     /**
-     * Disable add bundle button
+     * Show the add bundle button as waiting for the cart
      */
-    disableAddBundleButton(button, selectedCount) {
+    showPendingCartState(button) {
+        this.clearCartResultState(button);
+        this.state.isSubmitting = true;
         button.disabled = true;
-        button.querySelector('.btn-text').textContent = `Add ${this.config.minProductsForDiscount} Items to Proceed`;
-        button.classList.remove('enabled');
-        button.dataset.currentState = 'initial';
+        button.classList.add('loading');
+        button.setAttribute('aria-busy', 'true');
+        button.dataset.currentState = 'pending';
+        button.querySelector('.btn-text').textContent = this.t('cart.adding');
     }
     
     /**
-     * Update all product button states based on bundle status
+     * Show a failed submission; clicking the button again retries
      */
-    updateButtonStates() {
-        const selectedCount = this.state.selectedProducts.size;
-        const isMaxSelection = selectedCount >= this.config.minProductsForDiscount;
-        
-        document.querySelectorAll('.product-card').forEach(card => {
-            const productId = parseInt(card.dataset.productId);
-            const button = card.querySelector('.add-to-bundle-btn');
-            const isSelected = this.state.selectedProducts.has(productId);
-            
-            if (isSelected || !isMaxSelection) {
-                // Enable: product is selected OR bundle isn't full
-                button.classList.remove('disabled');
-                button.style.pointerEvents = '';
-            } else {
-                // Disable: bundle is full and product not selected
-                button.classList.add('disabled');
-                button.style.pointerEvents = 'none';
-            }
-        });
+    showCartErrorState(button) {
+        this.clearCartResultState(button);
+        button.disabled = false;
+        button.classList.add('error-state');
+        button.dataset.currentState = 'error';
+        button.querySelector('.btn-text').textContent = this.t('cart.error');
     }
     
-    // =========================================================================
-    // CART MANAGEMENT METHODS
-    // =========================================================================
+    /**
+     * Remove pending, added and error styling from the add bundle button
+     */
+    clearCartResultState(button) {
+        const caretIcon = button.querySelector('.caret-icon path');
+        
+        button.classList.remove('loading', 'added-state', 'error-state');
+        button.removeAttribute('aria-busy');
+        
+        if (caretIcon) {
+            caretIcon.setAttribute('d', 'M6 4L10 8L6 12');
+        }
+    }
     
     /**
-     * Add complete bundle to cart
+     * Switch the add bundle button to its "Added to Cart" state with checkmark
      */
-    addBundleToCart() {
-        if (this.state.selectedProducts.size < this.config.minProductsForDiscount) return;
+    showAddedToCartState(button) {
+        this.clearCartResultState(button);
         
-        const button = document.getElementById('addBundleBtn');
-        const btnText = button.querySelector('.btn-text');
         const caretIcon = button.querySelector('.caret-icon path');
-        const selectedCount = this.state.selectedProducts.size;
-        const currentState = button.dataset.currentState;
         
-        if (currentState === 'cart') {
-            // Click on "Add Items to Cart": Immediately change to "Added to Cart"
-            const bundleData = this.prepareBundleData();
-            console.log('Bundle added to cart:', bundleData);
-            
-            // Change to "Added to Cart" state with checkmark
-            button.classList.add('added-state');
-            button.dataset.currentState = 'added';
-            btnText.textContent = 'Added to Cart';
-            
-            // Change SVG path to checkmark
-            if (caretIcon) {
-                caretIcon.setAttribute('d', 'M3 8L7 12L13 4');
-            }
+        button.disabled = false;
+        button.classList.add('added-state');
+        button.dataset.currentState = 'added';
+        button.querySelector('.btn-text').textContent = this.t('cart.added');
+        
+        // Change SVG path to checkmark
+        if (caretIcon) {
+            caretIcon.setAttribute('d', 'M3 8L7 12L13 4');
         }
     }
     
     /**
-     * Prepare bundle data for cart submission
+     * Prepare bundle data for cart submission; see BundleStore#prepareBundleData
      */
     prepareBundleData() {
-        return {
-            products: Array.from(this.state.selectedProducts.values()),
-            subtotal: this.calculateSubtotal(),
-            discount: this.calculateDiscount(),
-            finalTotal: this.calculateSubtotal() - this.calculateDiscount(),
-            discountPercentage: this.config.discountPercentage,
-            timestamp: new Date().toISOString()
-        };
+        return this.store.prepareBundleData();
     }
     
     /**
      * Reset bundle to initial state
      */
     resetBundle() {
-        // Clear selected products
-        this.state.selectedProducts.clear();
+        const removedLines = this.store.getLines();
         
-        // Reset all product buttons
-        document.querySelectorAll('.add-to-bundle-btn').forEach(button => {
-            button.classList.remove('selected');
-            button.querySelector('.btn-text').textContent = 'Add to Bundle';
-        });
+        // Clear selected products as one undoable step; the store change re-renders the buttons
+        this.recordChange(this.t('history.cleared'), () => this.store.clear());
         
-        // Update UI
-        this.updateUI();
+        if (removedLines.length > 0) {
+            this.showUndoToast(this.t('undo.cleared'));
+        }
+        removedLines.forEach(line => this.events.emit('product:removed', { line, reason: 'reset' }));
     }
 }
 
-// ============================================================================= 
-// GLOBAL FUNCTIONS & EVENT HANDLERS
-// ============================================================================= 
-
-/**
- * Global function for product toggle (used by onclick handlers)
- */
-function toggleProduct(productId) {
-    bundleBuilder.toggleProduct(productId);
-}
-
 /**
- * Global function for cart addition (used by onclick handlers)
+ * Builder the shopper last interacted with, which keyboard shortcuts apply to
  */
-function addBundleToCart() {
-    bundleBuilder.addBundleToCart();
-}
+BundleBuilder.activeBuilder = null;
 
 // ============================================================================= 
 // APPLICATION INITIALIZATION
 // ============================================================================= 
 
 /**
- * Application entry point
+ * Every builder mounted on the page, in document order
  */
-let bundleBuilder;
+const bundleBuilders = [];
 
+// Page scripts reach the builders through globals: `bundleBuilders`, `bundleBuilder`
+// (the first one, for integrations that expect a single builder) and `BundleBuilder`
+window.bundleBuilders = bundleBuilders;
+window.BundleBuilder = BundleBuilder;
+
+/**
+ * Application entry point: mount a builder on every [data-bundle-builder] root
+ */
 document.addEventListener('DOMContentLoaded', function() {
-    // Initialize the main bundle builder
-    bundleBuilder = new BundleBuilder();
+    document.querySelectorAll('[data-bundle-builder]').forEach(root => {
+        const builder = new BundleBuilder(getRootOptions(root));
+        bundleBuilders.push(builder);
+        
+        // Initialize enhancement features once the product cards exist
+        builder.ready.then(() => initializeEnhancements(builder));
+    });
     
-    // Initialize enhancement features
-    initializeEnhancements();
+    window.bundleBuilder = bundleBuilders[0];
 });
 
+/**
+ * Read a builder's config from data attributes on its root element
+ */
+function getRootOptions(root) {
+    const { bundleConfig, bundleId, heading, catalogUrl, recommendationUrl, promoCodeUrl, cartAdapter, cartEndpoint, quoteEndpoint } = root.dataset;
+    let options = {};
+    
+    // Full config as JSON, e.g. data-bundle-config='{"minItems": 2}'
+    if (bundleConfig) {
+        try {
+            options = JSON.parse(bundleConfig);
+        } catch (error) {
+            console.warn('Ignoring invalid data-bundle-config:', error);
+        }
+    }
+    
+    // Each bundle on the page keeps its own saved progress and shared link
+    if (bundleId && !options.storageKey) {
+        options.storageKey = `bundleBuilder:${bundleId}`;
+    }
+    if (bundleId && !options.shareParam) {
+        options.shareParam = `bundle-${bundleId}`;
+    }
+    if (bundleId && !options.filterParamPrefix) {
+        options.filterParamPrefix = `${bundleId}-`;
+    }
+    
+    if (heading) options.heading = heading;
+    if (catalogUrl) options.catalogUrl = catalogUrl;
+    if (recommendationUrl) options.recommendationUrl = recommendationUrl;
+    if (promoCodeUrl) options.promoCodeUrl = promoCodeUrl;
+    if (cartAdapter) options.cartAdapter = cartAdapter;
+    if (cartEndpoint) options.cartEndpoint = cartEndpoint;
+    if (quoteEndpoint) options.quoteEndpoint = quoteEndpoint;
+    
+    return { ...options, root };
+}
+
+/**
+ * Built-in message catalogs with the messages from a builder's config laid over them
+ */
+function mergeMessageCatalogs(catalogs, overrides) {
+    const merged = { ...catalogs };
+    
+    Object.keys(overrides).forEach(locale => {
+        merged[locale] = { ...merged[locale], ...overrides[locale] };
+    });
+    
+    return merged;
+}
+
 /**
  * Initialize additional UI enhancements and optimizations
  */
-function initializeEnhancements() {
-    setupHoverEffects();
-    setupResponsiveHandling();
-    setupTouchOptimizations();
-    setupMobileScrolling();
-    setupImageOptimizations();
-    setupKeyboardNavigation();
+function initializeEnhancements(builder) {
+    setupHoverEffects(builder.root);
+    setupResponsiveHandling(builder.root);
+    setupTouchOptimizations(builder.root);
+    setupMobileScrolling(builder);
     setupPerformanceOptimizations();
-    setupErrorHandling();
+    setupErrorHandling(builder.root);
 }
 
 // ============================================================================= 
@@ -783,29 +3585,35 @@ function initializeEnhancements() {
 // ============================================================================= 
 
 /**
- * Setup hover effects for desktop devices
+ * Setup hover effects for desktop devices. Listens on the root, since
+ * product cards come and go as the grid scrolls.
  */
-function setupHoverEffects() {
+function setupHoverEffects(root) {
     if ('ontouchstart' in window) return; // Skip for touch devices
     
-    document.querySelectorAll('.product-card').forEach(card => {
-        card.addEventListener('mouseenter', function() {
-            this.style.transform = 'translateY(-2px)';
-            this.style.transition = 'transform 0.3s ease';
-        });
+    // mouseover and mouseout bubble; skip moves between elements of the same card
+    root.addEventListener('mouseover', function(event) {
+        const card = event.target.closest('.product-card');
+        if (!card || card.contains(event.relatedTarget)) return;
         
-        card.addEventListener('mouseleave', function() {
-            this.style.transform = 'translateY(0)';
-        });
+        card.style.transform = 'translateY(-2px)';
+        card.style.transition = 'transform 0.3s ease';
+    });
+    
+    root.addEventListener('mouseout', function(event) {
+        const card = event.target.closest('.product-card');
+        if (!card || card.contains(event.relatedTarget)) return;
+        
+        card.style.transform = 'translateY(0)';
     });
 }
 
 /**
  * Setup responsive sidebar positioning
  */
-function setupResponsiveHandling() {
+function setupResponsiveHandling(root) {
     function handleSidebarPositioning() {
-        const stickyElement = document.querySelector('.sticky-element');
+        const stickyElement = root.querySelector('.sticky-element');
         if (!stickyElement) return;
         
         if (window.innerWidth <= 1439) {
@@ -839,20 +3647,22 @@ function setupResponsiveHandling() {
 /**
  * Setup touch optimizations for mobile devices
  */
-function setupTouchOptimizations() {
+function setupTouchOptimizations(root) {
     if (!('ontouchstart' in window)) return; // Skip for non-touch devices
     
-    // Add touch feedback to buttons
-    document.querySelectorAll('button').forEach(button => {
-        button.addEventListener('touchstart', function() {
-            this.style.transform = 'scale(0.98)';
-            this.style.transition = 'transform 0.1s ease';
-        }, { passive: true });
+    // Add touch feedback to buttons, including those of cards rendered later
+    root.addEventListener('touchstart', function(event) {
+        const button = event.target.closest('button');
+        if (!button) return;
         
-        button.addEventListener('touchend', function() {
-            this.style.transform = 'scale(1)';
-        }, { passive: true });
-    });
+        button.style.transform = 'scale(0.98)';
+        button.style.transition = 'transform 0.1s ease';
+    }, { passive: true });
+    
+    root.addEventListener('touchend', function(event) {
+        const button = event.target.closest('button');
+        if (button) button.style.transform = 'scale(1)';
+    }, { passive: true });
     
     // Add passive listeners for better performance
     document.addEventListener('touchstart', function() {}, { passive: true });
@@ -862,11 +3672,11 @@ function setupTouchOptimizations() {
 /**
  * Setup mobile scrolling enhancements
  */
-function setupMobileScrolling() {
+function setupMobileScrolling(builder) {
     function scrollToSidebarOnMobile() {
         if (window.innerWidth > 768) return;
         
-        const sidebar = document.querySelector('.bundle-sidebar');
+        const sidebar = builder.root.querySelector('.bundle-sidebar');
         if (sidebar) {
             setTimeout(() => {
                 sidebar.scrollIntoView({ 
@@ -877,60 +3687,11 @@ function setupMobileScrolling() {
         }
     }
     
-    // Override the toggleProduct function to include mobile scroll
-    const originalToggleProduct = window.toggleProduct;
-    window.toggleProduct = function(productId) {
-        const wasEmpty = bundleBuilder.state.selectedProducts.size === 0;
-        originalToggleProduct(productId);
-        
-        // Scroll to sidebar on mobile when first product is added
-        if (wasEmpty && bundleBuilder.state.selectedProducts.size === 1) {
+    // Scroll to sidebar on mobile when first product is added
+    builder.on('product:added', () => {
+        if (builder.store.getLines().length === 1) {
             scrollToSidebarOnMobile();
         }
-    };
-}
-
-/**
- * Setup image optimizations for better performance
- */
-function setupImageOptimizations() {
-    if (!('IntersectionObserver' in window) || window.innerWidth > 768) return;
-    
-    const imageObserver = new IntersectionObserver((entries, observer) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                const img = entry.target;
-                if (img.dataset.src) {
-                    img.src = img.dataset.src;
-                    img.removeAttribute('data-src');
-                    observer.unobserve(img);
-                }
-            }
-        });
-    });
-    
-    // Setup lazy loading for mobile devices
-    document.querySelectorAll('.product-image').forEach(img => {
-        if (img.src) {
-            img.dataset.src = img.src;
-            img.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzI2IiBoZWlnaHQ9IjMyNiIgZmlsbD0iI0VCRUJFQiIgdmlld0JveD0iMCAwIDMyNiAzMjYiLz4=';
-            imageObserver.observe(img);
-        }
-    });
-}
-
-/**
- * Setup keyboard navigation for accessibility
- */
-function setupKeyboardNavigation() {
-    document.addEventListener('keydown', function(e) {
-        if (e.key === 'Enter' || e.key === ' ') {
-            const activeElement = document.activeElement;
-            if (activeElement.classList.contains('add-to-bundle-btn')) {
-                e.preventDefault();
-                activeElement.click();
-            }
-        }
     });
 }
 
@@ -946,31 +3707,34 @@ function setupPerformanceOptimizations() {
 /**
  * Setup error handling and fallbacks
  */
-function setupErrorHandling() {
-    const images = document.querySelectorAll('.product-image');
-    let loadedImages = 0;
+function setupErrorHandling(root) {
+    // Image errors do not bubble, so catch them on the way down. One listener
+    // covers every card, including those rendered as the grid scrolls.
+    root.addEventListener('error', function(event) {
+        const img = event.target;
+        if (!img.matches || !img.matches('.product-image') || img.getAttribute('src') === PLACEHOLDER_IMAGE) return;
+        
+        console.warn('Failed to load image:', img.src);
+        img.src = PLACEHOLDER_IMAGE;
+    }, true);
     
-    const handleImageLoad = () => {
-        loadedImages++;
-        if (loadedImages === images.length) {
-            document.body.classList.add('images-loaded');
+    // Only the images on the cards rendered so far hold up `images-loaded`
+    const images = Array.from(root.querySelectorAll('.product-grid .product-image')).filter(img => !img.complete);
+    let pendingImages = images.length;
+    
+    const handleImageSettled = () => {
+        pendingImages--;
+        if (pendingImages === 0) {
+            root.classList.add('images-loaded');
         }
     };
     
     images.forEach(img => {
-        if (img.complete) {
-            handleImageLoad();
-        } else {
-            img.addEventListener('load', handleImageLoad);
-            img.addEventListener('error', function() {
-                console.warn('Failed to load image:', this.src);
-                this.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzI2IiBoZWlnaHQ9IjMyNiIgZmlsbD0iI0VCRUJFQiIgdmlld0JveD0iMCAwIDMyNiAzMjYiLz4=';
-                handleImageLoad();
-            });
-        }
+        img.addEventListener('load', handleImageSettled, { once: true });
+        img.addEventListener('error', handleImageSettled, { once: true });
     });
     
-    if (loadedImages === images.length) {
-        document.body.classList.add('images-loaded');
+    if (pendingImages === 0) {
+        root.classList.add('images-loaded');
     }
 }
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * Bundle Quotes
+ * Server-side price verification: recomputes a submitted bundle from the
+ * authoritative catalog with the same BundleStore and discount rules the
+ * page uses, and signs the result so the cart can trust it
+ *
+ * A signed quote is `{ quote, signature }`. The quote has the shape of
+ * `prepareBundleData()` plus an `id`, `issuedAt` and `expiresAt`; the
+ * signature is an HMAC-SHA256 of the quote's JSON, hex encoded. Totals the
+ * page claimed that differ from the server's are listed as mismatches;
+ * lines above the bundle's limits or the stock left are refused outright.
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+import { BundleStore } from '../js/core/index.js';
+
+/**
+ * Most lines a submitted bundle may have, to bound the work per request
+ */
+const MAX_SUBMITTED_LINES = 100;
+
+/**
+ * Most promo codes a submitted bundle may carry
+ */
+const MAX_SUBMITTED_CODES = 10;
+
+/**
+ * Error raised for a bundle that cannot be quoted; `status` is the HTTP
+ * status to answer with
+ */
+export class QuoteError extends Error {
+    constructor(message, { status = 400 } = {}) {
+        super(message);
+        this.name = 'QuoteError';
+        this.status = status;
+    }
+}
+
+export class BundleQuoter {
+    /**
+     * Create a quoter over a ProductCatalog. Bundle rules take the same
+     * options as BundleStore; `ttl` is how long a quote stays valid, in
+     * milliseconds.
+     */
+    constructor({ catalog, secret, ttl = 15 * 60 * 1000, ...rules } = {}) {
+        if (typeof secret !== 'string' || secret.length < 32) {
+            throw new TypeError('A quote secret of at least 32 characters is required');
+        }
+
+        this.catalog = catalog;
+        this.secret = secret;
+        this.ttl = ttl;
+        this.rules = rules;
+    }
+
+    /**
+     * Price submitted bundle data from the catalog and sign the result.
+     * Returns `{ quote, signature, mismatches }`; an empty `mismatches`
+     * list means the page's totals were right.
+     */
+    quote(bundleData, now = Date.now()) {
+        const products = BundleQuoter.parseProducts(bundleData);
+        const promoCodes = BundleQuoter.parsePromoCodes(bundleData);
+
+        if (!this.catalog.getCurrencies().includes(bundleData.currency)) {
+            throw new QuoteError(`Currency ${bundleData.currency} is not supported`);
+        }
+
+        const store = new BundleStore({ ...this.rules, catalog: this.catalog, currency: bundleData.currency });
+        const overLimit = products.find(product => product.quantity > store.maxQuantityPerLine);
+        if (overLimit) {
+            throw new QuoteError(`Product ${overLimit.id} is above the limit of ${store.maxQuantityPerLine} per line`, { status: 422 });
+        }
+
+        // replaceLines() cuts the bundle down to what may be sold; a quote is
+        // only signed for exactly what was submitted
+        const { limitedCount } = store.replaceLines(products);
+        if (limitedCount > 0) {
+            throw new QuoteError('Bundle is above its maximum size', { status: 422 });
+        }
+
+        const unavailable = products.find(product => {
+            const line = store.getLine(store.getLineKey(product.id, product.variantId));
+            return !line || line.quantity !== product.quantity;
+        });
+        if (unavailable) {
+            throw new QuoteError(`Product ${unavailable.id} is not available in that quantity`, { status: 422 });
+        }
+
+        // Codes the server does not accept are left off and show up as mismatches
+        promoCodes.forEach(code => store.applyPromoCode(code, now));
+
+        if (!store.meetsMinimum()) {
+            throw new QuoteError('Bundle is below its minimum size', { status: 422 });
+        }
+
+        const { timestamp, ...pricing } = store.prepareBundleData();
+        const quote = {
+            id: `quote-${randomUUID()}`,
+            ...pricing,
+            issuedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.ttl).toISOString()
+        };
+
+        return {
+            quote,
+            signature: this.sign(quote),
+            mismatches: BundleQuoter.findMismatches(bundleData, store, pricing)
+        };
+    }
+
+    /**
+     * Check that a signed quote was issued by this server and has not expired
+     */
+    verify({ quote, signature } = {}, now = Date.now()) {
+        if (!quote || typeof signature !== 'string') return false;
+
+        const expected = Buffer.from(this.sign(quote), 'hex');
+        const received = Buffer.from(signature, 'hex');
+        if (received.length !== expected.length || !timingSafeEqual(received, expected)) return false;
+
+        return Date.parse(quote.expiresAt) > now;
+    }
+
+    /**
+     * HMAC-SHA256 of a quote's JSON
+     */
+    sign(quote) {
+        return createHmac('sha256', this.secret).update(JSON.stringify(quote)).digest('hex');
+    }
+
+    /**
+     * Validate the submitted lines, keeping only what pricing needs. Prices
+     * are never taken from the submission.
+     */
+    static parseProducts(bundleData) {
+        const products = bundleData && bundleData.products;
+
+        if (!Array.isArray(products) || products.length === 0 || products.length > MAX_SUBMITTED_LINES) {
+            throw new QuoteError(`Bundle must have between 1 and ${MAX_SUBMITTED_LINES} products`);
+        }
+
+        return products.map((product, index) => {
+            const { id, variantId = null, quantity } = product || {};
+            const isValidId = value => Number.isInteger(value) && value > 0;
+
+            if (!isValidId(id) || (variantId !== null && !isValidId(variantId)) || !isValidId(quantity)) {
+                throw new QuoteError(`Product ${index} needs an id, an optional variantId and a positive quantity`);
+            }
+
+            return { id, variantId, quantity };
+        });
+    }
+
+    /**
+     * Validate the submitted promo codes, which are optional
+     */
+    static parsePromoCodes(bundleData) {
+        const { promoCodes = [] } = bundleData;
+
+        if (!Array.isArray(promoCodes) || promoCodes.length > MAX_SUBMITTED_CODES
+            || promoCodes.some(code => typeof code !== 'string')) {
+            throw new QuoteError(`Promo codes must be a list of at most ${MAX_SUBMITTED_CODES} strings`);
+        }
+
+        return promoCodes;
+    }
+
+    /**
+     * Where the submitted bundle disagrees with the server's pricing: line
+     * prices, promo codes and totals. quote() has already refused lines
+     * that cannot be sold in the submitted quantity.
+     */
+    static findMismatches(bundleData, store, pricing) {
+        const mismatches = [];
+
+        bundleData.products.forEach(product => {
+            const line = store.getLine(store.getLineKey(product.id, product.variantId));
+
+            if (line.price !== product.price) {
+                mismatches.push({
+                    field: 'price',
+                    productId: product.id,
+                    variantId: product.variantId || null,
+                    expected: line.price,
+                    received: product.price
+                });
+            }
+        });
+
+        const submittedCodes = bundleData.promoCodes || [];
+        if (submittedCodes.join('\n') !== pricing.promoCodes.join('\n')) {
+            mismatches.push({ field: 'promoCodes', expected: pricing.promoCodes, received: submittedCodes });
+        }
+
+        ['subtotal', 'discount', 'finalTotal'].forEach(field => {
+            if (bundleData[field] !== pricing[field]) {
+                mismatches.push({ field, expected: pricing[field], received: bundleData[field] });
+            }
+        });
+
+        return mismatches;
+    }
+}
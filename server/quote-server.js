@@ -0,0 +1,171 @@
+/**
+ * Quote Server
+ * Local HTTP stand-in for the shop backend, for development and tests:
+ *
+ *   POST /bundles/quote  Price a bundle; 200 with a signed quote, or 409
+ *                        with the signed quote and the mismatches when the
+ *                        page's totals were wrong
+ *   POST /cart/bundles   Accept a quote with its `signature` alongside its
+ *                        fields into an in-memory cart; 403 when the
+ *                        signature is invalid or the quote has expired
+ *   GET  /*              Serve the demo page and its assets, with the page
+ *                        set to verify prices and submit quotes here
+ *
+ * Run it with `node server/quote-server.js` and open
+ * http://localhost:8787/; set PORT and BUNDLE_QUOTE_SECRET to override
+ * the defaults.
+ */
+
+import { createServer } from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_DISCOUNT_RULES, ProductCatalog } from '../js/core/index.js';
+import { BundleQuoter, QuoteError } from './bundle-quotes.js';
+
+/**
+ * Largest request body accepted, in bytes
+ */
+const MAX_BODY_SIZE = 64 * 1024;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+/**
+ * Create the stand-in server. `cart` collects accepted quotes; `root` is
+ * the directory static files are served from, or null to serve none.
+ */
+export function createQuoteServer({ quoter, cart = [], root = null }) {
+    return createServer(async (request, response) => {
+        try {
+            if (request.method === 'POST' && request.url === '/bundles/quote') {
+                const { quote, signature, mismatches } = quoter.quote(await readJson(request));
+                sendJson(response, mismatches.length > 0 ? 409 : 200, { quote, signature, mismatches });
+            } else if (request.method === 'POST' && request.url === '/cart/bundles') {
+                const { signature, ...quote } = await readJson(request);
+                if (!quoter.verify({ quote, signature })) {
+                    throw new QuoteError('Quote signature is invalid or the quote has expired', { status: 403 });
+                }
+
+                cart.push(quote);
+                sendJson(response, 201, { id: quote.id, itemCount: cart.length });
+            } else if (request.method === 'GET' && root) {
+                await serveFile(response, root, request.url);
+            } else {
+                sendJson(response, 404, { error: 'Not found' });
+            }
+        } catch (error) {
+            if (!(error instanceof QuoteError)) console.error('Quote server error:', error);
+            sendJson(response, error instanceof QuoteError ? error.status : 500, {
+                error: error instanceof QuoteError ? error.message : 'Internal error'
+            });
+        }
+    });
+}
+
+/**
+ * Read a JSON object request body, refusing oversized or malformed ones
+ */
+async function readJson(request) {
+    let body = '';
+
+    for await (const chunk of request) {
+        body += chunk;
+        if (body.length > MAX_BODY_SIZE) throw new QuoteError('Request body is too large', { status: 413 });
+    }
+
+    let data;
+    try {
+        data = JSON.parse(body);
+    } catch (error) {
+        throw new QuoteError('Request body is not valid JSON');
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new QuoteError('Request body must be a JSON object');
+    }
+
+    return data;
+}
+
+/**
+ * Answer with a JSON body
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Serve a file from `root`, never from outside it
+ */
+async function serveFile(response, root, url) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+    } catch (error) {
+        sendJson(response, 400, { error: 'Malformed path' });
+        return;
+    }
+
+    const path = normalize(join(root, pathname === '/' ? 'index.html' : pathname));
+
+    if (!path.startsWith(normalize(root + sep))) {
+        sendJson(response, 404, { error: 'Not found' });
+        return;
+    }
+
+    let file;
+    try {
+        file = await readFile(path);
+    } catch (error) {
+        sendJson(response, 404, { error: 'Not found' });
+        return;
+    }
+
+    if (path === join(root, 'index.html')) {
+        // Point the demo page at this server instead of the in-memory cart
+        file = file.toString('utf8').replace('data-cart-adapter="mock"', 'data-cart-adapter="http" data-quote-endpoint="/bundles/quote"');
+    }
+
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(path)] || 'application/octet-stream' });
+    response.end(file);
+}
+
+/**
+ * Serve the demo page with quotes priced from data/products.json and
+ * data/promo-codes.json
+ */
+async function main() {
+    const root = fileURLToPath(new URL('..', import.meta.url));
+    const feed = JSON.parse(await readFile(join(root, 'data', 'products.json'), 'utf8'));
+    const promoCodes = JSON.parse(await readFile(join(root, 'data', 'promo-codes.json'), 'utf8'));
+    let secret = process.env.BUNDLE_QUOTE_SECRET;
+
+    if (!secret) {
+        secret = randomBytes(32).toString('hex');
+        console.warn('BUNDLE_QUOTE_SECRET is not set; signing quotes with a random secret until restart');
+    }
+
+    const quoter = new BundleQuoter({
+        catalog: await ProductCatalog.load({ data: feed }),
+        secret,
+        discountRules: DEFAULT_DISCOUNT_RULES,
+        promoCodes
+    });
+    const port = Number(process.env.PORT) || 8787;
+
+    createQuoteServer({ quoter, root }).listen(port);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/dom.js';
+
+const { dom, createBuilder } = await loadPage();
+
+const feed = {
+    currency: 'USD',
+    products: [
+        { id: 1, title: 'Lounge Set', price: 100, image: 'assets/product-1.jpg' },
+        { id: 2, title: 'Tracksuit', price: 100, image: 'assets/product-2.jpg' },
+        { id: 3, title: 'Blazer', price: 100, image: 'assets/product-3.jpg' },
+        { id: 4, title: 'Knit', price: 100, image: 'assets/product-4.jpg' },
+        { id: 5, title: 'Scarf', price: 100, image: 'assets/product-5.jpg', stock: 0 }
+    ]
+};
+
+let builder;
+
+before(async () => {
+    builder = createBuilder({
+        catalog: feed,
+        productsPerRow: 2,
+        locale: 'en-US'
+    });
+    await builder.ready;
+});
+
+after(() => {
+    dom.window.close();
+});
+
+function getCardButton(productId) {
+    return builder.root.querySelector(`[data-product-id="${productId}"] .add-to-bundle-btn`);
+}
+
+function press(element, key, options = {}) {
+    element.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+}
+
+test('card buttons expose their pressed and disabled states', async () => {
+    assert.equal(getCardButton(1).getAttribute('aria-pressed'), 'false');
+    assert.equal(getCardButton(5).getAttribute('aria-disabled'), 'true', 'sold out');
+
+    for (const id of [1, 2, 3]) {
+        await builder.toggleProduct(id);
+    }
+
+    assert.equal(getCardButton(1).getAttribute('aria-pressed'), 'true');
+    assert.equal(getCardButton(1).getAttribute('aria-disabled'), 'false');
+    assert.equal(getCardButton(4).getAttribute('aria-disabled'), 'true', 'bundle is full');
+    assert.equal(getCardButton(4).style.pointerEvents, '');
+});
+
+test('the progress bar and status region describe the bundle', () => {
+    const progress = builder.root.querySelector('[role="progressbar"]');
+
+    assert.equal(progress.getAttribute('aria-valuenow'), '3');
+    assert.equal(progress.getAttribute('aria-valuemax'), '3');
+    assert.equal(progress.getAttribute('aria-valuetext'), "You're saving 30% on this bundle");
+    assert.equal(builder.root.querySelector('.bundle-status').textContent,
+        "3 Products in bundle. You're saving 30% on this bundle. Total $210.00 after $90.00 off.");
+
+    builder.removeProduct('3');
+
+    assert.equal(progress.getAttribute('aria-valuenow'), '2');
+    assert.equal(builder.root.querySelector('.bundle-status').textContent,
+        '2 Products in bundle. Add 1 more item to get 30% off. Total $200.00.');
+});
+
+test('focus moves to the next row when a focused row is removed', () => {
+    const removeButton = builder.root.querySelector('[data-line-key="1"] .remove-btn');
+    removeButton.focus();
+    removeButton.click();
+
+    assert.equal(document.activeElement, builder.root.querySelector('[data-line-key="2"] .remove-btn'));
+
+    document.activeElement.click();
+    assert.equal(document.activeElement, builder.root.querySelector('.bundle-title'));
+});
+
+test('arrow keys move between card buttons as a grid', () => {
+    getCardButton(1).focus();
+
+    press(getCardButton(1), 'ArrowRight');
+    assert.equal(document.activeElement, getCardButton(2));
+
+    press(getCardButton(2), 'ArrowDown');
+    assert.equal(document.activeElement, getCardButton(4));
+
+    press(getCardButton(4), 'ArrowDown');
+    assert.equal(document.activeElement, getCardButton(5), 'a shorter row takes its last card');
+
+    press(getCardButton(5), 'ArrowLeft');
+    assert.equal(document.activeElement, getCardButton(4));
+
+    press(getCardButton(4), 'Home', { ctrlKey: true });
+    assert.equal(document.activeElement, getCardButton(1));
+
+    press(getCardButton(1), 'End');
+    assert.equal(document.activeElement, getCardButton(2));
+});
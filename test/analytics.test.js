@@ -0,0 +1,155 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/dom.js';
+
+// jsdom has no layout, so cards are reported visible by hand
+const observers = [];
+class FakeIntersectionObserver {
+    constructor(callback) {
+        this.callback = callback;
+        this.targets = new Set();
+        observers.push(this);
+    }
+    observe(target) { this.targets.add(target); }
+    unobserve(target) { this.targets.delete(target); }
+    disconnect() { this.targets.clear(); }
+    reveal(target) {
+        if (this.targets.has(target)) this.callback([{ target, isIntersecting: true }], this);
+    }
+}
+
+const { dom, createBuilder } = await loadPage({
+    setup: window => {
+        window.IntersectionObserver = FakeIntersectionObserver;
+    }
+});
+const { AnalyticsQueue, ConsoleAnalyticsSink, createAnalyticsSink } = await import('../js/analytics.js');
+
+const feed = {
+    currency: 'USD',
+    products: [
+        { id: 1, title: 'Lounge Set', price: 100, image: 'assets/product-1.jpg' },
+        { id: 2, title: 'Tracksuit', price: 100, image: 'assets/product-2.jpg' },
+        { id: 3, title: 'Blazer', price: 100, image: 'assets/product-3.jpg' }
+    ]
+};
+
+function createRecordingSink() {
+    return {
+        batches: [],
+        send(events, options) {
+            this.batches.push({ events, options });
+        },
+        get events() {
+            return this.batches.flatMap(batch => batch.events);
+        }
+    };
+}
+
+let builder;
+let sink;
+
+before(async () => {
+    sink = createRecordingSink();
+    builder = createBuilder({
+        catalog: feed,
+        analytics: sink,
+        analyticsBatchSize: 100,
+        cartAdapter: { addBundle: async () => ({ id: 'cart-1' }) }
+    });
+    await builder.ready;
+});
+
+after(() => {
+    builder.analytics.destroy();
+    dom.window.close();
+});
+
+test('the queue sends full batches and flushes the rest on a timer', async () => {
+    const recorder = createRecordingSink();
+    const queue = new AnalyticsQueue(recorder, { batchSize: 2, flushInterval: 10 });
+
+    queue.track('a', { value: 1 });
+    queue.track('b');
+    queue.track('c');
+    assert.deepEqual(recorder.batches.map(batch => batch.events.map(event => event.type)), [['a', 'b']]);
+    assert.equal(recorder.events[0].value, 1);
+    assert.equal(recorder.events[0].sessionId, recorder.events[1].sessionId);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.deepEqual(recorder.batches.map(batch => batch.events.length), [2, 1]);
+});
+
+test('the queue flushes as an unload when the page is hidden', () => {
+    const recorder = createRecordingSink();
+    const queue = new AnalyticsQueue(recorder, { flushInterval: null });
+    queue.flushOnUnload(window);
+
+    queue.track('a');
+    window.dispatchEvent(new window.Event('pagehide'));
+    queue.destroy();
+
+    assert.equal(recorder.batches.length, 1);
+    assert.deepEqual(recorder.batches[0].options, { isUnloading: true });
+});
+
+test('a failing sink loses its batch without throwing', async () => {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args);
+
+    const queue = new AnalyticsQueue({ send: () => Promise.reject(new Error('offline')) }, { batchSize: 1 });
+    queue.track('a');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    console.warn = warn;
+
+    assert.equal(queue.pending.length, 0);
+    assert.equal(warnings.length, 1);
+});
+
+test('sinks are built from names or passed through', () => {
+    assert.ok(createAnalyticsSink('console') instanceof ConsoleAnalyticsSink);
+    assert.equal(createAnalyticsSink(sink), sink);
+    assert.throws(() => createAnalyticsSink('carrier-pigeon'), TypeError);
+});
+
+test('cards report one impression each', () => {
+    const card = builder.root.querySelector('[data-product-id="2"]');
+    const observer = observers[observers.length - 1];
+
+    observer.reveal(card);
+    observer.reveal(card);
+    builder.analytics.flush();
+
+    const impressions = sink.events.filter(event => event.type === 'card:impression');
+    assert.equal(impressions.length, 1);
+    assert.deepEqual([impressions[0].productId, impressions[0].position], [2, 1]);
+});
+
+test('the funnel is reported from first add to cart submission', async () => {
+    for (const id of [1, 2, 3]) {
+        await builder.toggleProduct(id);
+    }
+    builder.setQuantity('1', 2);
+
+    const button = builder.root.querySelector('.add-bundle-to-cart-btn');
+    button.dataset.currentState = 'cart';
+    await builder.addBundleToCart();
+
+    const types = sink.events.map(event => event.type).filter(type => type !== 'card:impression');
+    assert.deepEqual(types, [
+        'product:added', 'product:added',
+        'threshold:reached', 'bundle:completed', 'product:added',
+        'quantity:changed',
+        'cart:submitted'
+    ]);
+
+    const completed = sink.events.find(event => event.type === 'bundle:completed');
+    assert.equal(completed.count, 3);
+    assert.ok(completed.durationMs >= 0);
+
+    const submitted = sink.events.find(event => event.type === 'cart:submitted');
+    assert.equal(submitted.bundleData.finalTotal, 28000);
+    assert.equal(submitted.currency, 'USD');
+    assert.equal(sink.events.find(event => event.type === 'quantity:changed').previousQuantity, 1);
+});
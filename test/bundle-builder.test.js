@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/dom.js';
+
+const { dom, createBuilder } = await loadPage();
+
+const HOSTILE_TITLE = '<img src=x onerror="alert(1)"><script>alert(2)</script>" onmouseover="alert(3)';
+
+const feed = {
+    products: [
+        { id: 1, title: HOSTILE_TITLE, price: 10, image: 'javascript:alert(4)' },
+        { id: 2, title: '"><svg onload=alert(5)>', price: 20, image: 'https://evil.example/x.jpg' },
+        {
+            id: 3,
+            title: 'Plain Tee',
+            price: 30,
+            image: 'assets/tee.jpg',
+            variants: [
+                { id: 31, options: { Size: '<b onclick=alert(6)>XL</b>' }, image: '//evil.example/y.jpg' },
+                { id: 32, options: { Size: 'S' }, image: 'https://img.cdn.example/s.jpg' }
+            ]
+        }
+    ]
+};
+
+let builder;
+let warn;
+
+before(async () => {
+    warn = console.warn;
+    console.warn = () => {};
+
+    builder = createBuilder({
+        catalog: feed,
+        imageHosts: ['*.cdn.example']
+    });
+    await builder.ready;
+
+    for (const id of [1, 2, 3]) {
+        await builder.toggleProduct(id);
+    }
+});
+
+after(() => {
+    console.warn = warn;
+    dom.window.close();
+});
+
+test('hostile titles render as text, never as markup', () => {
+    const root = builder.root;
+
+    assert.equal(root.querySelectorAll('script, [onerror], [onload], [onclick], [onmouseover]').length, 0);
+
+    const row = root.querySelector('[data-line-key="1"]');
+    assert.equal(row.querySelector('.selected-product-title').textContent, HOSTILE_TITLE);
+    assert.equal(row.querySelector('.selected-product-image').alt, HOSTILE_TITLE);
+    assert.equal(row.querySelector('.remove-btn').getAttribute('aria-label'), `Remove ${HOSTILE_TITLE} from bundle`);
+
+    const card = root.querySelector('[data-product-id="2"]');
+    assert.equal(card.querySelector('.product-title').textContent, '"><svg onload=alert(5)>');
+    assert.equal(card.querySelectorAll('svg[onload]').length, 0);
+});
+
+test('hostile variant options render as text', () => {
+    const row = builder.root.querySelector('[data-line-key="3:31"]');
+    const option = row.querySelector('.selected-product-variant option');
+
+    assert.equal(option.textContent, '<b onclick=alert(6)>XL</b>');
+    assert.equal(option.children.length, 0);
+});
+
+test('image URLs off the allowlist are replaced with the placeholder', () => {
+    const src = key => builder.root.querySelector(`[data-line-key="${key}"] .selected-product-image`).getAttribute('src');
+
+    assert.match(src('1'), /^data:image\/svg\+xml;base64,/);
+    assert.match(src('2'), /^data:image\/svg\+xml;base64,/);
+    assert.match(src('3:31'), /^data:image\/svg\+xml;base64,/);
+    assert.match(builder.root.querySelector('[data-product-id="1"] .product-image').getAttribute('src'), /^data:/);
+});
+
+test('image URLs on the page origin or an allowed host load as given', () => {
+    builder.changeLineVariant('3:31', '32');
+
+    const image = builder.root.querySelector('[data-line-key="3:32"] .selected-product-image');
+    assert.equal(image.getAttribute('src'), 'https://img.cdn.example/s.jpg');
+    assert.equal(builder.getSafeImageUrl('assets/tee.jpg'), 'https://shop.example/bundle/assets/tee.jpg');
+});
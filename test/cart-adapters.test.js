@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CartError, MockCartAdapter, ShopifyCartAdapter } from '../js/cart-adapters.js';
+
+test('the mock cart keeps submitted bundles without logging them', async t => {
+    const log = t.mock.method(console, 'log', () => {});
+    const adapter = new MockCartAdapter({ latency: 0 });
+
+    const result = await adapter.addBundle({ finalTotal: 21000 });
+
+    assert.deepEqual(adapter.bundles, [{ id: result.id, finalTotal: 21000 }]);
+    assert.equal(result.itemCount, 1);
+    assert.equal(log.mock.callCount(), 0);
+});
+
+test('the mock cart fails the next submissions on request', async () => {
+    const adapter = new MockCartAdapter({ latency: 0 });
+    adapter.failNext();
+
+    await assert.rejects(adapter.addBundle({}), CartError);
+    await adapter.addBundle({});
+    assert.equal(adapter.bundles.length, 1);
+});
+
+test('the Shopify cart adds free gifts after the products, tagged with their code', () => {
+    const adapter = new ShopifyCartAdapter();
+
+    const { items } = adapter.buildPayload({
+        currency: 'USD',
+        products: [{ id: 1, variantId: 11, quantity: 2, price: 10000 }],
+        gifts: [{ id: 4, variantId: null, quantity: 1, price: 0, code: 'KNIT' }],
+        discount: 3000,
+        discountPercentage: 15
+    });
+
+    assert.deepEqual(items.map(item => [item.id, item.quantity]), [[11, 2], [4, 1]]);
+    assert.equal(items[1].properties._bundle_gift, 'KNIT');
+    assert.equal(items[1].properties._bundle_id, items[0].properties._bundle_id);
+});
@@ -0,0 +1,254 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BundleStore, ProductCatalog } from '../../js/core/index.js';
+
+const feed = {
+    currency: 'USD',
+    exchangeRates: { EUR: 0.92 },
+    products: [
+        {
+            id: 1,
+            title: 'Lounge Set',
+            price: 150,
+            image: 'assets/product-1.jpg',
+            variants: [
+                { id: 101, options: { Size: 'S' }, stock: 4 },
+                { id: 102, options: { Size: 'XL' }, price: 165, stock: 1 }
+            ]
+        },
+        { id: 2, title: 'Tracksuit', price: 120, image: 'assets/product-2.jpg', stock: 2 },
+        { id: 3, title: 'Blazer', price: 90, image: 'assets/product-3.jpg' },
+        { id: 4, title: 'Knit', price: 60, image: 'assets/product-4.jpg' }
+    ]
+};
+
+async function createStore(options = {}) {
+    const catalog = await ProductCatalog.load({ data: feed });
+    return new BundleStore({
+        catalog,
+        discountRules: [{ type: 'tiered', tiers: [{ minItems: 3, percentage: 30 }] }],
+        ...options
+    });
+}
+
+function addLine(store, productId, variantId = null, quantity = 1) {
+    return store.addLine(store.createLine(productId, variantId, quantity));
+}
+
+test('createLine prices a variant from the catalog', async () => {
+    const store = await createStore();
+
+    assert.deepEqual(store.createLine(1, 102), {
+        key: '1:102',
+        id: 1,
+        variantId: 102,
+        title: 'Lounge Set',
+        variantTitle: 'XL',
+        image: 'assets/product-1.jpg',
+        price: 16500,
+        quantity: 1
+    });
+    assert.equal(store.createLine(3).key, '3');
+});
+
+test('addLine respects the bundle size and stock', async () => {
+    const store = await createStore();
+
+    assert.equal(addLine(store, 1, 101), true);
+    assert.equal(addLine(store, 1, 101), false, 'a line is only added once');
+    assert.equal(addLine(store, 2, null, 3), false, 'more than in stock');
+    assert.equal(addLine(store, 2), true);
+    assert.equal(addLine(store, 3), true);
+    assert.equal(store.meetsMinimum(), true);
+    assert.equal(addLine(store, 4), false, 'bundle is full');
+    assert.deepEqual(store.getLines().map(line => line.key), ['1:101', '2', '3']);
+});
+
+test('units mode counts quantities toward the limits', async () => {
+    const store = await createStore({ countMode: 'units', minItems: 2, maxItems: 4 });
+
+    addLine(store, 3, null, 3);
+    assert.equal(store.getBundleCount(), 3);
+    assert.equal(store.getRemainingCapacity(), 1);
+    assert.equal(addLine(store, 4, null, 2), false);
+    assert.equal(store.setLineQuantity('3', 4), true);
+    assert.equal(store.setLineQuantity('3', 5), false);
+});
+
+test('lines drawing on the same stock share it', async () => {
+    const store = await createStore({ maxItems: null });
+
+    addLine(store, 2);
+    assert.equal(store.getAvailableQuantity(2), 1);
+    assert.equal(store.getLineMaxQuantity(store.getLine('2')), 2);
+    assert.equal(store.setLineQuantity('2', 3), false);
+    assert.equal(store.setLineQuantity('2', 2), true);
+    assert.equal(store.getAvailableQuantity(2), 0);
+});
+
+test('getQuantityLimit is the lowest of stock, the per-line limit and the bundle size', async () => {
+    const store = await createStore({ countMode: 'units', maxItems: 10, maxQuantityPerLine: 5 });
+
+    assert.equal(addLine(store, 3, null, 6), false, 'above the per-line limit');
+    addLine(store, 3, null, 2);
+    addLine(store, 1, 101, 3);
+
+    assert.equal(store.getQuantityLimit(store.getLine('3')), 5);
+    assert.equal(store.getQuantityLimit(store.getLine('1:101')), 4, 'stock');
+    assert.equal(store.getQuantityLimit(store.createLine(4, null, 0)), 5);
+    assert.equal(store.setLineQuantity('3', 6), false);
+    assert.equal(store.setLineQuantity('3', 5), true);
+    assert.equal(store.getQuantityLimit(store.getLine('1:101')), 4);
+    assert.equal(store.getQuantityLimit(store.createLine(4, null, 0)), 2, 'bundle size');
+});
+
+test('lines are replaced, never edited in place', async () => {
+    const store = await createStore();
+    addLine(store, 3);
+
+    const before = store.getLine('3');
+    store.setLineQuantity('3', 2);
+
+    assert.equal(before.quantity, 1);
+    assert.equal(store.getLine('3').quantity, 2);
+});
+
+test('changeLineVariant merges into an existing line and caps it at stock', async () => {
+    const store = await createStore();
+    addLine(store, 3);
+    addLine(store, 1, 101, 2);
+    addLine(store, 1, 102);
+
+    assert.equal(store.changeLineVariant('1:101', 102), true);
+    assert.deepEqual(store.getLines().map(line => [line.key, line.quantity, line.price]), [
+        ['3', 1, 9000],
+        ['1:102', 1, 16500]
+    ]);
+    assert.equal(store.changeLineVariant('1:102', 999), false);
+});
+
+test('changeLineVariant caps a merged line at the per-line limit', async () => {
+    const store = await createStore({ maxQuantityPerLine: 3 });
+    addLine(store, 3);
+    addLine(store, 1, 102);
+    addLine(store, 1, 101, 3);
+
+    // Four of the S are in stock, but a line holds at most three
+    assert.equal(store.changeLineVariant('1:102', 101), true);
+    assert.deepEqual(store.getLines().map(line => [line.key, line.quantity]), [['3', 1], ['1:101', 3]]);
+});
+
+test('pricing follows the currency and the discount rules', async () => {
+    const store = await createStore();
+    addLine(store, 1, 101);
+    addLine(store, 2);
+    addLine(store, 3);
+
+    assert.equal(store.calculateSubtotal(), 36000);
+    assert.equal(store.calculateDiscount(), 10800);
+
+    store.setCurrency('EUR');
+    assert.deepEqual(store.getLines().map(line => line.price), [13800, 11040, 8280]);
+    assert.equal(store.calculateSubtotal(), 33120);
+    assert.throws(() => store.setCurrency('GBP'), RangeError);
+});
+
+test('prepareBundleData reports totals in minor units of the bundle currency', async () => {
+    const store = await createStore();
+    addLine(store, 1, 101);
+    addLine(store, 2);
+    addLine(store, 3);
+
+    const data = store.prepareBundleData();
+
+    assert.equal(data.currency, 'USD');
+    assert.equal(data.subtotal, 36000);
+    assert.equal(data.discount, 10800);
+    assert.equal(data.finalTotal, 25200);
+    assert.equal(data.discountPercentage, 30);
+    assert.deepEqual(data.discounts.map(discount => discount.id), ['tiered-0']);
+    assert.deepEqual(data.products.map(line => line.key), ['1:101', '2', '3']);
+    assert.notEqual(data.products[0], store.getLine('1:101'), 'the payload holds copies');
+});
+
+test('updateStock drops sold-out lines and trims quantities', async () => {
+    const store = await createStore();
+    addLine(store, 1, 102);
+    addLine(store, 2, null, 2);
+    addLine(store, 3);
+
+    const fresh = await ProductCatalog.load({
+        data: {
+            products: [
+                { ...feed.products[0], variants: [{ id: 101, options: { Size: 'S' }, stock: 4 }, { id: 102, options: { Size: 'XL' }, stock: 0 }] },
+                { ...feed.products[1], stock: 1 },
+                feed.products[2]
+            ]
+        }
+    });
+    const { removedLines, reducedCount } = store.updateStock(fresh);
+
+    assert.deepEqual(removedLines.map(line => line.key), ['1:102']);
+    assert.equal(reducedCount, 1);
+    assert.deepEqual(store.getLines().map(line => [line.key, line.quantity]), [['2', 1], ['3', 1]]);
+});
+
+test('replaceLines rebuilds a snapshot at current prices', async () => {
+    const store = await createStore();
+    addLine(store, 3);
+    const snapshot = store.snapshot();
+
+    store.clear();
+    store.setCurrency('EUR');
+    store.replaceLines([...snapshot, { id: 99, variantId: null, quantity: 1 }]);
+
+    assert.deepEqual(store.getLines().map(line => [line.key, line.price]), [['3', 8280]]);
+});
+
+test('replaceLines holds entries to the bundle size and the per-line limit', async () => {
+    const store = await createStore({ maxItems: 1 });
+    const result = store.replaceLines([{ id: 3, variantId: null, quantity: 1 }, { id: 4, variantId: null, quantity: 1 }]);
+
+    assert.deepEqual(store.getLines().map(line => line.key), ['3']);
+    assert.equal(result.limitedCount, 1);
+
+    const capped = await createStore({ maxItems: null, maxQuantityPerLine: 3 });
+    const { limitedCount } = capped.replaceLines([{ id: 3, variantId: null, quantity: 5 }, { id: 4, variantId: null, quantity: 9 }]);
+
+    assert.deepEqual(capped.getLines().map(line => [line.key, line.quantity]), [['3', 3], ['4', 3]]);
+    assert.equal(limitedCount, 2);
+});
+
+test('replaceLines drops entries whose quantity is not a positive integer', async () => {
+    const store = await createStore({ maxItems: null });
+    store.replaceLines([
+        { id: 1, variantId: null, quantity: 1.5 },
+        { id: 2, variantId: null, quantity: '2' },
+        { id: 3, variantId: null, quantity: 0 },
+        { id: 4, variantId: null, quantity: 2 }
+    ]);
+
+    assert.deepEqual(store.getLines().map(line => [line.key, line.quantity]), [['4', 2]]);
+});
+
+test('subscribers hear about each change once, and batches notify once', async () => {
+    const store = await createStore({ maxItems: null });
+    let calls = 0;
+    const unsubscribe = store.subscribe(() => calls++);
+
+    addLine(store, 3);
+    store.setLineQuantity('3', 2);
+    store.setLineQuantity('3', 2);
+    assert.equal(calls, 2, 'changes that do nothing do not notify');
+
+    store.batch(() => {
+        addLine(store, 4);
+        store.removeLine('3');
+    });
+    assert.equal(calls, 3);
+
+    unsubscribe();
+    store.clear();
+    assert.equal(calls, 3);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CatalogError, ProductCatalog } from '../../js/core/catalog.js';
+
+const feed = {
+    currency: 'USD',
+    exchangeRates: { EUR: 0.92 },
+    products: [
+        {
+            id: 1,
+            title: 'Lounge Set',
+            price: 150,
+            image: 'assets/product-1.jpg',
+            variants: [
+                { id: 101, options: { Size: 'S' }, stock: 4 },
+                { id: 102, options: { Size: 'XL' }, price: 165, stock: 0 }
+            ]
+        },
+        { id: 2, title: 'Tracksuit', price: 120, image: 'assets/product-2.jpg', stock: 2 },
+        { id: 3, title: 'Blazer', price: 90, image: 'assets/product-3.jpg' }
+    ]
+};
+
+test('load builds a catalog from inline feed data', async () => {
+    const catalog = await ProductCatalog.load({ data: feed });
+
+    assert.equal(catalog.size, 3);
+    assert.deepEqual(catalog.getCurrencies(), ['USD', 'EUR']);
+    assert.equal(catalog.get(1).variants[1].title, 'XL');
+    assert.deepEqual(catalog.get(1).options, [{ name: 'Size', values: ['S', 'XL'] }]);
+});
+
+test('parse skips invalid and duplicate entries', t => {
+    t.mock.method(console, 'warn', () => {});
+
+    const products = ProductCatalog.parse([
+        { id: 1, title: 'Valid', price: 10, image: 'a.jpg' },
+        { id: 1, title: 'Duplicate', price: 10, image: 'b.jpg' },
+        { id: 2, title: '', price: 10, image: 'c.jpg' },
+        { id: 3, title: 'Negative', price: -1, image: 'd.jpg' },
+        { id: 4, title: 'Unranked', price: 10, image: 'e.jpg', popularity: 'high' }
+    ]);
+
+    assert.deepEqual(products.map(product => product.title), ['Valid']);
+});
+
+test('parse rejects feeds without valid products', t => {
+    t.mock.method(console, 'warn', () => {});
+
+    assert.throws(() => ProductCatalog.parse({}), CatalogError);
+    assert.throws(() => ProductCatalog.parse([{ id: 'x' }]), CatalogError);
+});
+
+test('getPrice uses variant prices and converts currencies', async () => {
+    const catalog = await ProductCatalog.load({ data: feed });
+
+    assert.equal(catalog.getPrice(1, 'USD', 101), 15000);
+    assert.equal(catalog.getPrice(1, 'USD', 102), 16500);
+    assert.equal(catalog.getPrice(2, 'EUR'), 11040);
+});
+
+test('getStock falls back to the product level and treats untracked stock as unlimited', async () => {
+    const catalog = await ProductCatalog.load({ data: feed });
+
+    assert.equal(catalog.getStock(1, 101), 4);
+    assert.equal(catalog.isInStock(1, 102), false);
+    assert.equal(catalog.getStock(2), 2);
+    assert.equal(catalog.getStock(3), Infinity);
+    assert.equal(catalog.getStock(99), 0);
+});
+
+test('updateStock takes fresh levels and sells out missing products', async () => {
+    const catalog = await ProductCatalog.load({ data: feed });
+    const fresh = await ProductCatalog.load({
+        data: [{ id: 1, title: 'Lounge Set', price: 150, image: 'a.jpg', variants: [{ id: 101, options: { Size: 'S' }, stock: 1 }] }]
+    });
+
+    catalog.updateStock(fresh);
+
+    assert.equal(catalog.getStock(1, 101), 1);
+    assert.equal(catalog.getStock(1, 102), 0);
+    assert.equal(catalog.getStock(2), 0);
+});
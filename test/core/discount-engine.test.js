@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DiscountEngine } from '../../js/core/discount-engine.js';
+
+const line = (id, price, quantity = 1) => ({ id, price, quantity });
+
+test('tiered rules apply the highest tier reached and point to the next one', () => {
+    const engine = new DiscountEngine([
+        { type: 'tiered', tiers: [{ minItems: 2, percentage: 10 }, { minItems: 3, percentage: 20 }] }
+    ]);
+
+    const two = engine.evaluate([line(1, 10000), line(2, 5000)]);
+    assert.equal(two.subtotal, 15000);
+    assert.equal(two.total, 1500);
+    assert.equal(two.percentage, 10);
+    assert.equal(two.nextTier.itemsNeeded, 1);
+
+    const three = engine.evaluate([line(1, 10000), line(2, 5000), line(3, 5000)]);
+    assert.equal(three.total, 4000);
+    assert.equal(three.nextTier, null);
+});
+
+test('item thresholds follow the counting mode', () => {
+    const rules = [{ type: 'tiered', tiers: [{ minItems: 3, percentage: 30 }] }];
+    const lines = [line(1, 1000, 3)];
+
+    assert.equal(new DiscountEngine(rules).evaluate(lines).total, 0);
+    assert.equal(new DiscountEngine(rules, { countMode: 'units' }).evaluate(lines).total, 900);
+});
+
+test('fixed amounts are converted through the money context', () => {
+    const engine = new DiscountEngine([{ type: 'fixed', minItems: 1, amount: 20 }]);
+    const result = engine.evaluate([line(1, 10000)], {
+        currency: 'EUR',
+        locale: 'en-US',
+        convertAmount: amount => amount * 92
+    });
+
+    assert.equal(result.total, 1840);
+    assert.equal(result.applied[0].label, '€18.40 off');
+});
+
+test('buyXGetY and cheapestFree discount the cheapest units', () => {
+    const lines = [line(1, 3000), line(2, 2000), line(3, 1000, 2)];
+
+    assert.equal(new DiscountEngine([{ type: 'buyXGetY', buy: 2, get: 1 }]).evaluate(lines).total, 1000);
+    assert.equal(new DiscountEngine([{ type: 'cheapestFree', minItems: 3 }]).evaluate(lines).total, 1000);
+});
+
+test('discounts never take the total below zero', () => {
+    const engine = new DiscountEngine([
+        { type: 'fixed', amount: 30 },
+        { type: 'fixed', amount: 30 }
+    ]);
+    const result = engine.evaluate([line(1, 5000)]);
+
+    assert.equal(result.total, 5000);
+    assert.deepEqual(result.applied.map(discount => discount.amount), [3000, 2000]);
+});
+
+test('excluded products do not count toward rules', () => {
+    const engine = new DiscountEngine([{ type: 'tiered', tiers: [{ minItems: 2, percentage: 50 }] }], {
+        excludedProductIds: [2]
+    });
+
+    assert.equal(engine.evaluate([line(1, 1000), line(2, 1000)]).total, 0);
+    assert.equal(engine.evaluate([line(1, 1000), line(2, 1000), line(3, 1000)]).total, 1000);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { I18n } from '../../js/core/i18n.js';
+import { MESSAGE_CATALOGS } from '../../js/locales/index.js';
+
+const catalogs = {
+    en: {
+        greeting: 'Hello {name}',
+        items: '{count, plural, =0 {No items} one {# item} other {# items}}',
+        nested: '{mode, select, units {{count, plural, one {# unit} other {# units}}} other {{count} things}}',
+        fallback: 'Only in English'
+    },
+    de: {
+        items: '{count, plural, one {# Artikel} other {# Artikel}}'
+    }
+};
+
+test('placeholders insert values, with numbers formatted for the locale', () => {
+    const i18n = new I18n({ locale: 'en', catalogs });
+
+    assert.equal(i18n.format('greeting', { name: '<b>Ann</b>' }), 'Hello <b>Ann</b>');
+    assert.equal(i18n.format('items', { count: 1200 }), '1,200 items');
+    assert.equal(new I18n({ locale: 'de', catalogs }).format('items', { count: 1200 }), '1.200 Artikel');
+});
+
+test('plurals pick exact branches first, then the plural category', () => {
+    const i18n = new I18n({ locale: 'en', catalogs });
+
+    assert.equal(i18n.format('items', { count: 0 }), 'No items');
+    assert.equal(i18n.format('items', { count: 1 }), '1 item');
+    assert.equal(i18n.format('items', { count: 3 }), '3 items');
+});
+
+test('select branches can nest plurals', () => {
+    const i18n = new I18n({ locale: 'en', catalogs });
+
+    assert.equal(i18n.format('nested', { mode: 'units', count: 1 }), '1 unit');
+    assert.equal(i18n.format('nested', { mode: 'units', count: 2 }), '2 units');
+    assert.equal(i18n.format('nested', { mode: 'products', count: 2 }), '2 things');
+});
+
+test('messages fall back from region to language to the fallback locale', () => {
+    const i18n = new I18n({ locale: 'de-AT', catalogs });
+
+    assert.deepEqual(I18n.getLocaleChain('de-AT'), ['de-AT', 'de', 'en']);
+    assert.equal(i18n.format('items', { count: 2 }), '2 Artikel');
+    assert.equal(i18n.format('fallback'), 'Only in English');
+    assert.equal(i18n.has('missing'), false);
+});
+
+test('right-to-left languages are detected from the language subtag', () => {
+    assert.equal(I18n.getDirection('ar-EG'), 'rtl');
+    assert.equal(I18n.getDirection('he'), 'rtl');
+    assert.equal(I18n.getDirection('en-US'), 'ltr');
+    assert.equal(new I18n({ locale: 'fa', catalogs }).direction, 'rtl');
+});
+
+test('malformed patterns throw a SyntaxError', () => {
+    const i18n = new I18n({ locale: 'en', catalogs: { en: { open: '{count', branchless: '{count, plural, one {#}}' } } });
+
+    assert.throws(() => i18n.format('open', { count: 1 }), SyntaxError);
+    assert.throws(() => i18n.format('branchless', { count: 1 }), SyntaxError);
+});
+
+test('built-in catalogs format every message in every locale', () => {
+    const ids = Object.keys(MESSAGE_CATALOGS.en);
+    const values = { mode: 'units', count: 2, title: 'Tee', variant: 'S', quantity: 2, items: '2', reward: 'x',
+        percentage: 30, minItems: 3, amount: '$5', buy: 2, get: 1, total: '$1', discount: '$1', name: 'Picks', number: 2, code: 'SAVE10' };
+
+    Object.keys(MESSAGE_CATALOGS).forEach(locale => {
+        const i18n = new I18n({ locale, catalogs: MESSAGE_CATALOGS });
+
+        assert.deepEqual(Object.keys(MESSAGE_CATALOGS[locale]).sort(), [...ids].sort(), `${locale} has every message`);
+        ids.forEach(id => assert.doesNotMatch(i18n.format(id, values), /[{}]/, `${locale} ${id}`));
+    });
+});
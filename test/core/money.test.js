@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Money } from '../../js/core/money.js';
+
+test('toMinor converts major units without floating point drift', () => {
+    assert.equal(Money.toMinor(12.99, 'USD'), 1299);
+    assert.equal(Money.toMinor(1.005, 'USD'), 101);
+    assert.equal(Money.toMinor(1500, 'JPY'), 1500);
+});
+
+test('fromMinor and toDecimalString follow the currency minor unit', () => {
+    assert.equal(Money.fromMinor(1299, 'USD'), 12.99);
+    assert.equal(Money.toDecimalString(1200, 'USD'), '12.00');
+    assert.equal(Money.toDecimalString(1500, 'JPY'), '1500');
+});
+
+test('percentOf rounds to the nearest minor unit', () => {
+    assert.equal(Money.percentOf(45000, 30), 13500);
+    assert.equal(Money.percentOf(999, 15), 150);
+});
+
+test('convert goes through rates relative to a shared base', () => {
+    const rates = { USD: 1, EUR: 0.92, JPY: 149.5 };
+
+    assert.equal(Money.convert(15000, 'USD', 'EUR', rates), 13800);
+    assert.equal(Money.convert(15000, 'USD', 'JPY', rates), 22425);
+    assert.equal(Money.convert(500, 'USD', 'USD', {}), 500);
+    assert.throws(() => Money.convert(100, 'USD', 'GBP', rates), /No exchange rate/);
+});
+
+test('format renders minor units with Intl.NumberFormat', () => {
+    assert.equal(Money.format(1299, 'USD', 'en-US'), '$12.99');
+    assert.equal(Money.format(1500, 'JPY', 'en-US'), '¥1,500');
+});
@@ -0,0 +1,88 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BundleStore, ProductCatalog, ProductFilter } from '../../js/core/index.js';
+
+const feed = {
+    currency: 'USD',
+    exchangeRates: { EUR: 0.5 },
+    products: [
+        { id: 1, title: 'Café Lounge Set', price: 100, image: 'a.jpg', category: 'loungewear', popularity: 30 },
+        { id: 2, title: 'Tracksuit', price: 80, image: 'b.jpg', category: 'activewear', popularity: 90, stock: 0 },
+        { id: 3, title: 'Knit Lounge Cardigan', price: 60, image: 'c.jpg', category: 'loungewear', popularity: 90 },
+        {
+            id: 4,
+            title: 'Running Tee',
+            price: 40,
+            image: 'd.jpg',
+            category: 'activewear',
+            variants: [
+                { id: 41, options: { Size: 'S' }, stock: 0 },
+                { id: 42, options: { Size: 'M' }, stock: 2 }
+            ]
+        }
+    ]
+};
+
+let store;
+
+/**
+ * Ids of the store's products that pass a filter, in its order
+ */
+function ids(fields) {
+    return new ProductFilter(fields).apply(store).map(product => product.id);
+}
+
+before(async () => {
+    store = new BundleStore({ catalog: await ProductCatalog.load({ data: feed }) });
+});
+
+test('an empty filter keeps every product in catalog order', () => {
+    const filter = new ProductFilter();
+
+    assert.deepEqual(ids(), [1, 2, 3, 4]);
+    assert.equal(filter.isActive(), false);
+    assert.equal(filter.sort, 'featured');
+});
+
+test('search matches every word of the title, ignoring case and accents', () => {
+    assert.deepEqual(ids({ query: 'lounge' }), [1, 3]);
+    assert.deepEqual(ids({ query: '  CAFE set ' }), [1]);
+    assert.deepEqual(ids({ query: 'lounge tee' }), []);
+});
+
+test('category, price range and stock narrow the products', () => {
+    assert.deepEqual(ids({ category: 'activewear' }), [2, 4]);
+    assert.deepEqual(ids({ minPrice: '50', maxPrice: 80 }), [2, 3]);
+    assert.deepEqual(ids({ inStock: true }), [1, 3, 4]);
+    assert.deepEqual(ids({ category: 'activewear', inStock: true }), [4]);
+});
+
+test('price bounds are in the store currency', async () => {
+    const euroStore = new BundleStore({ catalog: await ProductCatalog.load({ data: feed }) });
+    euroStore.setCurrency('EUR');
+
+    const products = new ProductFilter({ maxPrice: 35 }).apply(euroStore);
+    assert.deepEqual(products.map(product => product.id), [3, 4]);
+});
+
+test('sort orders keep catalog order for ties', () => {
+    assert.deepEqual(ids({ sort: 'priceAsc' }), [4, 3, 2, 1]);
+    assert.deepEqual(ids({ sort: 'priceDesc' }), [1, 2, 3, 4]);
+    assert.deepEqual(ids({ sort: 'popularity' }), [2, 3, 1, 4]);
+});
+
+test('invalid fields fall back to not filtering', () => {
+    const filter = new ProductFilter({ query: 42, category: '', minPrice: '-5', maxPrice: 'cheap', inStock: 'yes', sort: 'random' });
+
+    assert.deepEqual(filter.toJSON(), { query: '', category: null, minPrice: null, maxPrice: null, inStock: false, sort: 'featured' });
+});
+
+test('with() returns a changed copy and leaves the filter as it was', () => {
+    const filter = new ProductFilter({ query: 'knit' });
+    const sorted = filter.with({ sort: 'priceAsc', minPrice: 10 });
+
+    assert.equal(filter.sort, 'featured');
+    assert.deepEqual(sorted.toJSON(), { query: 'knit', category: null, minPrice: 10, maxPrice: null, inStock: false, sort: 'priceAsc' });
+    assert.equal(sorted.isActive(), true);
+});
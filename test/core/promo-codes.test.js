@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BundleStore, ProductCatalog, PromoCodes } from '../../js/core/index.js';
+
+const feed = {
+    currency: 'USD',
+    products: [
+        { id: 1, title: 'Lounge Set', price: 100, image: 'assets/product-1.jpg' },
+        { id: 2, title: 'Tracksuit', price: 100, image: 'assets/product-2.jpg' },
+        { id: 3, title: 'Blazer', price: 100, image: 'assets/product-3.jpg' },
+        { id: 4, title: 'Knit', price: 60, image: 'assets/product-4.jpg' },
+        { id: 5, title: 'Scarf', price: 20, image: 'assets/product-5.jpg', stock: 0 }
+    ]
+};
+
+const codes = [
+    { code: 'SAVE10', type: 'percentage', percentage: 10 },
+    { code: 'SAVE50', type: 'percentage', percentage: 50 },
+    { code: 'TAKE20', type: 'fixed', amount: 20, minSpend: 250 },
+    { code: 'KNIT', type: 'freeGift', productId: 4 },
+    { code: 'SCARF', type: 'freeGift', productId: 5 },
+    { code: 'OLD', type: 'percentage', percentage: 15, expiresAt: '2026-01-01T00:00:00Z' }
+];
+
+/**
+ * Store with a complete three-item bundle, 30% off by the bundle discount
+ */
+async function createStore(promoStacking = 'stack') {
+    const store = new BundleStore({
+        catalog: await ProductCatalog.load({ data: feed }),
+        discountRules: [{ type: 'tiered', tiers: [{ minItems: 3, percentage: 30 }] }],
+        promoCodes: codes,
+        promoStacking
+    });
+    store.replaceLines([1, 2, 3].map(id => ({ id, variantId: null, quantity: 1 })));
+    return store;
+}
+
+test('stacked codes come off the total left after the bundle discount', async () => {
+    const store = await createStore();
+
+    assert.equal(store.applyPromoCode(' save10 '), true);
+    const result = store.evaluateDiscounts();
+
+    assert.deepEqual(result.applied.map(discount => [discount.id, discount.amount]), [['tiered-0', 9000], ['promo-SAVE10', 2100]]);
+    assert.equal(result.total, 11100);
+    assert.deepEqual(store.getPromoCodes(), ['SAVE10']);
+    assert.deepEqual(store.prepareBundleData().promoCodes, ['SAVE10']);
+});
+
+test('best-of keeps the bigger saving and reports the code it passed over', async () => {
+    const store = await createStore('bestOf');
+
+    store.applyPromoCode('SAVE10');
+    let result = store.evaluateDiscounts();
+    assert.deepEqual(result.applied.map(discount => discount.id), ['tiered-0']);
+    assert.deepEqual(result.promoCodes, [{ code: 'SAVE10', status: 'outdone' }]);
+    assert.deepEqual(store.prepareBundleData().promoCodes, []);
+
+    store.removePromoCode('SAVE10');
+    store.applyPromoCode('SAVE50');
+    result = store.evaluateDiscounts();
+    assert.deepEqual(result.applied.map(discount => [discount.id, discount.amount]), [['promo-SAVE50', 15000]]);
+    assert.equal(result.percentage, 50);
+});
+
+test('exclusive codes replace the bundle discount only when they save at least as much', async () => {
+    const store = await createStore('exclusive');
+
+    store.applyPromoCode('SAVE50');
+    let result = store.evaluateDiscounts();
+    assert.deepEqual(result.applied.map(discount => [discount.id, discount.amount]), [['promo-SAVE50', 15000]]);
+    assert.equal(store.prepareBundleData().finalTotal, 15000);
+
+    store.removePromoCode('SAVE50');
+    store.applyPromoCode('SAVE10');
+    result = store.evaluateDiscounts();
+    assert.deepEqual(result.applied.map(discount => [discount.id, discount.amount]), [['tiered-0', 9000]]);
+    assert.deepEqual(result.promoCodes, [{ code: 'SAVE10', status: 'outdone' }]);
+    assert.equal(store.prepareBundleData().finalTotal, 21000);
+});
+
+test('an exclusive free gift never costs the shopper the bundle discount', async () => {
+    const store = await createStore('exclusive');
+
+    store.applyPromoCode('KNIT');
+    assert.deepEqual(store.evaluateDiscounts().applied.map(discount => discount.id), ['tiered-0']);
+    assert.equal(store.prepareBundleData().finalTotal, 21000);
+
+    // Below the bundle size there is no bundle discount to lose
+    store.removeLine('3');
+    assert.deepEqual(store.evaluateDiscounts().applied.map(discount => discount.id), ['promo-KNIT']);
+});
+
+test('an unknown stacking policy is refused', () => {
+    assert.throws(() => new PromoCodes(codes, { stacking: 'sometimes' }), TypeError);
+});
+
+test('expired, unknown, repeated and under-spend codes are refused with a reason', async () => {
+    const store = await createStore();
+    const now = Date.parse('2026-06-01T00:00:00Z');
+
+    assert.equal(store.checkPromoCode('OLD', now), 'expired');
+    assert.equal(store.checkPromoCode('NOPE'), 'unknown');
+    assert.equal(store.applyPromoCode('NOPE'), false);
+
+    store.removeLine(store.getLineKey(3, null));
+    assert.equal(store.checkPromoCode('TAKE20'), 'minSpend');
+
+    store.addLine(store.createLine(3));
+    assert.equal(store.applyPromoCode('take20'), true);
+    assert.equal(store.checkPromoCode('TAKE20'), 'alreadyApplied');
+});
+
+test('an entered code stops applying when the bundle falls below its minimum spend', async () => {
+    const store = await createStore();
+
+    store.applyPromoCode('TAKE20');
+    store.removeLine(store.getLineKey(3, null));
+    const result = store.evaluateDiscounts();
+
+    assert.deepEqual(result.promoCodes, [{ code: 'TAKE20', status: 'minSpend' }]);
+    assert.equal(result.applied.length, 0);
+    assert.deepEqual(store.getPromoCodes(), ['TAKE20']);
+});
+
+test('free gifts name their product and take nothing off', async () => {
+    const store = await createStore();
+
+    store.applyPromoCode('KNIT');
+    store.applyPromoCode('SCARF');
+    const { applied, total, promoCodes } = store.evaluateDiscounts();
+    const gift = applied.find(discount => discount.code === 'KNIT');
+
+    assert.equal(total, 9000);
+    assert.deepEqual([gift.amount, gift.giftProductId, gift.label], [0, 4, 'KNIT: free Knit']);
+    assert.deepEqual(gift.message, { id: 'promo.freeGift', values: { code: 'KNIT', title: 'Knit' } });
+    assert.deepEqual(promoCodes.map(promo => promo.status), ['applied', 'notApplicable']);
+});
+
+test('invalid code definitions are skipped with a warning', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const list = new PromoCodes([
+        { code: 'A', type: 'nope' },
+        { type: 'fixed', amount: 5 },
+        { code: 'B', type: 'fixed', amount: 5 },
+        { code: 'HALF', type: 'percentage', percentage: 150 },
+        { code: 'FREE', type: 'percentage' },
+        { code: 'MINUS', type: 'fixed', amount: -5 },
+        { code: 'TEXT', type: 'fixed', amount: '5' },
+        { code: 'GIFT', type: 'freeGift', productId: 'knit' },
+        { code: 'SPEND', type: 'fixed', amount: 5, minSpend: -1 },
+        { code: 'C', type: 'freeGift', productId: 4 }
+    ]);
+
+    assert.deepEqual(Array.from(list.codes.keys()), ['B', 'C']);
+    assert.equal(warn.mock.callCount(), 8);
+    assert.equal(warn.mock.calls[3].arguments[0], 'Skipping promo code 4: percentage must be a number from 0 to 100');
+    assert.equal(warn.mock.calls[6].arguments[0], 'Skipping promo code 7: productId must be a positive integer');
+});
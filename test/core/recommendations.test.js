@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { ProductCatalog } from '../../js/core/catalog.js';
+import { RecommendationEngine } from '../../js/core/recommendations.js';
+
+// Offline fixture: a small catalog with co-purchase and category data
+const fixture = JSON.parse(readFileSync(new URL('../fixtures/recommendations.json', import.meta.url), 'utf8'));
+const catalog = await ProductCatalog.load({ data: fixture });
+
+function recommend(strategies, productIds, options) {
+    const engine = new RecommendationEngine(strategies, fixture.recommendations);
+    return engine.recommend(catalog, productIds, options).map(recommendation => recommendation.productId);
+}
+
+test('affinity suggests what was most often bought with the whole bundle', () => {
+    assert.deepEqual(recommend('affinity', [1], { count: 3 }), [2, 3, 5]);
+    assert.deepEqual(recommend('affinity', [2, 3], { count: 2 }), [1], 'only products with affinity are suggested');
+});
+
+test('category suggests products from complementary categories', () => {
+    assert.deepEqual(recommend('category', [1], { count: 3 }), [2, 4, 6]);
+    assert.deepEqual(recommend('category', [1, 3], { count: 1 }), [2], 'bottoms complement both tops and shoes');
+});
+
+test('price suggests products priced like the bundle', () => {
+    assert.deepEqual(recommend('price', [1, 2], { count: 2 }), [5, 3]);
+    assert.deepEqual(recommend('price', [], { count: 2 }), [], 'an empty bundle has no price to fit');
+});
+
+test('strategies fill the slots left open by the ones before them', () => {
+    const engine = new RecommendationEngine(['affinity', 'category', 'price'], fixture.recommendations);
+    const recommendations = engine.recommend(catalog, [4], { count: 3 });
+
+    assert.deepEqual(recommendations.map(({ productId, strategy }) => [productId, strategy]), [
+        [6, 'affinity'],
+        [3, 'price'],
+        [2, 'price']
+    ]);
+});
+
+test('products in the bundle and ineligible products are never suggested', () => {
+    const isEligible = product => product.id !== 2;
+    assert.deepEqual(recommend('affinity', [1], { count: 3, isEligible }), [3, 5]);
+    assert.ok(!recommend('price', [1, 5], { count: 7 }).includes(5));
+});
+
+test('custom strategies can be registered', () => {
+    RecommendationEngine.registerStrategy('cheapest', product => 1000 - product.price);
+    assert.deepEqual(recommend('cheapest', [1], { count: 2 }), [7, 5]);
+    assert.throws(() => new RecommendationEngine('trending'), TypeError);
+});
+
+test('invalid recommendation data is skipped', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    const data = RecommendationEngine.parseData({
+        affinity: { 1: { 2: 0.5, 3: 'often' }, 2: [3] },
+        complements: { tops: ['bottoms'], shoes: 'bottoms' }
+    });
+    console.warn = warn;
+
+    assert.deepEqual(data, { affinity: { 1: { 2: 0.5 } }, complements: { tops: ['bottoms'] } });
+});
+
+test('load takes inline data or no data at all', async () => {
+    const engine = await RecommendationEngine.load({ strategies: ['category'], data: fixture.recommendations });
+    assert.deepEqual(engine.data.complements.shoes, ['bottoms']);
+
+    const empty = await RecommendationEngine.load({ strategies: ['price'] });
+    assert.deepEqual(empty.data, { affinity: {}, complements: {} });
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UrlAllowlist } from '../../js/core/url-allowlist.js';
+
+const allowlist = new UrlAllowlist({
+    baseUrl: 'https://shop.example/bundles/',
+    hosts: ['images.example.net', '*.cdn.example']
+});
+
+test('relative and same-origin URLs resolve against the page', () => {
+    assert.equal(allowlist.resolve('assets/a.jpg'), 'https://shop.example/bundles/assets/a.jpg');
+    assert.equal(allowlist.resolve('/assets/a.jpg'), 'https://shop.example/assets/a.jpg');
+    assert.equal(allowlist.resolve('  https://shop.example/b.png '), 'https://shop.example/b.png');
+});
+
+test('other hosts must be listed and use an allowed protocol', () => {
+    assert.equal(allowlist.resolve('https://images.example.net/a.jpg'), 'https://images.example.net/a.jpg');
+    assert.equal(allowlist.resolve('https://eu.cdn.example/a.jpg'), 'https://eu.cdn.example/a.jpg');
+    assert.equal(allowlist.resolve('https://cdn.example/a.jpg'), null, 'a wildcard only covers subdomains');
+    assert.equal(allowlist.resolve('http://images.example.net/a.jpg'), null);
+    assert.equal(allowlist.resolve('https://evil.example/a.jpg'), null);
+    assert.equal(allowlist.resolve('//evil.example/a.jpg'), null);
+    assert.equal(allowlist.resolve('https://images.example.net.evil.example/a.jpg'), null);
+});
+
+test('script and data URLs are refused', () => {
+    assert.equal(allowlist.resolve('javascript:alert(1)'), null);
+    assert.equal(allowlist.resolve(' JaVaScRiPt:alert(1)'), null);
+    assert.equal(allowlist.resolve('data:image/svg+xml,<svg onload=alert(1)>'), null);
+    assert.equal(allowlist.resolve('vbscript:msgbox(1)'), null);
+});
+
+test('values that are not URLs are refused', () => {
+    assert.equal(allowlist.resolve(''), null);
+    assert.equal(allowlist.resolve(undefined), null);
+    assert.equal(allowlist.resolve({ toString: () => 'assets/a.jpg' }), null);
+    assert.equal(new UrlAllowlist().resolve('assets/a.jpg'), null, 'relative URLs need a base');
+    assert.equal(allowlist.allows('https://[::1'), false);
+});
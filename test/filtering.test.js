@@ -0,0 +1,121 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/dom.js';
+
+// The page opens on a filtered link
+const { dom, createBuilder } = await loadPage({ url: 'https://shop.example/bundle/?category=activewear&sort=priceDesc' });
+
+const feed = {
+    currency: 'USD',
+    products: [
+        { id: 1, title: 'Lounge Set', price: 100, image: 'assets/product-1.jpg', category: 'loungewear', popularity: 10 },
+        { id: 2, title: 'Tracksuit', price: 80, image: 'assets/product-2.jpg', category: 'activewear', popularity: 50 },
+        { id: 3, title: 'Running Tee', price: 40, image: 'assets/product-3.jpg', category: 'activewear', popularity: 30 },
+        { id: 4, title: 'Knit Cardigan', price: 60, image: 'assets/product-4.jpg', category: 'loungewear', stock: 0 }
+    ]
+};
+
+let builder;
+
+/**
+ * Ids of the cards laid out in the rows, in order
+ */
+function visibleIds() {
+    return Array.from(builder.root.querySelectorAll('.product-row .product-card'), card => parseInt(card.dataset.productId));
+}
+
+/**
+ * Set a toolbar control's value and fire the event the builder listens for
+ */
+function setControl(selector, value, type = 'change') {
+    const control = builder.root.querySelector(selector);
+    if (control.type === 'checkbox') {
+        control.checked = value;
+    } else {
+        control.value = value;
+    }
+    control.dispatchEvent(new dom.window.Event(type, { bubbles: true }));
+}
+
+/**
+ * The add button of a product's card, if it has one
+ */
+function button(productId) {
+    return builder.root.querySelector(`[data-product-id="${productId}"] .add-to-bundle-btn`);
+}
+
+before(async () => {
+    builder = createBuilder({ catalog: feed });
+    await builder.ready;
+});
+
+after(() => {
+    dom.window.close();
+});
+
+test('the toolbar opens with the filter from the URL', () => {
+    const toolbar = builder.root.querySelector('.product-toolbar');
+    const categories = Array.from(toolbar.querySelectorAll('.filter-category option'), option => option.textContent);
+
+    assert.equal(toolbar.hidden, false);
+    assert.deepEqual(categories, ['All categories', 'Loungewear', 'Activewear']);
+    assert.equal(toolbar.querySelector('.filter-category').value, 'activewear');
+    assert.equal(toolbar.querySelector('.sort-products').value, 'priceDesc');
+    assert.deepEqual(visibleIds(), [2, 3]);
+    assert.equal(toolbar.querySelector('.product-result-count').textContent, '2 products');
+});
+
+test('searching, sorting and stock filters re-lay the grid and the URL', () => {
+    setControl('.filter-category', '');
+    setControl('.product-search', 'set', 'input');
+    assert.deepEqual(visibleIds(), [1]);
+    assert.equal(builder.root.querySelector('.product-result-count').textContent, '1 product');
+
+    setControl('.product-search', '', 'input');
+    setControl('.sort-products', 'popularity');
+    setControl('[data-action="filter-in-stock"]', true);
+    assert.deepEqual(visibleIds(), [2, 3, 1]);
+
+    setControl('.filter-min-price', '50');
+    setControl('.filter-max-price', '90');
+    assert.deepEqual(visibleIds(), [2]);
+    assert.equal(dom.window.location.search, '?sort=popularity&stock=in&price=50-90');
+});
+
+test('cards hidden by the filter keep their selection and button state', async () => {
+    setControl('.filter-min-price', '');
+    setControl('.filter-max-price', '');
+    setControl('[data-action="filter-in-stock"]', false);
+    await builder.toggleProduct(1);
+    await builder.toggleProduct(2);
+
+    setControl('.product-search', 'tee', 'input');
+    assert.deepEqual(visibleIds(), [3]);
+    assert.deepEqual(builder.prepareBundleData().products.map(product => product.id), [1, 2]);
+
+    // Hidden products have no card; theirs shows the current state when they return
+    await builder.toggleProduct(3);
+    builder.root.querySelector(`[data-line-key="${builder.store.getLineKey(1, null)}"] [data-action="remove-line"]`).click();
+    assert.equal(button(1), null);
+
+    setControl('.product-search', '', 'input');
+    assert.equal(button(1).classList.contains('selected'), false);
+    assert.equal(button(1).getAttribute('aria-disabled'), 'false');
+    assert.equal(button(2).classList.contains('selected'), true);
+    assert.equal(button(4).getAttribute('aria-disabled'), 'true');
+});
+
+test('an empty result offers to clear the filters, keeping the sort', () => {
+    setControl('.product-search', 'parka', 'input');
+
+    const empty = builder.root.querySelector('.product-grid-empty');
+    assert.equal(visibleIds().length, 0);
+    assert.equal(empty.querySelector('p').textContent, 'No products match your search.');
+
+    empty.querySelector('[data-action="clear-filters"]').click();
+    assert.equal(builder.root.querySelector('.product-grid-empty'), null);
+    assert.deepEqual(visibleIds(), [2, 3, 1, 4]);
+    assert.equal(builder.root.querySelector('.product-search').value, '');
+    assert.equal(document.activeElement, builder.root.querySelector('.product-search'));
+    assert.equal(dom.window.location.search, '?sort=popularity');
+});
@@ -0,0 +1,40 @@
+/**
+ * DOM Test Helpers
+ * The builder is a browser module: view tests load the real page markup into
+ * jsdom and expose its window as the globals script.js expects
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const html = readFileSync(new URL('../../index.html', import.meta.url), 'utf8');
+
+/**
+ * Builder options every view test shares: no load delays, and nothing
+ * persisted to storage, IndexedDB or the page URL
+ */
+const BUILDER_OPTIONS = {
+    loadingDelay: 0,
+    persistBundle: false,
+    saveBundles: false,
+    shareLink: false
+};
+
+/**
+ * Load index.html at `url`, let `setup(window)` add what jsdom lacks, then
+ * import script.js. Resolves with the `dom`, the `BundleBuilder` class and
+ * `createBuilder(options)`, which creates a builder with the shared test
+ * options under its own.
+ */
+export async function loadPage({ url = 'https://shop.example/bundle/', setup } = {}) {
+    const dom = new JSDOM(html, { url });
+    globalThis.window = dom.window;
+    globalThis.document = dom.window.document;
+
+    if (setup) setup(dom.window);
+
+    const { BundleBuilder } = await import('../../script.js');
+    const createBuilder = options => new BundleBuilder({ ...BUILDER_OPTIONS, ...options });
+
+    return { dom, BundleBuilder, createBuilder };
+}
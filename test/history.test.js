@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/dom.js';
+
+const { dom, createBuilder } = await loadPage();
+
+const feed = {
+    currency: 'USD',
+    products: [
+        { id: 1, title: 'Lounge Set', price: 100, image: 'assets/product-1.jpg' },
+        { id: 2, title: 'Tracksuit', price: 100, image: 'assets/product-2.jpg' },
+        { id: 3, title: 'Blazer', price: 100, image: 'assets/product-3.jpg' }
+    ]
+};
+
+let builder;
+let events = [];
+
+/**
+ * Keys of the bundle lines, in order
+ */
+function lineKeys() {
+    return builder.store.getLines().map(line => line.key);
+}
+
+before(async () => {
+    builder = createBuilder({ catalog: feed, recommendationStrategy: null });
+    await builder.ready;
+
+    ['product:added', 'product:removed'].forEach(type => {
+        builder.on(type, ({ detail }) => events.push([type, detail.line.key, detail.reason]));
+    });
+});
+
+after(() => {
+    dom.window.close();
+});
+
+test('undo and redo announce the lines they add and remove', async () => {
+    await builder.toggleProduct(1);
+    await builder.toggleProduct(2);
+    events = [];
+
+    builder.undo();
+    assert.deepEqual(lineKeys(), ['1']);
+    assert.deepEqual(events, [['product:removed', '2', 'user']]);
+
+    builder.redo();
+    assert.deepEqual(lineKeys(), ['1', '2']);
+    assert.deepEqual(events.slice(1), [['product:added', '2', undefined]]);
+});
+
+test('hooks can veto lines that undo and redo would add or remove', () => {
+    const veto = event => event.preventDefault();
+    events = [];
+
+    builder.on('product:beforeRemove', veto);
+    builder.undo();
+    builder.off('product:beforeRemove', veto);
+    assert.deepEqual(lineKeys(), ['1', '2']);
+    assert.deepEqual(events, []);
+
+    builder.removeProduct('2');
+    builder.on('product:beforeAdd', veto);
+    builder.undo();
+    builder.off('product:beforeAdd', veto);
+    assert.deepEqual(lineKeys(), ['1']);
+    assert.deepEqual(events, [['product:removed', '2', 'user']]);
+});
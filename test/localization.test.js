@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/dom.js';
+
+const { dom, createBuilder } = await loadPage();
+
+const feed = {
+    currency: 'USD',
+    products: [
+        { id: 1, title: 'Lounge Set', price: 100, image: 'assets/product-1.jpg' },
+        { id: 2, title: 'Tracksuit', price: 100, image: 'assets/product-2.jpg' },
+        { id: 3, title: 'Blazer', price: 100, image: 'assets/product-3.jpg' }
+    ]
+};
+
+const number = value => new Intl.NumberFormat('ar-EG').format(value);
+
+let builder;
+
+before(async () => {
+    builder = createBuilder({
+        catalog: feed,
+        locale: 'ar-EG',
+        heading: '.main-heading',
+        messages: { ar: { 'summary.subtotal': 'الإجمالي الفرعي' } }
+    });
+    await builder.ready;
+});
+
+after(() => {
+    dom.window.close();
+});
+
+test('the root takes the language and direction of the locale', () => {
+    assert.equal(builder.root.getAttribute('lang'), 'ar-EG');
+    assert.equal(builder.root.getAttribute('dir'), 'rtl');
+});
+
+test('static markup and configured messages are translated', () => {
+    const root = builder.root;
+
+    assert.equal(root.querySelector('.bundle-title').textContent, 'أنشئ باقة');
+    assert.equal(root.querySelector('.subtotal-label').textContent, 'الإجمالي الفرعي');
+    assert.equal(root.querySelector('.progress-bundle-bar').getAttribute('aria-label'), 'تقدم الباقة');
+    assert.equal(root.querySelector('[data-product-id="1"] .btn-text').textContent, 'أضف إلى الباقة');
+});
+
+test('the offer and region labels come from the catalog and the configured discount', () => {
+    const root = builder.root;
+
+    assert.equal(document.querySelector('.main-heading').textContent, `اشترِ ${number(3)} ووفّر ${number(30)}٪`);
+    assert.equal(root.querySelector('.bundle-description p').textContent, `أضف ${number(3)} منتجات على الأقل ووفّر ${number(30)}٪.`);
+    assert.equal(root.getAttribute('aria-label'), 'اختيار منتجات الباقة');
+    assert.equal(root.querySelector('.grid-custom').getAttribute('aria-label'), 'المنتجات المتاحة');
+});
+
+test('counts use the plural forms of the locale', async () => {
+    const cartText = () => builder.root.querySelector('.add-bundle-to-cart-btn .btn-text').textContent;
+
+    await builder.toggleProduct(1);
+    assert.equal(cartText(), 'المتبقي للمتابعة: منتجان');
+
+    await builder.toggleProduct(2);
+    assert.equal(cartText(), 'المتبقي للمتابعة: منتج واحد');
+    assert.equal(builder.root.querySelector('.progress-message').textContent,
+        `أضف منتجًا واحدًا آخر لتحصل على خصم ${number(30)}٪`);
+});
+
+test('discount labels come from the catalog unless a rule sets its own', async () => {
+    await builder.toggleProduct(3);
+
+    assert.equal(builder.root.querySelector('.discount-breakdown-label').textContent,
+        `خصم ${number(30)}٪ عند شراء ${number(3)} منتجات أو أكثر`);
+    assert.equal(builder.prepareBundleData().discounts[0].label, '30% off 3+ items');
+});
+
+test('left and right arrows follow the right-to-left card order', () => {
+    const button = id => builder.root.querySelector(`[data-product-id="${id}"] .add-to-bundle-btn`);
+    button(2).focus();
+
+    button(2).dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'ArrowLeft', bubbles: true }));
+    assert.equal(document.activeElement, button(3));
+});
@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/dom.js';
+
+const { createBuilder } = await loadPage();
+const { DEFAULT_DISCOUNT_RULES, ProductCatalog } = await import('../js/core/index.js');
+const { BundleQuoter } = await import('../server/bundle-quotes.js');
+const { createQuoteServer } = await import('../server/quote-server.js');
+
+const feed = {
+    currency: 'USD',
+    products: [
+        { id: 1, title: 'Lounge Set', price: 100, image: 'assets/product-1.jpg' },
+        { id: 2, title: 'Tracksuit', price: 100, image: 'assets/product-2.jpg' },
+        { id: 3, title: 'Blazer', price: 100, image: 'assets/product-3.jpg' }
+    ]
+};
+
+// The server's catalog has a newer price than the one the page loaded
+const serverFeed = {
+    ...feed,
+    products: feed.products.map(product => (product.id === 1 ? { ...product, price: 130 } : product))
+};
+
+const cart = [];
+let server;
+let builder;
+
+before(async () => {
+    const quoter = new BundleQuoter({
+        catalog: await ProductCatalog.load({ data: serverFeed }),
+        secret: 'test-secret-that-is-long-enough-to-sign',
+        discountRules: DEFAULT_DISCOUNT_RULES
+    });
+    server = createQuoteServer({ quoter, cart });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+
+    builder = createBuilder({
+        catalog: feed,
+        cartAdapter: 'http',
+        cartEndpoint: `${origin}/cart/bundles`,
+        quoteEndpoint: `${origin}/bundles/quote`
+    });
+    await builder.ready;
+
+    for (const id of [1, 2, 3]) {
+        await builder.toggleProduct(id);
+    }
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('a price mismatch asks the shopper to confirm the server total before submitting its signed quote', async () => {
+    const button = builder.root.querySelector('.add-bundle-to-cart-btn');
+    const failures = [];
+    builder.on('cart:failed', ({ detail }) => failures.push(detail.error));
+
+    // The page's own total is 30% off $300
+    assert.equal(builder.prepareBundleData().finalTotal, 21000);
+
+    button.dataset.currentState = 'cart';
+    await builder.addBundleToCart();
+
+    assert.equal(button.dataset.currentState, 'confirm');
+    assert.equal(button.disabled, false);
+    assert.equal(button.querySelector('.btn-text').textContent, 'Add to Cart at $231.00');
+    assert.equal(builder.root.querySelector('.bundle-notice').textContent, 'Prices have changed. Your bundle total is now $231.00.');
+    assert.equal(failures[0].name, 'QuoteMismatchError');
+    assert.equal(cart.length, 0);
+
+    await builder.addBundleToCart();
+
+    assert.equal(button.dataset.currentState, 'added');
+    assert.equal(cart.length, 1);
+    assert.equal(cart[0].finalTotal, 23100);
+    assert.equal(cart[0].products.find(product => product.id === 1).price, 13000);
+});
+
+test('changing the bundle drops a quote awaiting confirmation', async () => {
+    const button = builder.root.querySelector('.add-bundle-to-cart-btn');
+
+    button.dataset.currentState = 'cart';
+    await builder.addBundleToCart();
+    assert.equal(button.dataset.currentState, 'confirm');
+    assert.ok(builder.state.pendingQuote);
+
+    builder.setQuantity('2', 2);
+
+    assert.equal(builder.state.pendingQuote, null);
+    assert.equal(button.dataset.currentState, 'proceed');
+});
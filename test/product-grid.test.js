@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/dom.js';
+
+const { dom, createBuilder } = await loadPage();
+
+const ROW_HEIGHT = 503;
+
+const feed = {
+    currency: 'USD',
+    products: Array.from({ length: 300 }, (_, index) => ({
+        id: index + 1,
+        title: `Product ${index + 1}`,
+        price: 10 + index,
+        image: `assets/product-${(index % 6) + 1}.jpg`
+    }))
+};
+
+let builder;
+let grid;
+let gridTop = 0;
+
+/**
+ * Ids of the products with a card in the grid, in order
+ */
+function renderedIds() {
+    return Array.from(grid.querySelectorAll('.product-card'), card => parseInt(card.dataset.productId));
+}
+
+/**
+ * Scroll the page so a row of the grid is at the top of the viewport.
+ * jsdom has no layout, so the grid's position is set by hand.
+ */
+function scrollToRow(row) {
+    gridTop = -row * ROW_HEIGHT;
+    builder.renderGridWindow();
+}
+
+before(async () => {
+    builder = createBuilder({
+        catalog: feed,
+        syncFilters: false,
+        estimatedRowHeight: ROW_HEIGHT
+    });
+    grid = builder.root.querySelector('.product-grid');
+    grid.getBoundingClientRect = () => ({ top: gridTop });
+    await builder.ready;
+});
+
+after(() => {
+    dom.window.close();
+});
+
+test('only the rows around the viewport are rendered', () => {
+    // 768px of viewport is two rows, plus one row of overscan below
+    assert.deepEqual(renderedIds(), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.equal(grid.style.paddingTop, '0px');
+    assert.equal(grid.style.paddingBottom, `${97 * ROW_HEIGHT}px`);
+    assert.equal(builder.root.querySelector('.product-result-count').textContent, '300 products');
+});
+
+test('scrolling recycles the cards that left the window', () => {
+    const cards = new Set(grid.querySelectorAll('.product-card'));
+    scrollToRow(50);
+
+    assert.deepEqual(renderedIds(), Array.from({ length: 12 }, (_, index) => 148 + index));
+    assert.equal(grid.style.paddingTop, `${49 * ROW_HEIGHT}px`);
+    assert.ok(Array.from(cards).every(card => grid.contains(card)));
+
+    const card = grid.querySelector('[data-product-id="150"]');
+    assert.equal(card.querySelector('.product-title').textContent, 'Product 150');
+    assert.equal(card.querySelector('.product-price').textContent, '$159.00');
+    assert.equal(card.dataset.index, '149');
+});
+
+test('skeletons show only on cards entering the viewport', () => {
+    grid.querySelectorAll('.product-card').forEach(card => builder.showProductContent(card));
+    scrollToRow(51);
+
+    const isLoading = id => grid.querySelector(`[data-product-id="${id}"] .product-image`).classList.contains('skeleton');
+    assert.equal(isLoading(151), false);
+    assert.equal(isLoading(161), true);
+    assert.equal(grid.querySelector('[data-product-id="161"] .add-to-bundle-btn').style.display, 'none');
+});
+
+test('selections survive their cards scrolling away and back', async () => {
+    scrollToRow(0);
+    await builder.toggleProduct(1);
+    await builder.toggleProduct(2);
+
+    scrollToRow(98);
+    await builder.toggleProduct(298);
+    assert.equal(builder.renderedCards.size, 9);
+    assert.equal(grid.querySelector('[data-product-id="297"] .add-to-bundle-btn').getAttribute('aria-disabled'), 'true');
+
+    scrollToRow(0);
+    const button = grid.querySelector('[data-product-id="1"] .add-to-bundle-btn');
+    assert.equal(button.classList.contains('selected'), true);
+    assert.equal(button.getAttribute('aria-pressed'), 'true');
+    assert.equal(grid.querySelector('[data-product-id="4"] .add-to-bundle-btn').getAttribute('aria-disabled'), 'true');
+    assert.deepEqual(builder.prepareBundleData().products.map(product => product.id), [1, 2, 298]);
+});
+
+test('arrow keys move focus into rows outside the window', () => {
+    const press = (id, key, options = {}) => {
+        const button = grid.querySelector(`[data-product-id="${id}"] .add-to-bundle-btn`);
+        button.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+    };
+
+    press(8, 'ArrowDown');
+    assert.equal(document.activeElement.closest('.product-card').dataset.productId, '11');
+
+    press(11, 'End', { ctrlKey: true });
+    assert.equal(document.activeElement.closest('.product-card').dataset.productId, '300');
+    assert.equal(grid.querySelectorAll('.product-row').length, 2);
+});
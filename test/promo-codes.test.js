@@ -0,0 +1,106 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/dom.js';
+import { MockCartAdapter } from '../js/cart-adapters.js';
+
+const { createBuilder } = await loadPage();
+
+const feed = {
+    currency: 'USD',
+    products: [
+        { id: 1, title: 'Lounge Set', price: 100, image: 'assets/product-1.jpg' },
+        { id: 2, title: 'Tracksuit', price: 100, image: 'assets/product-2.jpg' },
+        { id: 3, title: 'Blazer', price: 100, image: 'assets/product-3.jpg' },
+        { id: 4, title: 'Knit', price: 60, image: 'assets/product-4.jpg' }
+    ]
+};
+
+const cart = new MockCartAdapter({ latency: 0 });
+let builder;
+
+/**
+ * Type a code into the promo field and press Apply
+ */
+function enterCode(code) {
+    builder.root.querySelector('.promo-code-input').value = code;
+    builder.root.querySelector('[data-action="apply-promo-code"]').click();
+}
+
+before(async () => {
+    builder = createBuilder({
+        catalog: feed,
+        cartAdapter: cart,
+        promoCodes: [
+            { code: 'SAVE10', type: 'percentage', percentage: 10, minSpend: 250 },
+            { code: 'KNIT', type: 'freeGift', productId: 4 }
+        ]
+    });
+    await builder.ready;
+});
+
+test('the promo code field is shown when codes are configured', () => {
+    const field = builder.root.querySelector('.promo-code');
+
+    assert.equal(field.hidden, false);
+    assert.equal(field.querySelector('.promo-code-input').getAttribute('placeholder'), 'Promo code');
+});
+
+test('a refused code explains why and is not applied', async () => {
+    await builder.toggleProduct(1);
+    enterCode('save10');
+
+    const error = builder.root.querySelector('.promo-code-error');
+    assert.equal(error.hidden, false);
+    assert.equal(error.textContent, 'Spend $250.00 to use this code.');
+    assert.equal(builder.root.querySelector('.promo-code-input').getAttribute('aria-invalid'), 'true');
+    assert.deepEqual(builder.store.getPromoCodes(), []);
+
+    enterCode('NOPE');
+    assert.equal(error.textContent, "That code isn't valid.");
+});
+
+test('applied codes show as their own discount lines and go out with the bundle data', async () => {
+    await builder.toggleProduct(2);
+    await builder.toggleProduct(3);
+    enterCode('save10');
+    enterCode('knit');
+
+    const lines = Array.from(builder.root.querySelectorAll('.discount-breakdown-item'), item => item.textContent);
+    assert.deepEqual(lines, ['30% off 3+ items- $90.00', 'SAVE10: 10% off- $21.00', 'KNIT: free KnitFree']);
+    assert.equal(builder.root.querySelector('.subtotal-amount').textContent, '$189.00');
+    assert.equal(builder.root.querySelector('.promo-code-error').hidden, true);
+    assert.equal(builder.root.querySelector('.promo-code-input').value, '');
+    assert.deepEqual(builder.prepareBundleData().promoCodes, ['SAVE10', 'KNIT']);
+
+    const codes = Array.from(builder.root.querySelectorAll('.promo-code-item'), item => item.dataset.promoCode);
+    assert.deepEqual(codes, ['SAVE10', 'KNIT']);
+});
+
+test('a code that stops qualifying stays listed with the reason', async () => {
+    await builder.toggleProduct(3);
+
+    const item = builder.root.querySelector('[data-promo-code="SAVE10"]');
+    assert.ok(item.classList.contains('is-inactive'));
+    assert.equal(item.querySelector('.promo-code-status').textContent, 'Spend $250.00 to use');
+    assert.deepEqual(builder.prepareBundleData().promoCodes, ['KNIT']);
+});
+
+test('removing a code takes its discount line away', () => {
+    builder.root.querySelector('[data-promo-code="KNIT"] [data-action="remove-promo-code"]').click();
+
+    assert.equal(builder.root.querySelector('[data-promo-code="KNIT"]'), null);
+    assert.deepEqual(builder.store.getPromoCodes(), ['SAVE10']);
+    assert.equal(document.activeElement, builder.root.querySelector('.promo-code-input'));
+});
+
+test('a free gift goes to the cart as a zero-price line next to the products', async () => {
+    await builder.toggleProduct(3);
+    enterCode('knit');
+
+    builder.root.querySelector('.add-bundle-to-cart-btn').dataset.currentState = 'cart';
+    await builder.addBundleToCart();
+
+    const [submitted] = cart.bundles;
+    assert.deepEqual(submitted.products.map(line => line.id), [1, 2, 3]);
+    assert.deepEqual(submitted.gifts.map(line => [line.id, line.quantity, line.price, line.code]), [[4, 1, 0, 'KNIT']]);
+});
@@ -0,0 +1,141 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/dom.js';
+
+const { dom, createBuilder } = await loadPage();
+
+const feed = {
+    products: [
+        { id: 1, title: 'Lounge Set', price: 150, image: 'assets/product-1.jpg', stock: 5 },
+        { id: 2, title: 'Tracksuit', price: 120, image: 'assets/product-2.jpg' },
+        { id: 3, title: 'Blazer', price: 90, image: 'assets/product-3.jpg' }
+    ]
+};
+
+let builder;
+
+before(async () => {
+    builder = createBuilder({
+        catalog: feed,
+        maxQuantityPerLine: 10
+    });
+    await builder.ready;
+
+    for (const id of [1, 2, 3]) {
+        await builder.toggleProduct(id);
+    }
+});
+
+after(() => {
+    dom.window.close();
+});
+
+function getInput(key) {
+    return builder.root.querySelector(`[data-line-key="${key}"] .quantity-input`);
+}
+
+function type(input, value) {
+    input.value = value;
+    input.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+}
+
+function press(input, key) {
+    input.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+function blur(input) {
+    input.dispatchEvent(new dom.window.FocusEvent('focusout', { bubbles: true }));
+}
+
+async function getAnnouncement() {
+    await new Promise(resolve => setTimeout(resolve, 150));
+    return builder.root.querySelector('.bundle-announcer').textContent;
+}
+
+test('a typed quantity is committed on Enter', () => {
+    const input = getInput('2');
+
+    type(input, '7');
+    assert.equal(builder.store.getLine('2').quantity, 1, 'nothing changes while typing');
+
+    press(input, 'Enter');
+    assert.equal(builder.store.getLine('2').quantity, 7);
+    assert.equal(input.value, '7');
+    assert.equal(input.getAttribute('aria-valuenow'), '7');
+});
+
+test('pasted text keeps only its digits and is clamped to the per-line limit on blur', async () => {
+    const input = getInput('2');
+
+    type(input, '1 2a');
+    assert.equal(input.value, '12');
+
+    blur(input);
+    assert.equal(builder.store.getLine('2').quantity, 10);
+    assert.equal(input.value, '10');
+    assert.equal(await getAnnouncement(), 'Quantity of Tracksuit set to 10, the most available.');
+});
+
+test('quantities are clamped to stock, and the increase button follows', async () => {
+    const input = getInput('1');
+    const increase = builder.root.querySelector('[data-line-key="1"] [data-action="increase-quantity"]');
+
+    assert.equal(input.getAttribute('aria-valuemax'), '5');
+
+    type(input, '9');
+    press(input, 'Enter');
+    assert.equal(builder.store.getLine('1').quantity, 5);
+    assert.equal(increase.disabled, true);
+    assert.equal(await getAnnouncement(), 'Quantity of Lounge Set set to 5, the most available.');
+});
+
+test('zero is raised to 1 and an empty input goes back to the current quantity', async () => {
+    const input = getInput('3');
+
+    type(input, '');
+    blur(input);
+    assert.equal(input.value, '1');
+
+    builder.setQuantity('3', 4);
+    type(input, '0');
+    press(input, 'Enter');
+    assert.equal(builder.store.getLine('3').quantity, 1);
+    assert.equal(await getAnnouncement(), 'Quantity of Blazer set to 1, the least allowed.');
+});
+
+test('arrow keys step the quantity without going below 1', () => {
+    const input = getInput('3');
+
+    press(input, 'ArrowUp');
+    press(input, 'ArrowUp');
+    assert.equal(builder.store.getLine('3').quantity, 3);
+
+    builder.setQuantity('3', 1);
+    press(input, 'ArrowDown');
+    assert.equal(builder.store.getLine('3').quantity, 1);
+    assert.ok(builder.store.has('3'), 'stepping down never removes the line');
+});
+
+test('a quantity being typed survives re-renders until Escape abandons it', () => {
+    const input = getInput('3');
+
+    type(input, '4');
+    builder.updateQuantity('2', -1);
+    assert.equal(input.value, '4');
+
+    press(input, 'Escape');
+    assert.equal(input.value, '1');
+    assert.equal(builder.store.getLine('3').quantity, 1);
+});
+
+test('restored quantities cut to the per-line limit count as reduced', () => {
+    builder.store.clear();
+
+    const counts = builder.restoreLines([
+        { id: 2, variantId: null, quantity: 12, price: 12000 },
+        { id: 3, variantId: null, quantity: 2, price: 9000 }
+    ], true);
+
+    assert.deepEqual(counts, { removedCount: 0, repricedCount: 0, reducedCount: 1 });
+    assert.deepEqual(builder.store.getLines().map(line => line.quantity), [10, 2]);
+});
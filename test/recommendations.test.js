@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { loadPage } from './helpers/dom.js';
+
+const { dom, createBuilder } = await loadPage();
+
+// Offline fixture: a small catalog with co-purchase and category data
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/recommendations.json', import.meta.url), 'utf8'));
+
+let builder;
+
+before(async () => {
+    builder = createBuilder({
+        catalog: fixture,
+        recommendationData: fixture.recommendations,
+        locale: 'en-US'
+    });
+    await builder.ready;
+});
+
+after(() => {
+    dom.window.close();
+});
+
+function getSuggestions() {
+    return Array.from(builder.findAll('.bundle-skeleton-row.has-recommendation'), slot => [
+        slot.querySelector('.recommendation-title').textContent,
+        slot.querySelector('.recommendation-price').textContent
+    ]);
+}
+
+test('suggestions wait until one more item earns the discount', async () => {
+    assert.deepEqual(getSuggestions(), []);
+
+    await builder.toggleProduct(1);
+    assert.deepEqual(getSuggestions(), [], 'two items away');
+
+    await builder.toggleProduct(2);
+    assert.deepEqual(getSuggestions(), [['Canvas Sneakers', '$90.00']]);
+});
+
+test('a suggestion is added with one click', async () => {
+    builder.find('.recommendation-add-btn').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.ok(builder.store.has('3'));
+    assert.equal(builder.find('[data-product-id="3"] .add-to-bundle-btn').getAttribute('aria-pressed'), 'true');
+    assert.deepEqual(getSuggestions(), [], 'the bundle is complete');
+    assert.equal(builder.find('.recommendation-item'), null);
+});
+
+test('sold-out products make way for the next suggestion', async () => {
+    builder.removeProduct('3');
+    assert.deepEqual(getSuggestions(), [['Canvas Sneakers', '$90.00']]);
+
+    const feed = {
+        ...fixture,
+        products: fixture.products.map(product => product.id === 3 ? { ...product, stock: 0 } : product)
+    };
+    await builder.refreshStock(feed);
+
+    assert.deepEqual(getSuggestions(), [['Oxford Shirt', '$65.00']]);
+});
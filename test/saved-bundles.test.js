@@ -0,0 +1,178 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { loadPage } from './helpers/dom.js';
+
+// jsdom has no IndexedDB; an in-memory implementation stands in for it
+const { dom, createBuilder } = await loadPage({
+    setup: window => {
+        window.indexedDB = new IDBFactory();
+    }
+});
+
+const feed = {
+    currency: 'USD',
+    products: [
+        { id: 1, title: 'Lounge Set', price: 100, image: 'assets/product-1.jpg' },
+        { id: 2, title: 'Tracksuit', price: 100, image: 'assets/product-2.jpg' },
+        { id: 3, title: 'Blazer', price: 100, image: 'assets/product-3.jpg' }
+    ]
+};
+
+let builder;
+
+before(async () => {
+    builder = createBuilder({
+        catalog: feed,
+        saveBundles: true,
+        promoCodes: [
+            { code: 'TAKE20', type: 'fixed', amount: 20 },
+            { code: 'TAKE10', type: 'fixed', amount: 10 },
+            { code: 'OLD', type: 'percentage', percentage: 50, expiresAt: '2020-01-01T00:00:00Z' }
+        ],
+        recommendationStrategy: null,
+        locale: 'en-US'
+    });
+    await builder.ready;
+});
+
+after(() => {
+    dom.window.close();
+});
+
+function getSavedBundles() {
+    return Array.from(builder.findAll('.saved-bundle'), item => [
+        item.querySelector('.saved-bundle-name').textContent,
+        item.querySelector('.saved-bundle-summary').textContent
+    ]);
+}
+
+function getSavedBundle(name) {
+    return Array.from(builder.findAll('.saved-bundle'))
+        .find(item => item.querySelector('.saved-bundle-name').textContent === name);
+}
+
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+test('the save button is enabled once the bundle has products', async () => {
+    const button = builder.find('.save-bundle-btn');
+
+    assert.equal(button.hidden, false);
+    assert.equal(button.disabled, true);
+    assert.equal(builder.find('.saved-bundles').hidden, true, 'nothing saved yet');
+
+    for (const id of [1, 2, 3]) {
+        await builder.toggleProduct(id);
+    }
+    assert.equal(button.disabled, false);
+});
+
+test('saving lists the bundle with its pricing', async () => {
+    builder.find('.save-bundle-btn').click();
+    await settle();
+
+    assert.equal(builder.find('.saved-bundles').hidden, false);
+    assert.deepEqual(getSavedBundles(), [['Bundle 1', '3 Products · $210.00']]);
+
+    const [record] = await builder.savedBundles.list();
+    assert.equal(record.bundle.finalTotal, 21000);
+});
+
+test('saved bundles can be duplicated and renamed', async () => {
+    const id = getSavedBundle('Bundle 1').dataset.savedId;
+    await builder.duplicateSavedBundle(id);
+
+    getSavedBundle('Bundle 1').querySelector('[data-action="rename-saved-bundle"]').click();
+    const input = builder.find('.saved-bundle-name-input');
+    input.value = '  Weekend picks ';
+    input.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    await settle();
+
+    assert.deepEqual(getSavedBundles().map(([name]) => name).sort(), ['Copy of Bundle 1', 'Weekend picks']);
+    assert.equal(document.activeElement, getSavedBundle('Weekend picks').querySelector('[data-action="rename-saved-bundle"]'));
+});
+
+test('saved bundles are repriced and flagged when prices changed', async () => {
+    await builder.savedBundles.save('Last season', {
+        currency: 'USD',
+        products: [
+            { id: 1, variantId: null, quantity: 2, price: 8000 },
+            { id: 99, variantId: null, quantity: 1, price: 5000 }
+        ]
+    });
+    await builder.renderSavedBundles();
+
+    const item = getSavedBundle('Last season');
+    assert.equal(item.querySelector('.saved-bundle-summary').textContent, '1 Product · $200.00');
+    assert.equal(item.querySelector('.saved-bundle-flag').textContent,
+        'Prices changed since you saved it. 1 item is no longer available.');
+    assert.equal(getSavedBundle('Weekend picks').querySelector('.saved-bundle-flag').hidden, true);
+});
+
+test('loading a saved bundle replaces the bundle as one undoable step', async () => {
+    builder.resetBundle();
+    await builder.loadSavedBundle(getSavedBundle('Last season').dataset.savedId);
+
+    assert.deepEqual(builder.store.getLines().map(line => [line.id, line.quantity, line.price]), [[1, 2, 10000]]);
+    assert.match(builder.find('.bundle-notice').textContent, /no longer available.*prices? of 1 item has changed/i);
+
+    builder.undo();
+    assert.equal(builder.store.getLines().length, 0);
+});
+
+test('saved promo codes are priced in the panel and re-entered on load, dropping expired ones', async () => {
+    await builder.savedBundles.save('With codes', {
+        currency: 'USD',
+        products: [1, 2, 3].map(id => ({ id, variantId: null, quantity: 1, price: 10000 })),
+        promoCodes: ['TAKE20', 'OLD']
+    });
+    await builder.renderSavedBundles();
+    assert.equal(getSavedBundle('With codes').querySelector('.saved-bundle-summary').textContent, '3 Products · $190.00');
+
+    builder.store.applyPromoCode('TAKE10');
+    await builder.loadSavedBundle(getSavedBundle('With codes').dataset.savedId);
+
+    assert.deepEqual(builder.store.getPromoCodes(), ['TAKE20']);
+    assert.equal(builder.prepareBundleData().finalTotal, 19000);
+
+    builder.undo();
+    assert.deepEqual(builder.store.getPromoCodes(), ['TAKE10']);
+
+    builder.redo();
+    assert.deepEqual(builder.store.getPromoCodes(), ['TAKE20']);
+});
+
+test('loading a saved bundle only adds and removes the lines that differ, through the hooks', async () => {
+    const events = [];
+    const record = ({ type, detail }) => events.push([type, detail.line.key]);
+    const keepBlazer = event => {
+        if (event.detail.line.key === '3') event.preventDefault();
+    };
+    const types = ['product:beforeRemove', 'product:removed', 'product:added'];
+    types.forEach(type => builder.on(type, record));
+    builder.on('product:beforeRemove', keepBlazer);
+
+    await builder.loadSavedBundle(getSavedBundle('Last season').dataset.savedId);
+
+    types.forEach(type => builder.off(type, record));
+    builder.off('product:beforeRemove', keepBlazer);
+    assert.deepEqual(builder.store.getLines().map(line => [line.key, line.quantity]), [['1', 2], ['3', 1]]);
+    assert.deepEqual(events, [
+        ['product:beforeRemove', '2'],
+        ['product:beforeRemove', '3'],
+        ['product:removed', '2']
+    ]);
+});
+
+test('deleting a saved bundle moves focus to the next one', async () => {
+    const item = getSavedBundle('Weekend picks');
+    const next = item.nextElementSibling || item.previousElementSibling;
+
+    await builder.deleteSavedBundle(item.dataset.savedId);
+
+    assert.equal(getSavedBundle('Weekend picks'), undefined);
+    assert.equal(document.activeElement, getSavedBundle(next.querySelector('.saved-bundle-name').textContent)
+        .querySelector('[data-action="load-saved-bundle"]'));
+});
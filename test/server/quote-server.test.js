@@ -0,0 +1,168 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+
+import { BundleStore, DEFAULT_DISCOUNT_RULES, ProductCatalog } from '../../js/core/index.js';
+import { BundleQuoter, QuoteError } from '../../server/bundle-quotes.js';
+import { createQuoteServer } from '../../server/quote-server.js';
+
+const SECRET = 'test-secret-that-is-long-enough-to-sign';
+const RULES = { discountRules: DEFAULT_DISCOUNT_RULES };
+
+const feed = {
+    currency: 'USD',
+    exchangeRates: { EUR: 0.92 },
+    products: [
+        { id: 1, title: 'Lounge Set', price: 100, image: 'assets/product-1.jpg' },
+        { id: 2, title: 'Tracksuit', price: 100, image: 'assets/product-2.jpg', stock: 1 },
+        { id: 3, title: 'Blazer', price: 100, image: 'assets/product-3.jpg' }
+    ]
+};
+
+let catalog;
+let quoter;
+
+/**
+ * Bundle data as the page would submit it, priced from `data`
+ */
+async function createBundleData(data = feed, lines = [[1, 1], [2, 1], [3, 1]]) {
+    const store = new BundleStore({ ...RULES, catalog: await ProductCatalog.load({ data }) });
+    store.replaceLines(lines.map(([id, quantity]) => ({ id, variantId: null, quantity })));
+    return store.prepareBundleData();
+}
+
+before(async () => {
+    catalog = await ProductCatalog.load({ data: feed });
+    quoter = new BundleQuoter({ catalog, secret: SECRET, ...RULES });
+});
+
+test('a correctly priced bundle is quoted without mismatches and verifies', async () => {
+    const bundleData = await createBundleData();
+    const { quote, signature, mismatches } = quoter.quote(bundleData, Date.parse('2026-01-01T00:00:00Z'));
+
+    assert.deepEqual(mismatches, []);
+    assert.equal(quote.finalTotal, 21000);
+    assert.equal(quote.expiresAt, '2026-01-01T00:15:00.000Z');
+    assert.equal(quoter.verify({ quote, signature }, Date.parse('2026-01-01T00:10:00Z')), true);
+    assert.equal(quoter.verify({ quote, signature }, Date.parse('2026-01-01T00:15:00Z')), false);
+});
+
+test('tampered prices are reported and the quote keeps the catalog prices', async () => {
+    const bundleData = await createBundleData({
+        ...feed,
+        products: feed.products.map(product => ({ ...product, price: 1 }))
+    });
+    const { quote, mismatches } = quoter.quote(bundleData);
+
+    assert.equal(quote.finalTotal, 21000);
+    assert.deepEqual(mismatches.map(mismatch => mismatch.field), ['price', 'price', 'price', 'subtotal', 'discount', 'finalTotal']);
+    assert.deepEqual(mismatches[5], { field: 'finalTotal', expected: 21000, received: 210 });
+});
+
+test('lines above stock, the per-line limit or the bundle size are refused', async () => {
+    const bundleData = await createBundleData({
+        ...feed,
+        products: feed.products.map(product => ({ ...product, stock: undefined }))
+    }, [[1, 2], [2, 3], [3, 1]]);
+
+    assert.throws(() => quoter.quote(bundleData), { status: 422, message: 'Product 2 is not available in that quantity' });
+
+    const full = await createBundleData();
+    const unknown = { ...full, products: [...full.products, { id: 99, variantId: null, quantity: 1 }] };
+    assert.throws(() => quoter.quote(unknown), { status: 422, message: 'Product 99 is not available in that quantity' });
+
+    const limited = new BundleQuoter({ catalog, secret: SECRET, ...RULES, maxItems: null, maxQuantityPerLine: 1 });
+    assert.throws(() => limited.quote(bundleData), { status: 422, message: 'Product 1 is above the limit of 1 per line' });
+
+    const small = new BundleQuoter({ catalog, secret: SECRET, ...RULES, minItems: 1, maxItems: 2 });
+    assert.throws(() => small.quote(full), { status: 422, message: 'Bundle is above its maximum size' });
+});
+
+test('submitted promo codes are re-applied from the server list', async () => {
+    const promoQuoter = new BundleQuoter({
+        catalog,
+        secret: SECRET,
+        ...RULES,
+        promoCodes: [{ code: 'TAKE20', type: 'fixed', amount: 20 }]
+    });
+    const bundleData = { ...(await createBundleData()), promoCodes: ['TAKE20'], discount: 11000, finalTotal: 19000 };
+
+    const accepted = promoQuoter.quote(bundleData);
+    assert.deepEqual(accepted.mismatches, []);
+    assert.deepEqual(accepted.quote.promoCodes, ['TAKE20']);
+
+    const refused = quoter.quote(bundleData);
+    assert.deepEqual(refused.mismatches.map(mismatch => mismatch.field), ['promoCodes', 'discount', 'finalTotal']);
+    assert.throws(() => quoter.quote({ ...bundleData, promoCodes: 'TAKE20' }), { status: 400 });
+});
+
+test('altered quotes and signatures fail verification', async () => {
+    const { quote, signature } = quoter.quote(await createBundleData());
+
+    assert.equal(quoter.verify({ quote: { ...quote, finalTotal: 100 }, signature }), false);
+    assert.equal(quoter.verify({ quote, signature: signature.replace(/^./, c => (c === '0' ? '1' : '0')) }), false);
+    assert.equal(quoter.verify({ quote, signature: 'abc' }), false);
+    assert.equal(quoter.verify({ quote }), false);
+});
+
+test('malformed, unsupported and undersized bundles are refused', async () => {
+    const bundleData = await createBundleData();
+
+    assert.throws(() => quoter.quote({ ...bundleData, products: [] }), QuoteError);
+    assert.throws(() => quoter.quote({ ...bundleData, products: [{ id: '1', quantity: 1 }] }), QuoteError);
+    assert.throws(() => quoter.quote({ ...bundleData, currency: 'GBP' }), { status: 400 });
+    assert.throws(() => quoter.quote({ ...bundleData, products: bundleData.products.slice(0, 2) }), { status: 422 });
+    assert.throws(() => new BundleQuoter({ catalog, secret: 'short' }), TypeError);
+});
+
+test('the HTTP stand-in quotes bundles and only accepts signed quotes into the cart', async () => {
+    const cart = [];
+    const server = createQuoteServer({ quoter, cart });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    const post = (path, body) => fetch(`${origin}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    try {
+        const bundleData = await createBundleData();
+        const quoted = await post('/bundles/quote', bundleData);
+        const { quote, signature } = await quoted.json();
+        assert.equal(quoted.status, 200);
+
+        const mismatched = await post('/bundles/quote', { ...bundleData, finalTotal: 1 });
+        assert.equal(mismatched.status, 409);
+        assert.deepEqual((await mismatched.json()).mismatches.map(mismatch => mismatch.field), ['finalTotal']);
+
+        const forged = await post('/cart/bundles', { ...quote, finalTotal: 1, signature });
+        assert.equal(forged.status, 403);
+
+        const accepted = await post('/cart/bundles', { ...quote, signature });
+        assert.equal(accepted.status, 201);
+        assert.deepEqual(await accepted.json(), { id: quote.id, itemCount: 1 });
+        assert.equal(cart[0].finalTotal, 21000);
+
+        assert.equal((await post('/bundles/quote', '{')).status, 400);
+        assert.equal((await post('/bundles/quote', 'null')).status, 400);
+        assert.equal((await fetch(`${origin}/index.html`)).status, 404);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('static paths with malformed escapes are refused without a server error', async t => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const server = createQuoteServer({ quoter, root: fileURLToPath(new URL('../../', import.meta.url)) });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        assert.equal((await fetch(`${origin}/%E0%A4%A`)).status, 400);
+        assert.equal((await fetch(`${origin}/style.css`)).status, 200);
+        assert.equal(logged.mock.callCount(), 0);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});